@@ -33,11 +33,16 @@ const BRIDGE_DIR = __dirname;
 const BRIDGE_PID_FILE = path.join(BRIDGE_DIR, 'bridge.pid');
 const BRIDGE_SCRIPT = path.join(BRIDGE_DIR, 'server.js');
 const BRIDGE_LOG = path.join(BRIDGE_DIR, 'server.log');
-const BRIDGE_WS_URL = 'ws://localhost:51766';
+const SCREENSHOT_DIR = path.join(BRIDGE_DIR, 'screenshots');
+const BRIDGE_WS_URL = 'ws://127.0.0.1:51766';  // Bridge 只监听回环地址
+const COMMAND_TOKEN_FILE = path.join(BRIDGE_DIR, '.command-token');  // 页面命令共享密钥（由 Bridge 首次启动时生成）
 
 // 心跳间隔（毫秒）
 const HEARTBEAT_INTERVAL = 5000;
 
+// 等待页面命令结果的时长（毫秒，略长于 Bridge 侧的 10 秒超时）
+const COMMAND_TIMEOUT = 15000;
+
 // 重连配置
 const INITIAL_RECONNECT_DELAY = 1000;
 const MAX_RECONNECT_DELAY = 30000;
@@ -46,12 +51,18 @@ const MAX_RECONNECT_DELAY = 30000;
 // 全局状态
 // ============================================
 
-/** 最近一次选中的元素数据 */
+/** 最近一次选中的元素数据（多选时为数组） */
 let latestElement = null;
 
+/** 最近一次选中数据的类型：element（单选）| elements（多选）| region（框选）| text（文本选区） */
+let latestElementType = 'element';
+
 /** 元素接收时间戳 */
 let latestElementTimestamp = null;
 
+/** 随最近一次选中附带的页面错误（浏览器未开启错误记录时为 null） */
+let latestPageErrors = null;
+
 /** WebSocket 连接实例 */
 let wsConnection = null;
 
@@ -67,6 +78,12 @@ let reconnectDelay = INITIAL_RECONNECT_DELAY;
 /** 是否正在关闭 */
 let isShuttingDown = false;
 
+/** 等待结果的页面命令：requestId → { resolve, timer } */
+const pendingCommands = new Map();
+
+/** 页面命令序号 */
+let commandSequence = 0;
+
 /** MCP 日志输出（避免污染 stdio 通道，写入文件） */
 const LOG_FILE = path.join(BRIDGE_DIR, 'mcp-server.log');
 
@@ -203,6 +220,7 @@ function connectToBridge() {
   });
 
   wsConnection.on('close', () => {
+    failPendingCommands('Bridge 连接已断开');
     if (!isShuttingDown) {
       log('Bridge 连接断开，准备重连...');
       stopHeartbeat();
@@ -284,12 +302,68 @@ function sendToWs(data) {
   }
 }
 
+/**
+ * 读取页面命令共享密钥（每次发送时读取，Bridge 可能晚于 MCP Server 启动）
+ *
+ * @returns {string} 密钥（文件不存在时为空字符串）
+ */
+function readCommandToken() {
+  try {
+    return fs.readFileSync(COMMAND_TOKEN_FILE, 'utf8').trim();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 通过 Bridge 在浏览器页面中执行命令
+ *
+ * 业务逻辑：
+ * 1. 生成请求 ID 并发送 command 消息（附带共享密钥），Bridge 转发到目标标签页
+ * 2. 收到同 ID 的 command_result 时结束等待
+ * 3. 未连接 Bridge 或超时时返回错误（不抛异常）
+ *
+ * @param {string} command - 命令名（同 PAGE_COMMAND_TOOLS 的工具名）
+ * @param {Object} [args] - 命令参数
+ * @param {string} [tabId] - 目标标签页 ID（缺省时为最近活跃的标签页）
+ * @returns {Promise<{ok: boolean, result?: *, error?: string, tabId?: string}>}
+ */
+function sendCommand(command, args = {}, tabId) {
+  if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN) {
+    return Promise.resolve({ ok: false, error: '未连接到 Bridge Server' });
+  }
+
+  const requestId = `${clientId}-${++commandSequence}`;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      pendingCommands.delete(requestId);
+      resolve({ ok: false, error: `等待浏览器响应超时（${COMMAND_TIMEOUT}ms）` });
+    }, COMMAND_TIMEOUT);
+    pendingCommands.set(requestId, { resolve, timer });
+    sendToWs({ type: 'command', requestId, command, args, tabId, token: readCommandToken() });
+  });
+}
+
+/**
+ * 结束全部等待中的页面命令（连接断开时调用）
+ *
+ * @param {string} error - 错误信息
+ */
+function failPendingCommands(error) {
+  for (const [requestId, pending] of pendingCommands) {
+    clearTimeout(pending.timer);
+    pending.resolve({ ok: false, error });
+    pendingCommands.delete(requestId);
+  }
+}
+
 /**
  * 处理 Bridge 发来的消息（元素数据）
  *
  * 业务逻辑：
  * 1. 解析 JSON 消息
- * 2. 如果是 element 类型，缓存到内存
+ * 2. 如果是 element / elements / region / text 类型，缓存到内存（新数据覆盖旧数据）
+ * 3. 如果是 command_result，结束对应的页面命令等待
  *
  * @param {Buffer|string} data - 消息数据
  */
@@ -301,8 +375,43 @@ function handleMessage(data) {
     if (message.type === 'element') {
       latestElement = message.data;
       latestElementTimestamp = new Date().toISOString();
+      latestElementType = 'element';
       log(`收到元素数据: ${latestElement.tagName || 'unknown'}${latestElement.id ? '#' + latestElement.id : ''}`);
     }
+
+    if (message.type === 'elements') {
+      latestElement = Array.isArray(message.data) ? message.data : [];
+      latestElementTimestamp = new Date().toISOString();
+      latestElementType = 'elements';
+      log(`收到多选元素数据: ${latestElement.length} 个`);
+    }
+
+    if (message.type === 'region') {
+      latestElement = message.data || {};
+      latestElementTimestamp = new Date().toISOString();
+      latestElementType = 'region';
+      log(`收到框选区域数据: ${(latestElement.elements || []).length} 个元素`);
+    }
+
+    if (message.type === 'text') {
+      latestElement = message.data || {};
+      latestElementTimestamp = new Date().toISOString();
+      latestElementType = 'text';
+      log(`收到文本选区数据: ${String(latestElement.text || '').length} 个字符`);
+    }
+
+    if (['element', 'elements', 'region', 'text'].includes(message.type)) {
+      latestPageErrors = Array.isArray(message.pageErrors) && message.pageErrors.length > 0 ? message.pageErrors : null;
+    }
+
+    if (message.type === 'command_result') {
+      const pending = pendingCommands.get(message.requestId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        pendingCommands.delete(message.requestId);
+        pending.resolve(message);
+      }
+    }
   } catch (error) {
     log(`消息解析失败: ${error.message}`);
   }
@@ -321,6 +430,170 @@ function handleMessage(data) {
  * @returns {string} Markdown 格式文本
  */
 function formatMarkdown(data) {
+  const note = data && typeof data.note === 'string' ? data.note.trim() : '';
+  const sourceLabel = data && data.sourceLocation ? formatSourceLabel(data.sourceLocation) : '';
+  return [
+    ...(sourceLabel ? [`**源码**: \`${sourceLabel}\``, ''] : []),
+    ...(note ? [`**用户指令**: ${note}`, ''] : []),
+    `## Web Inspector: ${formatTitle(data)}`,
+    '',
+    ...formatMarkdownSection(data, '###'),
+  ].join('\n');
+}
+
+/**
+ * 将多选元素列表格式化为 Markdown（Element 1 … Element N，编号按选择顺序）
+ *
+ * @param {Object[]} list - 元素信息数组
+ * @returns {string} Markdown 格式文本
+ */
+function formatMarkdownList(list) {
+  const elements = Array.isArray(list) ? list : [];
+  const lines = [`## Web Inspector: ${elements.length} 个元素（编号按选择顺序）`];
+
+  elements.forEach((data, index) => {
+    lines.push('', `### Element ${index + 1}: ${formatTitle(data)}`, '', ...formatMarkdownSection(data, '####'));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 将 query_elements 结果格式化为 Markdown
+ *
+ * full 模式每个元素一节完整信息，summary 模式为一张摘要表
+ *
+ * @param {Object} data - { selector, total, detail, elements }
+ * @returns {string} Markdown 格式文本
+ */
+function formatMarkdownQuery(data) {
+  const safeData = data || {};
+  const elements = Array.isArray(safeData.elements) ? safeData.elements : [];
+  const lines = [
+    `## Web Inspector: \`${safeData.selector}\` 匹配 ${safeData.total} 个元素` +
+      (elements.length < safeData.total ? `（显示前 ${elements.length} 个）` : ''),
+  ];
+
+  if (safeData.detail === 'summary') {
+    lines.push(
+      '',
+      '| # | 元素 | 选择器 | 位置 | 尺寸 | 文本 |',
+      '|---|------|--------|------|------|------|',
+      ...elements.map((item, index) => {
+        const rect = item.boundingRect || {};
+        return `| ${index + 1} | ${escapeCell(formatTitle(item))} | \`${escapeCell(item.cssSelector)}\` | (${rect.x}, ${rect.y}) | ${rect.width} x ${rect.height} | ${escapeCell(item.textContent)} |`;
+      })
+    );
+    return lines.join('\n');
+  }
+
+  elements.forEach((item, index) => {
+    lines.push('', `### Match ${index + 1}: ${formatTitle(item)}`, '', ...formatMarkdownSection(item, '####'));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * 将框选区域数据格式化为 Markdown
+ *
+ * @param {Object} data - 区域数据对象
+ * @returns {string} Markdown 格式文本
+ */
+function formatMarkdownRegion(data) {
+  const safeData = data || {};
+  const region = safeData.region || {};
+  const viewport = safeData.viewport || {};
+  const elements = Array.isArray(safeData.elements) ? safeData.elements : [];
+
+  const rows = elements.map((item, index) => {
+    const rect = item.boundingRect || {};
+    return `| ${index + 1} | ${escapeCell(formatTitle(item))} | \`${escapeCell(item.cssSelector)}\` | (${rect.x}, ${rect.y}) | ${rect.width} x ${rect.height} | ${escapeCell(item.textContent)} |`;
+  });
+
+  return [
+    `## Web Inspector: 区域选择（${elements.length} 个元素）`,
+    '',
+    `**区域**: (${region.x}, ${region.y}) ${region.width} x ${region.height}（视口坐标）`,
+    `**视口**: ${viewport.width} x ${viewport.height}，滚动位置 (${viewport.scrollX}, ${viewport.scrollY})`,
+    `**公共祖先**: \`${safeData.ancestorSelector || ''}\``,
+    ...(Array.isArray(safeData.framePath) && safeData.framePath.length > 0
+      ? [`**所在 iframe**: ${formatFramePath(safeData.framePath)}（区域坐标相对该 iframe 视口）`]
+      : []),
+    ...(safeData.truncated ? [`**注意**: 区域内共匹配 ${safeData.totalMatched} 个元素，仅包含前 ${elements.length} 个`] : []),
+    '',
+    '### 元素',
+    '| # | 元素 | 选择器 | 位置 | 尺寸 | 文本 |',
+    '|---|------|--------|------|------|------|',
+    ...rows,
+  ].join('\n');
+}
+
+/**
+ * 将文本选区数据格式化为 Markdown（选中文本引用块 + 起止边界 + 所在元素）
+ *
+ * @param {Object} data - 文本选区数据对象
+ * @returns {string} Markdown 格式文本
+ */
+function formatMarkdownText(data) {
+  const safeData = data || {};
+  const text = String(safeData.text || '');
+  const formatBoundary = (boundary) => (boundary
+    ? `\`${boundary.selector || ''}\` 第 ${boundary.childIndex} 个子节点（${boundary.nodeType === 'text' ? '文本' : '元素'}）偏移 ${boundary.offset}`
+    : '未知');
+
+  const lines = [
+    '## Web Inspector: 选中文本',
+    '',
+    ...text.split('\n').map((line) => `> ${line}`),
+    '',
+    ...(safeData.textLength > text.length ? [`**注意**: 选中文本共 ${safeData.textLength} 个字符，已截断`] : []),
+    `**起点**: ${formatBoundary(safeData.start)}`,
+    `**终点**: ${formatBoundary(safeData.end)}`,
+    ...(Array.isArray(safeData.framePath) && safeData.framePath.length > 0
+      ? [`**所在 iframe**: ${formatFramePath(safeData.framePath)}`]
+      : []),
+  ];
+
+  if (safeData.ancestor) {
+    lines.push('', `### 所在元素: ${formatTitle(safeData.ancestor)}`, '', ...formatMarkdownSection(safeData.ancestor, '####'));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 读取元素截图并转为 MCP image 内容
+ *
+ * 只读取 Bridge 截图目录下的文件（screenshotPath 由 Bridge 按 screenshotId 生成）
+ *
+ * @param {Object} data - 元素信息对象（Bridge 转发时附带 screenshotPath）
+ * @returns {Object|null} { type: 'image', data, mimeType }，无截图或读取失败时为 null
+ */
+function readScreenshot(data) {
+  const screenshotPath = data && data.screenshotPath;
+  if (typeof screenshotPath !== 'string' || !screenshotPath.endsWith('.png') ||
+      path.dirname(path.resolve(screenshotPath)) !== SCREENSHOT_DIR) {
+    return null;
+  }
+  try {
+    return {
+      type: 'image',
+      data: fs.readFileSync(screenshotPath).toString('base64'),
+      mimeType: 'image/png',
+    };
+  } catch (error) {
+    log(`读取截图失败: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 生成元素标识标题（tag#id.class1.class2）
+ *
+ * @param {Object} data - 元素信息对象
+ * @returns {string} 标题文本
+ */
+function formatTitle(data) {
   const safeData = data || {};
   const tagName = safeData.tagName || '';
   const id = safeData.id || '';
@@ -328,7 +601,21 @@ function formatMarkdown(data) {
   const classLabel = typeof className === 'string'
     ? className.trim().split(/\s+/).filter(Boolean).join('.')
     : '';
-  const title = `${tagName || 'element'}${id ? `#${id}` : ''}${classLabel ? `.${classLabel}` : ''}`;
+  return `${tagName || 'element'}${id ? `#${id}` : ''}${classLabel ? `.${classLabel}` : ''}`;
+}
+
+/**
+ * 生成单个元素的 Markdown 详情行
+ *
+ * @param {Object} data - 元素信息对象
+ * @param {string} heading - 小节标题前缀（单选 ###，多选 ####）
+ * @returns {string[]} Markdown 行
+ */
+function formatMarkdownSection(data, heading) {
+  const safeData = data || {};
+  const tagName = safeData.tagName || '';
+  const id = safeData.id || '';
+  const className = safeData.className || '';
   const cssSelector = safeData.cssSelector || '';
   const xpath = safeData.xpath || '';
   const textContent = safeData.textContent || '';
@@ -337,16 +624,16 @@ function formatMarkdown(data) {
   const height = Number.isFinite(rect.height) ? rect.height : '';
   const attributes = safeData.attributes || {};
   const computedStyles = safeData.computedStyles || safeData.styles || {};
+  const boxModel = safeData.boxModel || null;
   const outerHTML = safeData.outerHTML || '';
 
   const attrRows = Object.entries(attributes)
     .map(([k, v]) => `| ${escapeCell(k)} | ${escapeCell(String(v))} |`);
-  const styleRows = Object.entries(computedStyles)
-    .map(([k, v]) => `| ${escapeCell(k)} | ${escapeCell(String(v))} |`);
+  // 有结构化盒模型时，margin / padding / border 由盒模型表代替
+  const isStyleDiff = safeData.styleProfile === 'diff';
+  const styleRows = formatStyleRows(computedStyles, isStyleDiff, Boolean(boxModel));
 
   return [
-    `## Web Inspector: ${title}`,
-    '',
     `**选择器**: \`${cssSelector}\``,
     `**XPath**: \`${xpath}\``,
     `**标签**: ${tagName}`,
@@ -354,22 +641,306 @@ function formatMarkdown(data) {
     `**类名**: ${className}`,
     `**文本**: ${textContent}`,
     `**尺寸**: ${width} x ${height}`,
+    ...(safeData.piercingSelector
+      ? [`**Shadow DOM 穿透选择器**: \`${safeData.piercingSelector}\`（选择器 / XPath 相对元素所在 shadow root）`]
+      : []),
+    ...(Array.isArray(safeData.framePath) && safeData.framePath.length > 0
+      ? [`**所在 iframe**: ${formatFramePath(safeData.framePath)}`]
+      : []),
+    ...(safeData.screenshotPath ? [`**截图**: ${safeData.screenshotPath}`] : []),
     '',
-    '### 属性',
+    ...(Array.isArray(safeData.selectorCandidates) && safeData.selectorCandidates.length > 0
+      ? [`${heading} 选择器候选（按稳定性排序）`, ...formatSelectorCandidates(safeData.selectorCandidates), '']
+      : []),
+    `${heading} 属性`,
     '| 属性 | 值 |',
     '|------|---|',
     ...attrRows,
     '',
-    '### 关键样式',
-    '| 属性 | 值 |',
-    '|------|---|',
+    ...(safeData.accessibility ? [`${heading} 无障碍`, ...formatAccessibility(safeData.accessibility), ''] : []),
+    ...(boxModel ? [`${heading} 盒模型`, ...formatBoxModel(boxModel), ''] : []),
+    ...(isStyleDiff
+      ? [`${heading} 非默认样式`, '| 类别 | 属性 | 值 |', '|------|------|---|']
+      : [`${heading} 关键样式`, '| 属性 | 值 |', '|------|---|']),
     ...styleRows,
     '',
-    '### HTML',
+    ...(safeData.matchedRules ? [`${heading} 匹配的 CSS 规则`, ...formatMatchedRules(safeData.matchedRules), ''] : []),
+    ...(Array.isArray(safeData.listeners) ? [`${heading} 事件监听器`, ...formatListeners(safeData.listeners), ''] : []),
+    ...(safeData.component ? [`${heading} 组件`, ...formatComponent(safeData.component), ''] : []),
+    ...(safeData.sourceLocation ? [`${heading} 源码位置`, ...formatSourceLocation(safeData.sourceLocation), ''] : []),
+    `${heading} HTML`,
     '```html',
     outerHTML,
     '```',
-  ].join('\n');
+  ];
+}
+
+/**
+ * 样式类别显示名称（与用户脚本 STYLE_CATEGORIES 对应）
+ */
+const STYLE_CATEGORY_LABELS = {
+  layout: '布局',
+  'flex-grid': 'Flex / Grid',
+  box: '盒模型与边框',
+  typography: '文本',
+  background: '背景',
+  effects: '视觉效果',
+  interaction: '交互',
+  other: '其他',
+};
+
+/**
+ * 生成样式表行（白名单模式为扁平表，差异模式按类别分组）
+ *
+ * @param {Object} computedStyles - 样式数据
+ * @param {boolean} isDiff - 是否为差异模式
+ * @param {boolean} hasBoxModel - 是否已输出盒模型表（跳过 margin / padding / border 宽度）
+ * @returns {string[]} 表格行
+ */
+function formatStyleRows(computedStyles, isDiff, hasBoxModel) {
+  if (!isDiff) {
+    return Object.entries(computedStyles)
+      .filter(([k]) => !(hasBoxModel && ['margin', 'padding', 'border'].includes(k)))
+      .map(([k, v]) => `| ${escapeCell(k)} | ${escapeCell(String(v))} |`);
+  }
+
+  const boxModelPattern = /^(margin|padding)(-|$)|^border(-(top|right|bottom|left))?-width$/;
+  const rows = [];
+  Object.entries(computedStyles).forEach(([category, styles]) => {
+    const entries = Object.entries(styles || {})
+      .filter(([k]) => !(hasBoxModel && boxModelPattern.test(k)));
+    entries.forEach(([k, v], index) => {
+      const label = index === 0 ? (STYLE_CATEGORY_LABELS[category] || category) : '';
+      rows.push(`| ${escapeCell(label)} | ${escapeCell(k)} | ${escapeCell(String(v))} |`);
+    });
+  });
+  return rows;
+}
+
+/**
+ * 格式化 iframe 路径（顶层文档 → 元素所在文档）
+ *
+ * @param {Array<{selector: string, url: string}>} framePath - 每级 iframe 的选择器与文档 URL
+ * @returns {string} 路径文本
+ */
+function formatFramePath(framePath) {
+  return framePath
+    .map(frame => `\`${(frame && frame.selector) || 'iframe'}\` (${(frame && frame.url) || 'unknown'})`)
+    .join(' › ');
+}
+
+/**
+ * 将结构化盒模型格式化为 Markdown 表格行
+ *
+ * @param {Object} boxModel - { boxSizing, width, height, content, padding, border, margin }
+ * @returns {string[]} Markdown 行
+ */
+function formatBoxModel(boxModel) {
+  const edgeRow = (name, edges) => {
+    const e = edges || {};
+    return `| ${name} | ${e.top} | ${e.right} | ${e.bottom} | ${e.left} |`;
+  };
+  const content = boxModel.content || {};
+
+  return [
+    `**box-sizing**: ${boxModel.boxSizing || 'content-box'}（单位 px）`,
+    '',
+    '| 层 | 上 | 右 | 下 | 左 |',
+    '|----|----|----|----|----|',
+    edgeRow('margin', boxModel.margin),
+    edgeRow('border', boxModel.border),
+    edgeRow('padding', boxModel.padding),
+    '',
+    `**内容区**: ${content.width} x ${content.height}，**边框盒**: ${boxModel.width} x ${boxModel.height}`,
+  ];
+}
+
+/**
+ * 生成无障碍信息表（角色、可访问名称、描述、状态、可聚焦性、对比度）
+ *
+ * @param {Object} a11y - 无障碍数据
+ * @returns {string[]} Markdown 行
+ */
+function formatAccessibility(a11y) {
+  const states = Object.entries(a11y.states || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+  const contrast = a11y.contrast;
+  const rows = [
+    ['角色', a11y.role ? `${a11y.role}（${a11y.roleSource === 'explicit' ? '显式' : '隐式'}）` : '无'],
+    ['可访问名称', a11y.name ? `${a11y.name}（来源: ${a11y.nameSource}）` : '（空）'],
+    ['描述', a11y.description || '（空）'],
+    ['状态', states || '无'],
+    ['可聚焦', `${a11y.focusable ? '是' : '否'}（tabIndex ${a11y.tabIndex}）`],
+    ['无障碍树', a11y.hidden ? `已隐藏（${a11y.hiddenReason}）` : '可见'],
+  ];
+  if (contrast) {
+    const verdict = (passed) => (passed ? '通过' : '未通过');
+    rows.push([
+      '对比度',
+      `${contrast.ratio}:1（${contrast.foreground} / ${contrast.background}，${contrast.largeText ? '大号文本' : '普通文本'}）` +
+        `AA ${verdict(contrast.aa)} · AAA ${verdict(contrast.aaa)}${contrast.uncertain ? '（背景含图片，仅供参考）' : ''}`,
+    ]);
+  }
+
+  return [
+    '| 项目 | 值 |',
+    '|------|---|',
+    ...rows.map(([k, v]) => `| ${k} | ${escapeCell(String(v))} |`),
+  ];
+}
+
+/**
+ * 生成前端框架组件信息（组件名、组件栈、props / state）
+ *
+ * @param {Object} component - 组件数据
+ * @returns {string[]} Markdown 行
+ */
+function formatComponent(component) {
+  const frameworks = { react: 'React', vue2: 'Vue 2', vue3: 'Vue 3', svelte: 'Svelte', angular: 'Angular' };
+  const stack = Array.isArray(component.stack) ? component.stack : [];
+  const stackLabel = stack
+    .map((item) => (item.file ? `${item.name} (${item.file})` : item.name))
+    .join(' › ');
+  const rows = [];
+  [['Props', component.props], ['State', component.state]].forEach(([kind, values]) => {
+    Object.entries(values || {}).forEach(([key, value]) => {
+      rows.push(`| ${kind} | ${escapeCell(key)} | ${escapeCell(String(value))} |`);
+    });
+  });
+
+  return [
+    `**组件** (${frameworks[component.framework] || component.framework}): ${component.name}${component.file ? ` (${component.file})` : ''}`,
+    `**组件栈** (${component.stackType === 'owner' ? 'owner' : '父组件'}链，由内到外): ${stackLabel}`,
+    ...(rows.length > 0 ? ['', '| 类型 | 名称 | 值 |', '|------|------|----|', ...rows] : []),
+  ];
+}
+
+/**
+ * 生成源码位置标签（Bridge 已解析时为项目相对路径，否则为原始路径）
+ *
+ * @param {Object} location - sourceLocation 数据
+ * @returns {string} 如 "src/components/Card.tsx:42"
+ */
+function formatSourceLabel(location) {
+  const resolved = location.resolved;
+  const file = resolved ? resolved.path : location.file;
+  const line = resolved ? resolved.line : location.line;
+  return line ? `${file}:${line}` : file;
+}
+
+/**
+ * 生成源码位置信息（解析结果 + 代码摘录）
+ *
+ * @param {Object} location - sourceLocation 数据（resolved 由 Bridge 附加）
+ * @returns {string[]} Markdown 行
+ */
+function formatSourceLocation(location) {
+  const resolved = location.resolved;
+  const lines = [
+    `**文件**: \`${formatSourceLabel(location)}\`（来源: ${location.source}${resolved ? '' : '，未在项目中找到该文件'}）`,
+  ];
+  if (resolved && resolved.excerpt) {
+    lines.push('', '```', resolved.excerpt, '```');
+  }
+  return lines;
+}
+
+/**
+ * 生成匹配的 CSS 规则（仿 DevTools Styles 面板）
+ *
+ * @param {Object} matchedRules - { rules, inaccessible, total }
+ * @returns {string[]} Markdown 行
+ */
+function formatMatchedRules(matchedRules) {
+  const lines = [];
+  (matchedRules.rules || []).forEach((rule, index) => {
+    if (index > 0) lines.push('');
+    if (rule.origin !== 'inline') {
+      const meta = [rule.source || 'unknown', ...(rule.conditions || [])];
+      if (Array.isArray(rule.specificity)) meta.push(`特异性 (${rule.specificity.join(',')})`);
+      if (rule.matchedSelector && rule.matchedSelector !== rule.selector) meta.push(`命中: ${rule.matchedSelector}`);
+      lines.push(`/* ${meta.join(' · ')} */`);
+    }
+    lines.push(`${rule.selector} {`);
+    (rule.declarations || []).forEach((declaration) => {
+      const important = declaration.important ? ' !important' : '';
+      const overridden = declaration.overridden ? ' /* 已覆盖 */' : '';
+      lines.push(`  ${declaration.property}: ${declaration.value}${important};${overridden}`);
+    });
+    lines.push('}');
+  });
+
+  const shown = (matchedRules.rules || []).length;
+  const total = matchedRules.total || shown;
+  const result = [`按层叠优先级排列，${total > shown ? `显示 ${shown} / ${total} 条` : `共 ${shown} 条`}，被覆盖的声明标注 \`/* 已覆盖 */\``];
+  if (lines.length > 0) {
+    result.push('```css', ...lines, '```');
+  }
+  if (Array.isArray(matchedRules.inaccessible) && matchedRules.inaccessible.length > 0) {
+    result.push('', '无法读取的样式表（跨域且未启用 CORS）:');
+    matchedRules.inaccessible.forEach(source => result.push(`- ${source}`));
+  }
+  return result;
+}
+
+/**
+ * 生成选择器候选列表（只显示稳定性得分最高的前 3 个，完整列表见 selectorCandidates 字段）
+ *
+ * @param {Object[]} candidates - 按得分降序排列的候选 { strategy, selector, score, unique, count }
+ * @returns {string[]} 编号列表行（无候选时为空数组）
+ */
+function formatSelectorCandidates(candidates) {
+  if (!Array.isArray(candidates) || candidates.length === 0) return [];
+  return candidates.slice(0, 3).map((candidate, index) => {
+    const uniqueness = candidate.unique ? '' : `，不唯一：匹配 ${candidate.count} 个`;
+    return `${index + 1}. \`${candidate.selector}\`（${candidate.strategy}，稳定性 ${candidate.score}${uniqueness}）`;
+  });
+}
+
+/**
+ * 生成事件监听器表（self 为元素自身，其余为事件传播路径上的祖先）
+ *
+ * @param {Object[]} listeners - 监听器记录
+ * @returns {string[]} Markdown 行
+ */
+function formatListeners(listeners) {
+  if (listeners.length === 0) {
+    return ['未记录到监听器（记录模式仅覆盖脚本安装之后注册的监听器）'];
+  }
+  const rows = listeners.map((record) => {
+    const flags = [
+      record.capture ? 'capture' : 'bubble',
+      record.passive ? 'passive' : '',
+      record.once ? 'once' : '',
+      record.inline ? 'inline' : '',
+    ].filter(Boolean).join(', ');
+    return `| ${escapeCell(record.target)} | ${escapeCell(record.type)} | ${flags} | ${escapeCell(record.name)} | \`${escapeCell(record.source || '')}\` |`;
+  });
+  return [
+    '| 目标 | 事件 | 选项 | 处理函数 | 源码片段 |',
+    '|------|------|------|----------|----------|',
+    ...rows,
+  ];
+}
+
+/**
+ * 生成页面错误表（控制台错误 / 警告、未捕获异常、失败请求；URL 查询参数已在浏览器端脱敏）
+ *
+ * @param {Object[]} entries - ErrorCapture 记录
+ * @returns {string[]} Markdown 行（无记录时为空数组）
+ */
+function formatPageErrors(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+  const rows = entries.map((entry) => {
+    const time = entry.time ? new Date(entry.time).toLocaleTimeString('zh-CN', { hour12: false }) : '';
+    const message = entry.kind === 'network' ? `${entry.message} (${entry.duration}ms)` : entry.message;
+    const origin = entry.url || entry.source;
+    return `| ${time} | ${escapeCell(entry.kind)} | ${escapeCell(message)} | ${origin ? `\`${escapeCell(origin)}\`` : ''} | ${entry.count || 1} |`;
+  });
+  return [
+    '| 时间 | 类型 | 消息 | URL / 位置 | 次数 |',
+    '|------|------|------|------------|------|',
+    ...rows,
+  ];
 }
 
 /**
@@ -429,7 +1000,17 @@ mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
         name: 'get_selected_element',
         description:
           '获取浏览器中最近一次通过 Web Inspector 选中的页面元素数据。' +
-          '返回元素的 CSS 选择器、XPath、属性、计算样式、HTML 内容等完整信息。' +
+          '返回元素的 CSS 选择器、XPath、按稳定性排序的选择器候选、属性、计算样式、HTML 内容等完整信息。' +
+          'computedStyles 默认为固定白名单中的样式（styleProfile 为 compact）；用户在设置中改为 diff 时只包含与浏览器默认值不同的样式并按类别分组；' +
+          'matchedRules 按层叠优先级列出命中的 CSS 规则（选择器、特异性、来源样式表、@media / @supports / @layer 条件、被覆盖的声明）。' +
+          '多选（Shift+点击）时返回按选择顺序编号的元素列表（Element 1 … Element N），' +
+          '框选（R 键拖拽）时返回区域坐标、公共祖先选择器与区域内元素列表。' +
+          '文本选区（Alt+Shift+S）时返回选中文本、起止边界与所在元素信息。' +
+          '用户通过指令输入框（Alt+点击）附加的指令位于 note 字段（markdown 格式中显示在最前面）。' +
+          '元素由 React / Vue / Svelte / Angular 组件渲染时，component 字段包含组件名、组件栈与 props / state 摘要。' +
+          '开启事件监听器记录模式时，listeners 字段列出元素及其祖先上的监听器（事件类型、capture / passive / once、处理函数与源码片段）。' +
+          '开发构建暴露源码位置时，sourceLocation.resolved 给出项目内的文件路径、行号与代码摘录。' +
+          '浏览器端开启截图（SCREENSHOT.ENABLED）时，单元素结果附带元素截图（image 内容）。' +
           '使用前需确保浏览器中已安装并启用 Web Inspector 油猴脚本。',
         inputSchema: {
           type: 'object',
@@ -443,10 +1024,208 @@ mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
           required: [],
         },
       },
+      {
+        name: 'query_elements',
+        description:
+          '在浏览器当前页面中按 CSS 选择器查询元素（无需用户点选），返回与 get_selected_element 相同结构的元素数据。' +
+          '支持 ">>>" 穿透 Shadow DOM（如 "my-app >>> .card"）。只查询顶层文档，不进入 iframe。' +
+          'detail 为 summary 时只返回标签、选择器、位置尺寸与文本摘要，适合先确认匹配范围。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', description: 'CSS 选择器' },
+            limit: { type: 'number', description: '最多返回的元素数，默认 5，最大 20' },
+            detail: { type: 'string', enum: ['full', 'summary'], description: '返回详细程度，默认 full' },
+            format: { type: 'string', enum: ['json', 'markdown'], description: '返回格式，默认 json' },
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: ['selector'],
+        },
+      },
+      {
+        name: 'scroll_to_element',
+        description: '将浏览器页面中匹配选择器的第一个元素滚动到视口内，并短暂高亮，返回元素摘要与滚动位置。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', description: 'CSS 选择器（支持 ">>>" 穿透 Shadow DOM）' },
+            block: { type: 'string', enum: ['start', 'center', 'end', 'nearest'], description: '垂直对齐方式，默认 center' },
+            highlight: { type: 'boolean', description: '是否高亮元素，默认 true' },
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: ['selector'],
+        },
+      },
+      {
+        name: 'highlight_elements',
+        description:
+          '在浏览器页面中为选择器匹配的每个元素绘制带标签的高亮框（标签 + 序号 + 元素标签），便于用户确认所指的元素。' +
+          '高亮随页面滚动更新，durationMs 后自动消失（0 表示保留到 clear_highlights 或用户按 Esc）。' +
+          '返回匹配总数与已高亮数；无匹配或匹配过多时 warning 字段给出提示。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', description: 'CSS 选择器（支持 ">>>" 穿透 Shadow DOM）' },
+            label: { type: 'string', description: '显示在高亮框上的标签，如 "已修改"' },
+            durationMs: { type: 'number', description: '显示时长（毫秒），默认 10000，0 表示直到清除' },
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: ['selector'],
+        },
+      },
+      {
+        name: 'clear_highlights',
+        description: '移除 highlight_elements 绘制的全部高亮框。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'preview_styles',
+        description:
+          '在浏览器页面中临时应用样式声明（以 !important 注入页面末尾的 <style>，不修改源码），用于让用户在真实页面上确认修复效果。' +
+          '每次调用压入撤销栈并返回预览 ID、匹配元素数，以及第一个匹配元素上这些属性应用前后的计算值。' +
+          '确认后用 export_preview_css 导出累计的 CSS 补丁写回源码；不满意用 revert_preview 撤销。刷新页面后预览消失。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', description: 'CSS 选择器（不支持 ">>>"）' },
+            declarations: {
+              type: ['object', 'string'],
+              description: '样式声明：{ "padding": "8px", "color": "#333" } 或 "padding: 8px; color: #333"',
+            },
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: ['selector', 'declarations'],
+        },
+      },
+      {
+        name: 'revert_preview',
+        description: '撤销 preview_styles 应用的样式：默认撤销最近一次，可指定预览 ID 或 all 撤销全部。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: '要撤销的预览 ID（preview_styles 返回）' },
+            all: { type: 'boolean', description: '撤销全部预览' },
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'export_preview_css',
+        description:
+          '导出当前仍生效的全部样式预览，按选择器合并为一份 CSS 补丁（不含 !important），用于写回项目源码。' +
+          '每条声明以注释标注首次预览前的计算值（before），便于对照修改前后。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'get_page_errors',
+        description:
+          '读取浏览器页面最近的控制台错误 / 警告、未捕获异常、未处理的 Promise 拒绝、资源加载失败与失败的 fetch / XHR 请求（方法、URL、状态码、耗时）。' +
+          '需要在油猴菜单中开启 "错误记录" 并刷新页面；URL 的查询参数值已脱敏为 ***。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', description: '最多返回的条数（最新的在后），默认 20' },
+            kind: { type: 'string', description: '按类型前缀过滤：console / exception / rejection / resource / network' },
+            format: { type: 'string', enum: ['json', 'markdown'], description: '返回格式，默认 json' },
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'get_page_info',
+        description: '读取浏览器页面的 URL、标题、视口尺寸、设备像素比、滚动位置与文档尺寸。',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: { type: 'string', description: '目标标签页 ID（见 list_tabs），默认最近活跃的标签页' },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'list_tabs',
+        description: '列出已连接 Bridge 的浏览器标签页（tabId、URL、标题、最近活跃时间），最近活跃的在前。',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          required: [],
+        },
+      },
     ],
   };
 });
 
+/**
+ * 页面命令工具 → 命令参数（tabId 单独传递）
+ */
+const PAGE_COMMAND_TOOLS = {
+  query_elements: (args) => ({ selector: args.selector, limit: args.limit, detail: args.detail }),
+  scroll_to_element: (args) => ({ selector: args.selector, block: args.block, highlight: args.highlight }),
+  highlight_elements: (args) => ({ selector: args.selector, label: args.label, durationMs: args.durationMs }),
+  clear_highlights: () => ({}),
+  preview_styles: (args) => ({ selector: args.selector, declarations: args.declarations }),
+  revert_preview: (args) => ({ id: args.id, all: args.all }),
+  export_preview_css: () => ({}),
+  get_page_errors: (args) => ({ limit: args.limit, kind: args.kind }),
+  get_page_info: () => ({}),
+  list_tabs: () => ({}),
+};
+
+/**
+ * 执行页面命令工具并转换为 MCP 返回值
+ *
+ * @param {string} name - 工具名（同命令名）
+ * @param {Object} args - 工具参数
+ * @returns {Promise<Object>} MCP 工具结果
+ */
+async function callPageCommand(name, args) {
+  const response = await sendCommand(name, PAGE_COMMAND_TOOLS[name](args), args.tabId);
+
+  if (!response.ok) {
+    return {
+      content: [{ type: 'text', text: `页面命令 ${name} 执行失败: ${response.error}` }],
+      isError: true,
+    };
+  }
+
+  if (name === 'export_preview_css') {
+    const { css, previews } = response.result || {};
+    return {
+      content: [{
+        type: 'text',
+        text: css ? `样式预览补丁（合并自 ${previews.length} 次预览，注释为预览前的计算值）:\n\n\`\`\`css\n${css}\n\`\`\`` : '当前页面没有生效的样式预览。',
+      }],
+    };
+  }
+
+  if (name === 'get_page_errors' && args.format === 'markdown') {
+    const { enabled, total, entries } = response.result || {};
+    const text = !enabled
+      ? '页面未开启错误记录：在油猴菜单中选择 "切换错误记录（刷新后生效）" 后刷新页面。'
+      : [`## 页面错误（共 ${total} 条，显示 ${entries.length} 条）`, '', ...(entries.length > 0 ? formatPageErrors(entries) : ['暂无记录'])].join('\n');
+    return { content: [{ type: 'text', text }] };
+  }
+
+  const text = name === 'query_elements' && args.format === 'markdown'
+    ? formatMarkdownQuery(response.result)
+    : JSON.stringify(response.tabId ? { tabId: response.tabId, result: response.result } : response.result, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
 /**
  * 注册工具调用处理器
  *
@@ -480,21 +1259,35 @@ mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     const format = (args && args.format) || 'json';
 
+    // 单元素附带截图时，以 MCP image 内容返回在文本之后
+    const screenshot = latestElementType === 'element' ? readScreenshot(latestElement) : null;
+
     if (format === 'markdown') {
+      const formatters = {
+        element: formatMarkdown,
+        elements: formatMarkdownList,
+        region: formatMarkdownRegion,
+        text: formatMarkdownText,
+      };
+      const errorLines = formatPageErrors(latestPageErrors);
       return {
         content: [
           {
             type: 'text',
-            text: formatMarkdown(latestElement),
+            text: errorLines.length > 0
+              ? [formatters[latestElementType](latestElement), '', `### 页面错误（最近 ${latestPageErrors.length} 条）`, ...errorLines].join('\n')
+              : formatters[latestElementType](latestElement),
           },
+          ...(screenshot ? [screenshot] : []),
         ],
       };
     }
 
-    // 默认 JSON 格式，附带捕获时间戳
+    // 默认 JSON 格式，附带捕获时间戳（键名与数据类型对应：element / elements / region / text）
     const result = {
       capturedAt: latestElementTimestamp,
-      element: latestElement,
+      [latestElementType]: latestElement,
+      ...(latestPageErrors ? { pageErrors: latestPageErrors } : {}),
     };
     return {
       content: [
@@ -502,10 +1295,15 @@ mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
           type: 'text',
           text: JSON.stringify(result, null, 2),
         },
+        ...(screenshot ? [screenshot] : []),
       ],
     };
   }
 
+  if (Object.prototype.hasOwnProperty.call(PAGE_COMMAND_TOOLS, name)) {
+    return callPageCommand(name, args || {});
+  }
+
   // 未知工具
   return {
     content: [
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 const WebSocket = require('ws');
 
@@ -14,8 +15,22 @@ const WebSocket = require('ws');
 // 常量配置
 // ============================================
 const PID_FILE = path.join(__dirname, 'bridge.pid');
+const COMMAND_TOKEN_FILE = path.join(__dirname, '.command-token');  // 页面命令共享密钥（本机安装唯一，MCP Server 读取同一文件）
+const LISTEN_HOST = '127.0.0.1';      // 两个端口都只监听本机回环地址
 const DEFAULT_PORT = 51765;
 const SUBSCRIBER_PORT = 51766;  // CLI 订阅端口
+const SCREENSHOT_DIR = path.join(__dirname, 'screenshots');
+const MAX_SCREENSHOTS = 50;           // 截图目录最多保留的文件数
+const IMAGE_CHUNK_TIMEOUT = 60000;    // 未收齐的图片分片保留时长（毫秒）
+const MAX_IMAGE_CHUNKS = 512;         // 单张截图最多分片数
+const MAX_IMAGE_CHUNK_LENGTH = 256 * 1024;     // 单个分片最大长度（base64 字符，浏览器默认 64K）
+const MAX_IMAGE_LENGTH = 16 * 1024 * 1024;     // 单张截图 base64 总长度上限
+const MAX_PENDING_IMAGES = 8;         // 同时接收中的截图数量上限（超出时丢弃最早的）
+const SOURCE_EXCERPT_RADIUS = 3;      // 源码摘录在目标行上下各保留的行数
+const MAX_SOURCE_FILE_SIZE = 2 * 1024 * 1024;  // 超过该大小的源码文件不做摘录
+const MESSAGE_ID_TTL = 24 * 60 * 60 * 1000;    // 已处理消息 ID 的保留时长（毫秒），用于离线队列重放去重
+const MAX_MESSAGE_IDS = 1000;                  // 最多记录的已处理消息 ID 数量
+const COMMAND_TIMEOUT = 10000;        // 等待浏览器执行命令的时长（毫秒）
 
 const runtimeOptions = {
   port: DEFAULT_PORT
@@ -25,6 +40,25 @@ const runtimeOptions = {
 const subscribers = new Map();
 // clientId → { ws, projectPath, projectName, tty, pid, lastHeartbeat }
 
+// 正在接收的图片分片
+const pendingImages = new Map();
+// imageId → { mimeType, total, chunks, received, length, updatedAt }
+
+// 已处理的选中消息 ID（浏览器离线队列重放时去重）
+const processedMessageIds = new Map();
+// messageId → processedAt
+
+// 已连接的浏览器标签页（油猴脚本连接后发送携带命令密钥的 hello 登记，只有登记过的标签页会收到命令）
+const browserTabs = new Map();
+// tabId → { ws, url, title, connectedAt, lastActiveAt }
+
+// 已转发给浏览器、等待结果的命令
+const pendingCommands = new Map();
+// bridgeRequestId → { subscriberWs, requestId, tabId, tabWs, projectPath, timer }
+
+// 页面命令共享密钥（main 启动时加载）
+let commandToken = '';
+
 // ============================================
 // PID 文件管理
 // ============================================
@@ -135,7 +169,7 @@ function parseArgs(argv) {
  */
 function tryPort(port) {
   return new Promise((resolve, reject) => {
-    const server = new WebSocket.Server({ port });
+    const server = new WebSocket.Server({ host: LISTEN_HOST, port });
 
     const cleanup = () => {
       server.removeListener('listening', onListening);
@@ -189,6 +223,58 @@ async function createServer(port) {
   throw lastError || new Error('端口不可用');
 }
 
+// ============================================
+// 订阅端口访问控制
+// ============================================
+
+/**
+ * 读取页面命令共享密钥，不存在时生成并写入（仅当前用户可读）
+ *
+ * @returns {string} 密钥（十六进制）
+ */
+function loadCommandToken() {
+  try {
+    const existing = fs.readFileSync(COMMAND_TOKEN_FILE, 'utf8').trim();
+    if (/^[a-f0-9]{64}$/.test(existing)) return existing;
+  } catch (error) {
+    // 首次启动：文件不存在
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(COMMAND_TOKEN_FILE, token, { encoding: 'utf8', mode: 0o600 });
+  return token;
+}
+
+/**
+ * 校验 command 消息携带的共享密钥（常量时间比较）
+ *
+ * @param {*} token - 订阅者发送的密钥
+ * @returns {boolean}
+ */
+function isValidCommandToken(token) {
+  if (!commandToken || typeof token !== 'string' || token.length !== commandToken.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(commandToken));
+}
+
+/**
+ * 订阅端口握手校验：拒绝带 Origin 头的连接
+ *
+ * 浏览器发起的 WebSocket 握手总会带 Origin，而 MCP Server / CLI（Node ws 客户端）不会，
+ * 因此网页无法借用户浏览器连接订阅端口读取其他标签页的内容
+ *
+ * @param {{origin: string, req: Object}} info - ws 提供的握手信息
+ * @returns {boolean} 是否允许连接
+ */
+function verifySubscriberClient(info) {
+  if (info.origin || (info.req && info.req.headers && info.req.headers.origin)) {
+    process.stderr.write(`[Bridge] 拒绝来自浏览器页面的订阅连接: ${info.origin || info.req.headers.origin}\n`);
+    return false;
+  }
+  return true;
+}
+
 // ============================================
 // 格式化输出
 // ============================================
@@ -211,18 +297,170 @@ function escapeTableCell(text) {
 // 自动粘贴推送（Push to Ghostty/Claude Code）
 // ============================================
 
+/**
+ * 生成元素标识标题（tag#id.class1.class2）
+ *
+ * @param {Object} data - 元素数据对象
+ * @returns {string}
+ */
+function formatElementTitle(data) {
+  const safeData = data || {};
+  const tagName = safeData.tagName || '';
+  const id = safeData.id || '';
+  const className = safeData.className || '';
+  const classLabel = typeof className === 'string'
+    ? className.trim().split(/\s+/).filter(Boolean).map(c => `.${c}`).join('')
+    : '';
+  return `${tagName || 'element'}${id ? `#${id}` : ''}${classLabel}`;
+}
+
 /**
  * 将元素数据格式化为粘贴到 Claude Code 的完整消息
  *
  * 业务逻辑：
- * 1. 以 [Web Inspector] 前缀标识来源
- * 2. 包含完整元素信息（标签、选择器、属性、样式、HTML）
- * 3. 对超长文本进行截断保护
+ * 1. 第一行为源码位置（path:line，已解析时为项目相对路径），其后是用户在指令输入框中填写的 note
+ * 2. 以 [Web Inspector] 前缀标识来源
+ * 3. 包含完整元素信息（标签、选择器、属性、样式、HTML）
+ * 4. 对超长文本进行截断保护
  *
  * @param {Object} data - 元素数据对象
  * @returns {string} 格式化后的完整消息文本
  */
 function formatElementForPaste(data) {
+  const note = data && typeof data.note === 'string' ? data.note.trim() : '';
+  const sourceLabel = data && data.sourceLocation ? formatSourceLabel(data.sourceLocation) : '';
+  const lines = [
+    ...(sourceLabel ? [sourceLabel] : []),
+    ...(note ? [note, ''] : sourceLabel ? [''] : []),
+    `[Web Inspector] ${formatElementTitle(data)}`,
+    '',
+    ...formatElementDetails(data)
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * 将多选元素列表格式化为一条粘贴消息（Element 1 … Element N）
+ *
+ * 业务逻辑：
+ * 1. 标题说明元素数量，编号与浏览器端徽标一致（按选择顺序）
+ * 2. 每个元素输出 "Element i: 标题" 小节，内容与单元素格式相同
+ *
+ * @param {Object[]} list - 元素数据数组
+ * @returns {string} 格式化后的完整消息文本
+ */
+function formatElementsForPaste(list) {
+  const elements = Array.isArray(list) ? list : [];
+  const lines = [`[Web Inspector] 已选中 ${elements.length} 个元素（编号按选择顺序）`];
+
+  elements.forEach((data, index) => {
+    lines.push('', `### Element ${index + 1}: ${formatElementTitle(data)}`, '', ...formatElementDetails(data));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 将框选区域数据格式化为一条粘贴消息
+ *
+ * 业务逻辑：
+ * 1. 标题说明区域内元素数量
+ * 2. 列出区域（视口坐标）、视口尺寸与滚动位置、公共祖先选择器
+ * 3. 元素列表以表格输出（序号、标识、选择器、位置、尺寸、文本）
+ *
+ * @param {Object} data - 区域数据对象
+ * @returns {string} 格式化后的完整消息文本
+ */
+function formatRegionForPaste(data) {
+  const safeData = data || {};
+  const region = safeData.region || {};
+  const viewport = safeData.viewport || {};
+  const elements = Array.isArray(safeData.elements) ? safeData.elements : [];
+
+  const lines = [
+    `[Web Inspector] 区域选择: ${elements.length} 个元素`,
+    '',
+    `- 区域: (${region.x}, ${region.y}) ${region.width} x ${region.height}（视口坐标）`,
+    `- 视口: ${viewport.width} x ${viewport.height}，滚动位置 (${viewport.scrollX}, ${viewport.scrollY})`,
+    `- 公共祖先: \`${safeData.ancestorSelector || ''}\``,
+  ];
+
+  if (Array.isArray(safeData.framePath) && safeData.framePath.length > 0) {
+    lines.push(`- 所在 iframe: ${formatFramePath(safeData.framePath)}（区域坐标相对该 iframe 视口）`);
+  }
+
+  if (safeData.truncated) {
+    lines.push(`- 注意: 区域内共匹配 ${safeData.totalMatched} 个元素，仅发送前 ${elements.length} 个`);
+  }
+
+  if (elements.length > 0) {
+    const rows = elements.map((item, index) => {
+      const rect = item.boundingRect || {};
+      return `| ${index + 1} | ${escapeTableCell(formatElementTitle(item))} | \`${escapeTableCell(item.cssSelector)}\` | (${rect.x}, ${rect.y}) | ${rect.width} x ${rect.height} | ${escapeTableCell(item.textContent)} |`;
+    });
+    lines.push('', '元素:', '| # | 元素 | 选择器 | 位置 | 尺寸 | 文本 |', '|---|------|--------|------|------|------|', ...rows);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 将文本选区数据格式化为一条粘贴消息
+ *
+ * 业务逻辑：
+ * 1. 选中文本以 Markdown 引用块输出（逐行加 "> "）
+ * 2. 列出起止边界（所在元素选择器 + 偏移量）
+ * 3. 附带包含选区的元素详情，内容与单元素格式相同
+ *
+ * @param {Object} data - 文本选区数据对象
+ * @returns {string} 格式化后的完整消息文本
+ */
+function formatTextForPaste(data) {
+  const safeData = data || {};
+  const text = String(safeData.text || '');
+  const lines = [
+    '[Web Inspector] 选中文本',
+    '',
+    ...text.split('\n').map((line) => `> ${line}`),
+    '',
+  ];
+
+  if (safeData.textLength > text.length) {
+    lines.push(`- 注意: 选中文本共 ${safeData.textLength} 个字符，已截断`);
+  }
+  lines.push(`- 起点: ${formatTextBoundary(safeData.start)}`);
+  lines.push(`- 终点: ${formatTextBoundary(safeData.end)}`);
+
+  if (Array.isArray(safeData.framePath) && safeData.framePath.length > 0) {
+    lines.push(`- 所在 iframe: ${formatFramePath(safeData.framePath)}`);
+  }
+
+  if (safeData.ancestor) {
+    lines.push('', `### 所在元素: ${formatElementTitle(safeData.ancestor)}`, '', ...formatElementDetails(safeData.ancestor));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 格式化文本选区边界
+ *
+ * @param {Object} boundary - { selector, nodeType, childIndex, offset }
+ * @returns {string} 如 "`p.intro` 第 0 个子节点（文本）偏移 12"
+ */
+function formatTextBoundary(boundary) {
+  if (!boundary) return '未知';
+  const nodeLabel = boundary.nodeType === 'text' ? '文本' : '元素';
+  return `\`${boundary.selector || ''}\` 第 ${boundary.childIndex} 个子节点（${nodeLabel}）偏移 ${boundary.offset}`;
+}
+
+/**
+ * 生成单个元素的详情行（标签、选择器、属性表、样式表、HTML）
+ *
+ * @param {Object} data - 元素数据对象
+ * @returns {string[]} 详情行
+ */
+function formatElementDetails(data) {
   const safeData = data || {};
   const tagName = safeData.tagName || '';
   const id = safeData.id || '';
@@ -234,6 +472,7 @@ function formatElementForPaste(data) {
   const height = Number.isFinite(rect.height) ? Math.round(rect.height) : '';
   const attributes = safeData.attributes || {};
   const computedStyles = safeData.computedStyles || safeData.styles || {};
+  const boxModel = safeData.boxModel || null;
   const outerHTML = safeData.outerHTML || '';
 
   // 文本内容截断到 200 字符
@@ -248,25 +487,16 @@ function formatElementForPaste(data) {
     htmlContent = htmlContent.slice(0, 3000) + '\n<!-- truncated -->';
   }
 
-  // 构建标识标题
-  const classLabel = typeof className === 'string'
-    ? className.trim().split(/\s+/).filter(Boolean).map(c => `.${c}`).join('')
-    : '';
-  const title = `${tagName || 'element'}${id ? `#${id}` : ''}${classLabel}`;
-
   // 属性表
   const attrRows = Object.entries(attributes)
     .map(([k, v]) => `| ${escapeTableCell(k)} | ${escapeTableCell(String(v))} |`)
     .join('\n');
 
-  // 样式表
-  const styleRows = Object.entries(computedStyles)
-    .map(([k, v]) => `| ${escapeTableCell(k)} | ${escapeTableCell(String(v))} |`)
-    .join('\n');
+  // 样式表（有结构化盒模型时，margin / padding / border 由盒模型表代替）
+  const isStyleDiff = safeData.styleProfile === 'diff';
+  const styleRows = formatStyleRows(computedStyles, isStyleDiff, Boolean(boxModel)).join('\n');
 
   const lines = [
-    `[Web Inspector] ${title}`,
-    '',
     `- 标签: ${tagName}`,
     `- ID: ${id}`,
     `- 类名: ${className}`,
@@ -276,19 +506,338 @@ function formatElementForPaste(data) {
     `- 尺寸: ${width} x ${height}`,
   ];
 
+  if (safeData.piercingSelector) {
+    lines.push(`- Shadow DOM 穿透选择器: \`${safeData.piercingSelector}\`（选择器 / XPath 相对元素所在 shadow root）`);
+  }
+
+  if (Array.isArray(safeData.framePath) && safeData.framePath.length > 0) {
+    lines.push(`- 所在 iframe: ${formatFramePath(safeData.framePath)}`);
+  }
+
+  const screenshotPath = getScreenshotPath(safeData.screenshotId);
+  if (screenshotPath) {
+    lines.push(`- 截图: ${screenshotPath}`);
+  }
+
+  const selectorCandidates = formatSelectorCandidates(safeData.selectorCandidates);
+  if (selectorCandidates.length > 0) {
+    lines.push('', '选择器候选（按稳定性排序）:', ...selectorCandidates);
+  }
+
   if (attrRows) {
     lines.push('', '属性:', '| 属性 | 值 |', '|------|---|', attrRows);
   }
 
+  if (safeData.accessibility) {
+    lines.push('', ...formatAccessibility(safeData.accessibility));
+  }
+
+  if (boxModel) {
+    lines.push('', ...formatBoxModel(boxModel));
+  }
+
   if (styleRows) {
-    lines.push('', '关键样式:', '| 属性 | 值 |', '|------|---|', styleRows);
+    if (isStyleDiff) {
+      lines.push('', '非默认样式（与浏览器默认样式不同的属性）:', '| 类别 | 属性 | 值 |', '|------|------|---|', styleRows);
+    } else {
+      lines.push('', '关键样式:', '| 属性 | 值 |', '|------|---|', styleRows);
+    }
+  }
+
+  if (safeData.matchedRules) {
+    lines.push('', ...formatMatchedRules(safeData.matchedRules));
+  }
+
+  if (Array.isArray(safeData.listeners)) {
+    lines.push('', ...formatListeners(safeData.listeners));
+  }
+
+  // 组件栈放在 HTML 之前，便于直接定位到源码文件
+  if (safeData.component) {
+    lines.push('', ...formatComponent(safeData.component));
+  }
+
+  if (safeData.sourceLocation) {
+    lines.push('', ...formatSourceLocation(safeData.sourceLocation));
   }
 
   if (htmlContent) {
     lines.push('', 'HTML:', '```html', htmlContent, '```');
   }
 
-  return lines.join('\n');
+  return lines;
+}
+
+/**
+ * 格式化 iframe 路径（顶层文档 → 元素所在文档）
+ *
+ * @param {Array<{selector: string, url: string}>} framePath - 每级 iframe 的选择器与文档 URL
+ * @returns {string} 如 `#preview` (https://a.com/frame) › `iframe` (https://b.com/)
+ */
+function formatFramePath(framePath) {
+  return framePath
+    .map(frame => `\`${(frame && frame.selector) || 'iframe'}\` (${(frame && frame.url) || 'unknown'})`)
+    .join(' › ');
+}
+
+/**
+ * 盒模型已覆盖的扁平样式键（formatElementDetails 中不再重复输出）
+ */
+const BOX_MODEL_STYLE_KEYS = ['margin', 'padding', 'border'];
+
+/**
+ * 差异模式下盒模型已覆盖的样式属性（margin / padding / border-width 及其长写）
+ */
+const BOX_MODEL_DIFF_PATTERN = /^(margin|padding)(-|$)|^border(-(top|right|bottom|left))?-width$/;
+
+/**
+ * 样式类别显示名称（与用户脚本 STYLE_CATEGORIES 对应）
+ */
+const STYLE_CATEGORY_LABELS = {
+  layout: '布局',
+  'flex-grid': 'Flex / Grid',
+  box: '盒模型与边框',
+  typography: '文本',
+  background: '背景',
+  effects: '视觉效果',
+  interaction: '交互',
+  other: '其他',
+};
+
+/**
+ * 生成样式表行
+ *
+ * 业务逻辑：
+ * 1. 白名单模式：| 属性 | 值 |，扁平键值
+ * 2. 差异模式：| 类别 | 属性 | 值 |，同类别只在首行标注类别名
+ * 3. 有结构化盒模型时跳过盒模型已覆盖的属性
+ *
+ * @param {Object} computedStyles - 白名单模式为扁平对象，差异模式为 { 类别: { 属性: 值 } }
+ * @param {boolean} isDiff - 是否为差异模式
+ * @param {boolean} hasBoxModel - 是否已输出盒模型表
+ * @returns {string[]} 表格行
+ */
+function formatStyleRows(computedStyles, isDiff, hasBoxModel) {
+  if (!isDiff) {
+    return Object.entries(computedStyles)
+      .filter(([k]) => !(hasBoxModel && BOX_MODEL_STYLE_KEYS.includes(k)))
+      .map(([k, v]) => `| ${escapeTableCell(k)} | ${escapeTableCell(String(v))} |`);
+  }
+
+  const rows = [];
+  Object.entries(computedStyles).forEach(([category, styles]) => {
+    const entries = Object.entries(styles || {})
+      .filter(([k]) => !(hasBoxModel && BOX_MODEL_DIFF_PATTERN.test(k)));
+    entries.forEach(([k, v], index) => {
+      const label = index === 0 ? (STYLE_CATEGORY_LABELS[category] || category) : '';
+      rows.push(`| ${escapeTableCell(label)} | ${escapeTableCell(k)} | ${escapeTableCell(String(v))} |`);
+    });
+  });
+  return rows;
+}
+
+/**
+ * 将结构化盒模型格式化为表格行
+ *
+ * @param {Object} boxModel - { boxSizing, width, height, content, padding, border, margin }
+ * @returns {string[]} 表格行
+ */
+function formatBoxModel(boxModel) {
+  const edgeRow = (name, edges) => {
+    const e = edges || {};
+    return `| ${name} | ${e.top} | ${e.right} | ${e.bottom} | ${e.left} |`;
+  };
+  const content = boxModel.content || {};
+
+  return [
+    `盒模型 (box-sizing: ${boxModel.boxSizing || 'content-box'}, 单位 px):`,
+    '| 层 | 上 | 右 | 下 | 左 |',
+    '|----|----|----|----|----|',
+    edgeRow('margin', boxModel.margin),
+    edgeRow('border', boxModel.border),
+    edgeRow('padding', boxModel.padding),
+    `- 内容区: ${content.width} x ${content.height}，边框盒: ${boxModel.width} x ${boxModel.height}`,
+  ];
+}
+
+/**
+ * 生成无障碍信息表（角色、可访问名称、描述、状态、可聚焦性、对比度）
+ *
+ * @param {Object} a11y - 无障碍数据
+ * @returns {string[]} 表格行
+ */
+function formatAccessibility(a11y) {
+  const states = Object.entries(a11y.states || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+  const contrast = a11y.contrast;
+  const rows = [
+    ['角色', a11y.role ? `${a11y.role}（${a11y.roleSource === 'explicit' ? '显式' : '隐式'}）` : '无'],
+    ['可访问名称', a11y.name ? `${a11y.name}（来源: ${a11y.nameSource}）` : '（空）'],
+    ['描述', a11y.description || '（空）'],
+    ['状态', states || '无'],
+    ['可聚焦', `${a11y.focusable ? '是' : '否'}（tabIndex ${a11y.tabIndex}）`],
+    ['无障碍树', a11y.hidden ? `已隐藏（${a11y.hiddenReason}）` : '可见'],
+  ];
+  if (contrast) {
+    const verdict = (passed) => (passed ? '通过' : '未通过');
+    rows.push([
+      '对比度',
+      `${contrast.ratio}:1（${contrast.foreground} / ${contrast.background}，${contrast.largeText ? '大号文本' : '普通文本'}）` +
+        `AA ${verdict(contrast.aa)} · AAA ${verdict(contrast.aaa)}${contrast.uncertain ? '（背景含图片，仅供参考）' : ''}`,
+    ]);
+  }
+
+  return [
+    '无障碍:',
+    '| 项目 | 值 |',
+    '|------|---|',
+    ...rows.map(([k, v]) => `| ${k} | ${escapeTableCell(String(v))} |`),
+  ];
+}
+
+/**
+ * 生成前端框架组件信息（组件名、组件栈、props / state）
+ *
+ * @param {Object} component - 组件数据
+ * @returns {string[]} 输出行
+ */
+function formatComponent(component) {
+  const frameworks = { react: 'React', vue2: 'Vue 2', vue3: 'Vue 3', svelte: 'Svelte', angular: 'Angular' };
+  const stack = Array.isArray(component.stack) ? component.stack : [];
+  const stackLabel = stack
+    .map((item) => (item.file ? `${item.name} (${item.file})` : item.name))
+    .join(' › ');
+  const rows = [];
+  [['Props', component.props], ['State', component.state]].forEach(([kind, values]) => {
+    Object.entries(values || {}).forEach(([key, value]) => {
+      rows.push(`| ${kind} | ${escapeTableCell(key)} | ${escapeTableCell(String(value))} |`);
+    });
+  });
+
+  return [
+    `组件 (${frameworks[component.framework] || component.framework}): ${component.name}${component.file ? ` (${component.file})` : ''}`,
+    `组件栈 (${component.stackType === 'owner' ? 'owner' : '父组件'}链，由内到外): ${stackLabel}`,
+    ...(rows.length > 0 ? ['', '| 类型 | 名称 | 值 |', '|------|------|----|', ...rows] : []),
+  ];
+}
+
+/**
+ * 生成源码位置信息（解析结果 + 代码摘录）
+ *
+ * @param {Object} location - sourceLocation 数据（resolved 由 Bridge 附加）
+ * @returns {string[]} 输出行
+ */
+function formatSourceLocation(location) {
+  const resolved = location.resolved;
+  if (!resolved) {
+    return [`源码位置: ${formatSourceLabel(location)}（来源: ${location.source}，未在项目中找到该文件）`];
+  }
+
+  const lines = [`源码位置: ${formatSourceLabel(location)}（来源: ${location.source}）`];
+  if (resolved.excerpt) {
+    lines.push('```', resolved.excerpt, '```');
+  }
+  return lines;
+}
+
+/**
+ * 生成匹配的 CSS 规则（仿 DevTools Styles 面板：按层叠优先级排列，被覆盖的声明加注释）
+ *
+ * @param {Object} matchedRules - { rules, inaccessible, total }
+ * @returns {string[]} 输出行
+ */
+function formatMatchedRules(matchedRules) {
+  const lines = [];
+  (matchedRules.rules || []).forEach((rule, index) => {
+    if (index > 0) lines.push('');
+    if (rule.origin !== 'inline') {
+      const meta = [rule.source || 'unknown', ...(rule.conditions || [])];
+      if (Array.isArray(rule.specificity)) meta.push(`特异性 (${rule.specificity.join(',')})`);
+      if (rule.matchedSelector && rule.matchedSelector !== rule.selector) meta.push(`命中: ${rule.matchedSelector}`);
+      lines.push(`/* ${meta.join(' · ')} */`);
+    }
+    lines.push(`${rule.selector} {`);
+    (rule.declarations || []).forEach((declaration) => {
+      const important = declaration.important ? ' !important' : '';
+      const overridden = declaration.overridden ? ' /* 已覆盖 */' : '';
+      lines.push(`  ${declaration.property}: ${declaration.value}${important};${overridden}`);
+    });
+    lines.push('}');
+  });
+
+  const shown = (matchedRules.rules || []).length;
+  const total = matchedRules.total || shown;
+  const result = [`匹配的 CSS 规则（按层叠优先级，${total > shown ? `显示 ${shown} / ${total} 条` : `共 ${shown} 条`}）:`];
+  if (lines.length > 0) {
+    result.push('```css', ...lines, '```');
+  }
+  if (Array.isArray(matchedRules.inaccessible) && matchedRules.inaccessible.length > 0) {
+    result.push('无法读取的样式表（跨域且未启用 CORS，其中的规则未计入）:');
+    matchedRules.inaccessible.forEach(source => result.push(`- ${source}`));
+  }
+  return result;
+}
+
+/**
+ * 生成选择器候选列表（只显示稳定性得分最高的前 3 个，完整列表见 selectorCandidates 字段）
+ *
+ * @param {Object[]} candidates - 按得分降序排列的候选 { strategy, selector, score, unique, count }
+ * @returns {string[]} 编号列表行（无候选时为空数组）
+ */
+function formatSelectorCandidates(candidates) {
+  if (!Array.isArray(candidates) || candidates.length === 0) return [];
+  return candidates.slice(0, 3).map((candidate, index) => {
+    const uniqueness = candidate.unique ? '' : `，不唯一：匹配 ${candidate.count} 个`;
+    return `${index + 1}. \`${candidate.selector}\`（${candidate.strategy}，稳定性 ${candidate.score}${uniqueness}）`;
+  });
+}
+
+/**
+ * 生成事件监听器表（元素自身 + 传播路径上的祖先）
+ *
+ * @param {Object[]} listeners - 监听器记录
+ * @returns {string[]} 表格行
+ */
+function formatListeners(listeners) {
+  if (listeners.length === 0) {
+    return ['事件监听器: 未记录到监听器（记录模式仅覆盖脚本安装之后注册的监听器）'];
+  }
+  const rows = listeners.map((record) => {
+    const flags = [
+      record.capture ? 'capture' : 'bubble',
+      record.passive ? 'passive' : '',
+      record.once ? 'once' : '',
+      record.inline ? 'inline' : '',
+    ].filter(Boolean).join(', ');
+    return `| ${escapeTableCell(record.target)} | ${escapeTableCell(record.type)} | ${flags} | ${escapeTableCell(record.name)} | \`${escapeTableCell(record.source || '')}\` |`;
+  });
+  return [
+    '事件监听器（self 为元素自身，其余为事件传播路径上的祖先）:',
+    '| 目标 | 事件 | 选项 | 处理函数 | 源码片段 |',
+    '|------|------|------|----------|----------|',
+    ...rows,
+  ];
+}
+
+/**
+ * 生成页面错误表（控制台错误 / 警告、未捕获异常、失败请求；URL 查询参数已在浏览器端脱敏）
+ *
+ * @param {Object[]} entries - ErrorCapture 记录
+ * @returns {string[]} 表格行（无记录时为空数组）
+ */
+function formatPageErrors(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+  const rows = entries.map((entry) => {
+    const time = entry.time ? new Date(entry.time).toLocaleTimeString('zh-CN', { hour12: false }) : '';
+    const message = entry.kind === 'network' ? `${entry.message} (${entry.duration}ms)` : entry.message;
+    const origin = entry.url || entry.source;
+    return `| ${time} | ${escapeTableCell(entry.kind)} | ${escapeTableCell(message)} | ${origin ? `\`${escapeTableCell(origin)}\`` : ''} | ${entry.count || 1} |`;
+  });
+  return [
+    `页面错误（最近 ${entries.length} 条）:`,
+    '| 时间 | 类型 | 消息 | URL / 位置 | 次数 |',
+    '|------|------|------|------------|------|',
+    ...rows,
+  ];
 }
 
 /**
@@ -305,6 +854,7 @@ function formatElementForPaste(data) {
  *          Claude Code 的 Ink TUI 将其等同于物理键盘输入处理。
  *
  * @param {string} message - 要粘贴的消息文本
+ * @returns {{pasted: boolean, error: string|null}} 粘贴结果（error 为回传浏览器的英文原因）
  */
 function autoPasteToGhostty(message) {
   try {
@@ -313,7 +863,7 @@ function autoPasteToGhostty(message) {
       execSync('pgrep -f "Ghostty.app"', { encoding: 'utf8', timeout: 1000 });
     } catch (_) {
       process.stdout.write('[AutoPaste] WARN: Ghostty 未运行，跳过自动粘贴\n');
-      return;
+      return { pasted: false, error: 'Ghostty is not running' };
     }
 
     // 第二步：保存当前剪贴板
@@ -350,8 +900,10 @@ function autoPasteToGhostty(message) {
         // 恢复失败不影响主流程
       }
     }, 500);
+    return { pasted: true, error: null };
   } catch (error) {
     process.stderr.write(`[AutoPaste] ERR: ${error.message}\n`);
+    return { pasted: false, error: `Auto-paste failed: ${error.message.split('\n')[0]}` };
   }
 }
 
@@ -406,20 +958,21 @@ function detectActiveTTY() {
  * 1. 单客户端 → 直接路由（零歧义，最常见的 MCP 场景）
  * 2. 多客户端 → 系统焦点检测（匹配 Ghostty 窗口标题与项目路径）
  * 3. 多客户端 → 唯一活跃心跳检测（3 秒内仅一个活跃时使用）
- * 4. 无法确定 → 返回 null，由调用方记录错误（拒绝盲选）
+ * 4. 无法确定 → client 为 null，route 与 error 说明原因（拒绝盲选），随回执告知浏览器
  *
- * @returns {Object|null} 目标 CLI 客户端对象或 null
+ * @returns {{client: Object|null, route: string, error: string|null}}
+ *          route: none | single | focus | heartbeat | conflict | timeout
  */
 function selectTargetClient() {
   if (subscribers.size === 0) {
-    return null;
+    return { client: null, route: 'none', error: 'No MCP client connected' };
   }
 
   // 单客户端：直接路由（MCP 架构下最常见的场景）
   if (subscribers.size === 1) {
     const client = subscribers.values().next().value;
     process.stdout.write(`[Router] -> ${client.projectName}\n`);
-    return client;
+    return { client, route: 'single', error: null };
   }
 
   // 多客户端场景：精确匹配，拒绝盲选
@@ -430,11 +983,11 @@ function selectTargetClient() {
     for (const client of subscribers.values()) {
       if (client.projectPath && activeWindow.includes(client.projectPath)) {
         process.stdout.write(`[Router] [焦点] ${client.projectName}\n`);
-        return client;
+        return { client, route: 'focus', error: null };
       }
       if (client.tty && activeWindow.includes(client.tty)) {
         process.stdout.write(`[Router] [焦点] ${client.projectName} (${client.tty})\n`);
-        return client;
+        return { client, route: 'focus', error: null };
       }
     }
   }
@@ -446,19 +999,19 @@ function selectTargetClient() {
 
   if (recentClients.length === 1) {
     process.stdout.write(`[Router] [心跳] ${recentClients[0].projectName}\n`);
-    return recentClients[0];
+    return { client: recentClients[0], route: 'heartbeat', error: null };
   }
 
   // 无法确定目标 — 明确拒绝，不做兜底
   if (recentClients.length > 1) {
     const names = recentClients.map(c => c.projectName).join(', ');
     process.stdout.write(`[Router] [冲突] ${recentClients.length} 个活跃客户端 (${names})，无法确定目标\n`);
-  } else {
-    const staleNames = Array.from(subscribers.values()).map(c => c.projectName).join(', ');
-    process.stdout.write(`[Router] [超时] 无活跃客户端 (已注册: ${staleNames})，心跳超时\n`);
+    return { client: null, route: 'conflict', error: `${recentClients.length} active MCP clients (${names}), focus one terminal` };
   }
 
-  return null;
+  const staleNames = Array.from(subscribers.values()).map(c => c.projectName).join(', ');
+  process.stdout.write(`[Router] [超时] 无活跃客户端 (已注册: ${staleNames})，心跳超时\n`);
+  return { client: null, route: 'timeout', error: `No MCP client heartbeat (registered: ${staleNames})` };
 }
 
 // ============================================
@@ -471,7 +1024,8 @@ function selectTargetClient() {
  * 业务逻辑：
  * 1. 接收 register 消息，注册 CLI 客户端
  * 2. 接收 heartbeat 消息，更新活跃时间
- * 3. 连接断开时清理订阅者
+ * 3. 接收 command 消息，转发到浏览器标签页执行并回传结果
+ * 4. 连接断开时清理订阅者
  *
  * @param {WebSocket} ws - WebSocket 连接对象
  */
@@ -509,6 +1063,11 @@ function handleSubscriberConnection(ws) {
         client.lastHeartbeat = Date.now();
       }
     }
+
+    // 处理页面命令（转发到浏览器标签页执行）
+    if (payload.type === 'command') {
+      dispatchCommand(ws, clientId ? subscribers.get(clientId) : null, payload);
+    }
   });
 
   ws.on('close', () => {
@@ -524,18 +1083,326 @@ function handleSubscriberConnection(ws) {
   });
 }
 
+/**
+ * 浏览器选择消息类型 → 粘贴格式化函数与 MCP 转发类型
+ * 未声明 type 的旧版消息按单元素处理
+ */
+const SELECTION_MESSAGES = {
+  element_selected: { forwardType: 'element', format: formatElementForPaste },
+  elements_selected: { forwardType: 'elements', format: formatElementsForPaste },
+  region_selected: { forwardType: 'region', format: formatRegionForPaste },
+  text_selected: { forwardType: 'text', format: formatTextForPaste }
+};
+
+// ============================================
+// 元素截图存储
+// ============================================
+
+/**
+ * 校验图片 ID 并返回已落盘截图的绝对路径
+ *
+ * @param {string} imageId - 浏览器端生成的图片 ID
+ * @returns {string|null} 截图路径（ID 非法或文件不存在时为 null）
+ */
+function getScreenshotPath(imageId) {
+  if (typeof imageId !== 'string' || !/^[\w-]{1,64}$/.test(imageId)) {
+    return null;
+  }
+  const filePath = path.join(SCREENSHOT_DIR, `${imageId}.png`);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * 按 screenshotId 写入截图的绝对路径（MCP Server 据此读取图片）
+ *
+ * 无论浏览器数据中是否已有 screenshotPath 都会覆盖，只转发 Bridge 自己落盘的文件路径
+ *
+ * @param {*} data - 浏览器消息数据（多选时为数组）
+ * @returns {*} 附加 screenshotPath 后的数据（不修改原对象）
+ */
+function attachScreenshotPaths(data) {
+  if (Array.isArray(data)) {
+    return data.map(attachScreenshotPaths);
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  return Object.assign({}, data, { screenshotPath: getScreenshotPath(data.screenshotId) });
+}
+
+/**
+ * 删除最旧的截图，目录中最多保留 MAX_SCREENSHOTS 个文件
+ */
+function pruneScreenshots() {
+  try {
+    const files = fs.readdirSync(SCREENSHOT_DIR)
+      .filter((name) => name.endsWith('.png'))
+      .map((name) => {
+        const filePath = path.join(SCREENSHOT_DIR, name);
+        return { filePath, mtime: fs.statSync(filePath).mtimeMs };
+      })
+      .sort((a, b) => b.mtime - a.mtime);
+    files.slice(MAX_SCREENSHOTS).forEach((file) => fs.unlinkSync(file.filePath));
+  } catch (error) {
+    process.stderr.write(`[Bridge] 清理截图失败: ${error.message}\n`);
+  }
+}
+
+/**
+ * 判断消息 ID 是否已处理过，未处理则记录
+ *
+ * 业务逻辑：
+ * 1. 清理超过 MESSAGE_ID_TTL 的记录
+ * 2. 记录数超过 MAX_MESSAGE_IDS 时淘汰最早的记录（Map 按插入顺序迭代）
+ *
+ * @param {string} id - 浏览器端生成的消息 ID
+ * @returns {boolean} 是否为重复消息
+ */
+function isDuplicateMessage(id) {
+  const now = Date.now();
+  for (const [messageId, processedAt] of processedMessageIds) {
+    if (now - processedAt <= MESSAGE_ID_TTL) break;
+    processedMessageIds.delete(messageId);
+  }
+
+  if (processedMessageIds.has(id)) return true;
+
+  processedMessageIds.set(id, now);
+  if (processedMessageIds.size > MAX_MESSAGE_IDS) {
+    processedMessageIds.delete(processedMessageIds.keys().next().value);
+  }
+  return false;
+}
+
+/**
+ * 接收一条图片分片，收齐后写入截图目录
+ *
+ * 业务逻辑：
+ * 1. 按图片 ID 缓存分片，超时未收齐的图片直接丢弃
+ * 2. 分片数、分片长度、单图总长度与同时接收的图片数都有上限，超限的分片 / 图片直接丢弃
+ * 3. 收齐后拼接 base64 写入 screenshots/<id>.png，并清理旧截图
+ *
+ * @param {Object} data - { id, index, total, mimeType, chunk }
+ * @returns {Object|null} 收齐后返回 { id, path }，否则返回 null
+ */
+function handleImageChunk(data) {
+  const now = Date.now();
+  for (const [imageId, entry] of pendingImages) {
+    if (now - entry.updatedAt > IMAGE_CHUNK_TIMEOUT) {
+      pendingImages.delete(imageId);
+    }
+  }
+
+  const { id, index, total, mimeType, chunk } = data || {};
+  if (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id)) return null;
+  if (!Number.isInteger(total) || total < 1 || total > MAX_IMAGE_CHUNKS) return null;
+  if (!Number.isInteger(index) || index < 0 || index >= total) return null;
+  if (mimeType !== 'image/png' || typeof chunk !== 'string' || chunk.length > MAX_IMAGE_CHUNK_LENGTH) return null;
+
+  let entry = pendingImages.get(id);
+  if (!entry) {
+    while (pendingImages.size >= MAX_PENDING_IMAGES) {
+      pendingImages.delete(pendingImages.keys().next().value);
+    }
+    entry = { mimeType, total, chunks: new Array(total), received: 0, length: 0, updatedAt: now };
+    pendingImages.set(id, entry);
+  }
+  if (entry.total !== total) return null;
+  if (entry.chunks[index] === undefined) {
+    if (entry.length + chunk.length > MAX_IMAGE_LENGTH) {
+      pendingImages.delete(id);
+      process.stderr.write(`[Bridge] 截图过大，已丢弃: ${id}\n`);
+      return null;
+    }
+    entry.chunks[index] = chunk;
+    entry.received += 1;
+    entry.length += chunk.length;
+  }
+  entry.updatedAt = now;
+
+  if (entry.received < entry.total) return null;
+  pendingImages.delete(id);
+
+  try {
+    fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+    const filePath = path.join(SCREENSHOT_DIR, `${id}.png`);
+    fs.writeFileSync(filePath, Buffer.from(entry.chunks.join(''), 'base64'));
+    pruneScreenshots();
+    return { id, path: filePath };
+  } catch (error) {
+    process.stderr.write(`[Bridge] 保存截图失败: ${error.message}\n`);
+    return null;
+  }
+}
+
+// ============================================
+// 源码位置解析
+// ============================================
+
+/**
+ * 将浏览器上报的源码位置解析为项目内的真实文件
+ *
+ * 业务逻辑：
+ * 1. 去掉 webpack:// 、file:// 、/@fs 前缀和 ?query 后缀
+ * 2. 依次尝试：绝对路径本身 → 相对 projectPath → 逐级去掉开头目录后拼到 projectPath（容器 / 远程构建路径）
+ * 3. 只接受 projectPath 内的文件：按 realpath 比较，防止符号链接指向项目外；无 projectPath 时不解析
+ *    （路径来自页面，不能让任意网页借 Bridge 读取本机文件）
+ * 4. 命中后摘录目标行上下 SOURCE_EXCERPT_RADIUS 行
+ *
+ * @param {Object} location - { file, line, column, source }
+ * @param {string} projectPath - 目标 CLI 的项目根目录
+ * @returns {Object|null} { path, absolutePath, line, column, excerpt }，未找到时为 null
+ */
+function resolveSourceLocation(location, projectPath) {
+  if (!location || typeof location.file !== 'string' || !location.file || !projectPath) {
+    return null;
+  }
+
+  const realPath = (filePath) => {
+    try {
+      return fs.realpathSync(filePath);
+    } catch (error) {
+      return null;
+    }
+  };
+  const root = realPath(path.resolve(projectPath));
+  if (!root) {
+    return null;
+  }
+
+  const cleaned = location.file
+    .replace(/^webpack:\/\/[^/]*/, '')
+    .replace(/^file:\/\//, '')
+    .replace(/^\/@fs(?=\/)/, '')
+    .replace(/[?#].*$/, '');
+  const isInsideRoot = (filePath) => filePath === root || filePath.startsWith(root + path.sep);
+  const isFile = (filePath) => {
+    try {
+      return fs.statSync(filePath).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const candidates = [];
+  if (path.isAbsolute(cleaned)) candidates.push(path.normalize(cleaned));
+  const segments = cleaned.split(/[\\/]+/).filter((segment) => segment && segment !== '.');
+  for (let i = 0; i < segments.length; i++) {
+    candidates.push(path.join(root, ...segments.slice(i)));
+  }
+
+  const absolutePath = candidates
+    .map(realPath)
+    .find((candidate) => candidate && isInsideRoot(candidate) && isFile(candidate));
+  if (!absolutePath) {
+    return null;
+  }
+
+  const line = Number.isInteger(location.line) && location.line > 0 ? location.line : null;
+  let excerpt = null;
+  if (line && fs.statSync(absolutePath).size <= MAX_SOURCE_FILE_SIZE) {
+    try {
+      const lines = fs.readFileSync(absolutePath, 'utf8').split(/\r?\n/);
+      if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+      const start = Math.max(1, line - SOURCE_EXCERPT_RADIUS);
+      const end = Math.min(lines.length, line + SOURCE_EXCERPT_RADIUS);
+      const width = String(end).length;
+      excerpt = lines.slice(start - 1, end)
+        .map((text, index) => {
+          const number = start + index;
+          return `${number === line ? '>' : ' '} ${String(number).padStart(width)} | ${text}`;
+        })
+        .join('\n');
+    } catch (error) {
+      process.stderr.write(`[Bridge] 读取源码失败: ${error.message}\n`);
+    }
+  }
+
+  return {
+    path: path.relative(root, absolutePath).split(path.sep).join('/'),
+    absolutePath,
+    line,
+    column: Number.isInteger(location.column) ? location.column : null,
+    excerpt
+  };
+}
+
+/**
+ * 为消息中所有带 sourceLocation 的元素附加解析结果（sourceLocation.resolved）
+ *
+ * 覆盖单选数据、多选数组和文本选区的所在元素（ancestor），不修改原对象
+ *
+ * @param {*} data - 浏览器消息数据
+ * @param {string} projectPath - 目标 CLI 的项目根目录
+ * @returns {*} 附加解析结果后的数据
+ */
+function resolveSourceLocations(data, projectPath) {
+  if (Array.isArray(data)) {
+    return data.map((item) => resolveSourceLocations(item, projectPath));
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  let result = data;
+  if (data.sourceLocation) {
+    const resolved = resolveSourceLocation(data.sourceLocation, projectPath);
+    result = Object.assign({}, data, { sourceLocation: Object.assign({}, data.sourceLocation, { resolved }) });
+  }
+  if (data.ancestor) {
+    result = Object.assign({}, result, { ancestor: resolveSourceLocations(data.ancestor, projectPath) });
+  }
+  return result;
+}
+
+/**
+ * 生成源码位置标签（已解析时为项目相对路径，否则为原始路径）
+ *
+ * @param {Object} location - sourceLocation 数据
+ * @returns {string} 如 "src/components/Card.tsx:42"
+ */
+function formatSourceLabel(location) {
+  if (!location) return '';
+  const resolved = location.resolved;
+  const file = resolved ? resolved.path : location.file;
+  const line = resolved ? resolved.line : location.line;
+  return line ? `${file}:${line}` : file;
+}
+
+/**
+ * 向浏览器回执一条选中消息的投递结果
+ *
+ * 回执格式：{ type: 'ack', id, messageType, duplicate?, pasted, pasteError, routedTo, routing, routingError }
+ * 未带 id 的旧版消息回执中 id 为 null
+ *
+ * @param {WebSocket} ws - 浏览器连接
+ * @param {Object} result - 投递结果
+ */
+function sendAck(ws, result) {
+  if (ws.readyState !== 1) return;
+  try {
+    ws.send(JSON.stringify(Object.assign({ type: 'ack' }, result)));
+  } catch (error) {
+    process.stderr.write(`[Bridge] 回执发送失败: ${error.message}\n`);
+  }
+}
+
 /**
  * 处理浏览器连接（接收元素数据）
  *
  * 业务逻辑：
  * 1. 接收消息并解析 JSON
  * 2. 忽略 ping 消息
- * 3. 使用智能路由选择目标 CLI
- * 4. 转发消息到目标 CLI，或输出到 stdout（兼容旧版）
+ * 3. 按消息类型（单选 / 多选 / 框选）格式化并自动粘贴
+ * 4. 使用智能路由选择目标 CLI，转发到 MCP Server
+ * 5. 向浏览器回执投递结果（是否已粘贴、路由到哪个项目或路由失败原因）
+ * 6. 登记标签页（hello，需携带命令密钥），接收页面命令的执行结果（command_result，只接受命令下发到的连接回传）
  *
  * @param {WebSocket} ws - WebSocket 连接对象
  */
 function handleBrowserConnection(ws) {
+  let tabId = null;
+
   ws.on('message', (message) => {
     let payload;
     try {
@@ -550,24 +1417,96 @@ function handleBrowserConnection(ws) {
       return;
     }
 
-    const data = payload && payload.data ? payload.data : payload;
+    // 标签页登记（连接建立及标签页获得焦点时发送）
+    if (payload && payload.type === 'hello') {
+      tabId = registerBrowserTab(ws, payload, tabId);
+      return;
+    }
+
+    // 页面命令的执行结果
+    if (payload && payload.type === 'command_result') {
+      resolveCommand(ws, payload);
+      return;
+    }
+
+    // 图片分片：收齐后落盘，由引用它的元素数据（screenshotId）带出，不触发自动粘贴
+    if (payload && payload.type === 'image_chunk') {
+      const image = handleImageChunk(payload.data);
+      if (image) {
+        process.stdout.write(`[Bridge] 截图已保存: ${image.path}\n`);
+      }
+      return;
+    }
+
+    const messageId = payload && payload.id ? payload.id : null;
+    const messageType = SELECTION_MESSAGES[payload && payload.type] ? payload.type : 'element_selected';
+
+    // 离线队列重放或多个标签页同时刷新队列时，同一 ID 只处理一次
+    if (messageId && isDuplicateMessage(messageId)) {
+      process.stdout.write(`[Bridge] 忽略重复消息: ${messageId}\n`);
+      sendAck(ws, { id: messageId, messageType, duplicate: true });
+      return;
+    }
+
+    const handler = SELECTION_MESSAGES[messageType];
+    if (tabId && browserTabs.has(tabId)) {
+      browserTabs.get(tabId).lastActiveAt = Date.now();
+    }
+
+    // 先确定目标 CLI，源码位置需要按其 projectPath 解析
+    const { client: target, route, error: routeError } = selectTargetClient();
+    const data = resolveSourceLocations(
+      payload && payload.data ? payload.data : payload,
+      target ? target.projectPath : ''
+    );
 
     // ============================================
     // 主通道：自动粘贴到 Ghostty/Claude Code（Push 模型）
     // ============================================
-    const pasteMessage = formatElementForPaste(data);
-    autoPasteToGhostty(pasteMessage);
+    // 浏览器开启错误记录时，选中内容附带最近的页面错误（与 data 同级）
+    const pageErrors = payload && Array.isArray(payload.pageErrors) ? payload.pageErrors : null;
+    const errorLines = formatPageErrors(pageErrors);
+    const pasteMessage = errorLines.length > 0
+      ? [handler.format(data), '', ...errorLines].join('\n')
+      : handler.format(data);
+    const paste = autoPasteToGhostty(pasteMessage);
 
     // ============================================
     // 补充通道：转发到 MCP Server 订阅者（Pull 模型备用）
     // ============================================
-    const target = selectTargetClient();
+    let routedTo = null;
+    let routingError = routeError;
     if (target && target.ws && target.ws.readyState === 1) {
       target.ws.send(JSON.stringify({
-        type: 'element',
-        data: data
+        type: handler.forwardType,
+        data: attachScreenshotPaths(data),
+        pageErrors
       }));
+      routedTo = target.projectName;
       process.stdout.write(`[Bridge] MCP -> ${target.projectName}\n`);
+    } else if (target) {
+      routingError = `MCP client ${target.projectName} is not connected`;
+    }
+
+    sendAck(ws, {
+      id: messageId,
+      messageType,
+      pasted: paste.pasted,
+      pasteError: paste.error,
+      routedTo,
+      routing: route,
+      routingError
+    });
+  });
+
+  ws.on('close', () => {
+    if (!tabId || !browserTabs.has(tabId) || browserTabs.get(tabId).ws !== ws) return;
+    browserTabs.delete(tabId);
+    process.stdout.write(`[Bridge] 标签页断开: ${tabId}\n`);
+    for (const [bridgeRequestId, pending] of pendingCommands) {
+      if (pending.tabId === tabId) {
+        settleCommand(bridgeRequestId, { ok: false, error: 'Browser tab disconnected' });
+      }
     }
   });
 
@@ -576,6 +1515,215 @@ function handleBrowserConnection(ws) {
   });
 }
 
+// ============================================
+// 浏览器命令通道（MCP → Bridge → 浏览器）
+// ============================================
+
+/**
+ * 浏览器端可执行的命令白名单（list_tabs 由 Bridge 直接应答）
+ */
+const BROWSER_COMMANDS = new Set([
+  'query_elements',
+  'scroll_to_element',
+  'get_page_info',
+  'highlight_elements',
+  'clear_highlights',
+  'preview_styles',
+  'revert_preview',
+  'export_preview_css',
+  'get_page_errors'
+]);
+
+/**
+ * 登记或更新浏览器标签页
+ *
+ * 业务逻辑：
+ * 1. 浏览器端口不校验 Origin（油猴脚本以页面身份连接），任何网页都能发送 hello，
+ *    因此只有携带有效命令密钥（用户在油猴脚本设置中填写）的标签页才会登记为命令目标
+ * 2. 密钥无效时不登记（已登记的同一连接被移除），避免网页抢占最近活跃的标签页并伪造命令结果
+ *
+ * @param {WebSocket} ws - 浏览器连接
+ * @param {Object} payload - hello 消息 { tabId, url, title, focused, commandToken }
+ * @param {string|null} currentTabId - 该连接之前登记的标签页 ID
+ * @returns {string|null} 登记后的标签页 ID（未登记为 null）
+ */
+function registerBrowserTab(ws, payload, currentTabId) {
+  if (!isValidCommandToken(payload.commandToken)) {
+    if (currentTabId && browserTabs.has(currentTabId) && browserTabs.get(currentTabId).ws === ws) {
+      browserTabs.delete(currentTabId);
+      process.stdout.write(`[Bridge] 标签页取消登记: ${currentTabId}\n`);
+    }
+    return null;
+  }
+
+  const tabId = typeof payload.tabId === 'string' && payload.tabId ? payload.tabId : currentTabId;
+  if (!tabId) return null;
+
+  const existing = browserTabs.get(tabId);
+  if (!existing) {
+    process.stdout.write(`[Bridge] 标签页登记: ${tabId} ${payload.url || ''}\n`);
+  }
+  browserTabs.set(tabId, {
+    ws,
+    url: String(payload.url || ''),
+    title: String(payload.title || ''),
+    connectedAt: existing ? existing.connectedAt : Date.now(),
+    lastActiveAt: payload.focused ? Date.now() : (existing ? existing.lastActiveAt : 0)
+  });
+  return tabId;
+}
+
+/**
+ * 列出已连接的浏览器标签页（最近活跃的在前）
+ *
+ * @returns {Array<{tabId, url, title, connectedAt, lastActiveAt}>}
+ */
+function listBrowserTabs() {
+  return Array.from(browserTabs.entries())
+    .filter(([, tab]) => tab.ws.readyState === 1)
+    .map(([tabId, tab]) => ({
+      tabId,
+      url: tab.url,
+      title: tab.title,
+      connectedAt: new Date(tab.connectedAt).toISOString(),
+      lastActiveAt: tab.lastActiveAt ? new Date(tab.lastActiveAt).toISOString() : null
+    }))
+    .sort((a, b) => String(b.lastActiveAt || '').localeCompare(String(a.lastActiveAt || '')));
+}
+
+/**
+ * 选择执行命令的标签页
+ *
+ * 业务逻辑：
+ * 1. 指定 tabId 时只使用该标签页
+ * 2. 未指定时使用最近活跃（获得焦点或发送过选中内容）的标签页
+ *
+ * @param {string} [tabId] - 目标标签页 ID
+ * @returns {{tabId: string|null, tab: Object|null, error: string|null}}
+ */
+function selectBrowserTab(tabId) {
+  if (tabId) {
+    const tab = browserTabs.get(tabId);
+    return tab && tab.ws.readyState === 1
+      ? { tabId, tab, error: null }
+      : { tabId: null, tab: null, error: `Browser tab ${tabId} is not connected` };
+  }
+
+  const [latest] = listBrowserTabs();
+  if (!latest) {
+    return { tabId: null, tab: null, error: 'No browser tab connected (is the userscript enabled?)' };
+  }
+  return { tabId: latest.tabId, tab: browserTabs.get(latest.tabId), error: null };
+}
+
+/**
+ * 回传命令结果给 MCP 订阅者
+ *
+ * @param {WebSocket} subscriberWs - 订阅者连接
+ * @param {string} requestId - 订阅者生成的请求 ID
+ * @param {Object} result - { ok, result?, error?, tabId? }
+ */
+function replyToSubscriber(subscriberWs, requestId, result) {
+  if (subscriberWs.readyState !== 1) return;
+  subscriberWs.send(JSON.stringify(Object.assign({ type: 'command_result', requestId }, result)));
+}
+
+/**
+ * 处理 MCP 订阅者发来的页面命令
+ *
+ * 业务逻辑：
+ * 1. 校验共享密钥（COMMAND_TOKEN_FILE），不匹配时直接拒绝
+ * 2. list_tabs 由 Bridge 直接应答
+ * 3. 其他命令校验白名单后选择标签页，以 Bridge 生成的随机请求 ID 转发（避免多个订阅者的 ID 冲突，且无法被猜测）
+ * 4. COMMAND_TIMEOUT 内未收到浏览器结果时回传超时错误
+ *
+ * @param {WebSocket} subscriberWs - 订阅者连接
+ * @param {Object|null} subscriber - 订阅者信息（用于按其 projectPath 解析源码位置）
+ * @param {Object} payload - { requestId, command, args, tabId }
+ */
+function dispatchCommand(subscriberWs, subscriber, payload) {
+  const { requestId, command } = payload;
+
+  if (!isValidCommandToken(payload.token)) {
+    replyToSubscriber(subscriberWs, requestId, { ok: false, error: 'Invalid command token' });
+    process.stderr.write(`[Bridge] 拒绝未携带有效密钥的命令: ${command}\n`);
+    return;
+  }
+  if (command === 'list_tabs') {
+    replyToSubscriber(subscriberWs, requestId, { ok: true, result: listBrowserTabs() });
+    return;
+  }
+  if (!BROWSER_COMMANDS.has(command)) {
+    replyToSubscriber(subscriberWs, requestId, { ok: false, error: `Unknown command: ${command}` });
+    return;
+  }
+
+  const { tabId, tab, error } = selectBrowserTab(payload.tabId);
+  if (!tab) {
+    replyToSubscriber(subscriberWs, requestId, { ok: false, error });
+    return;
+  }
+
+  const bridgeRequestId = `cmd-${crypto.randomUUID()}`;
+  const timer = setTimeout(() => {
+    settleCommand(bridgeRequestId, { ok: false, error: `Timed out after ${COMMAND_TIMEOUT}ms waiting for the browser` });
+  }, COMMAND_TIMEOUT);
+  pendingCommands.set(bridgeRequestId, {
+    subscriberWs,
+    requestId,
+    tabId,
+    tabWs: tab.ws,
+    projectPath: subscriber ? subscriber.projectPath : '',
+    timer
+  });
+
+  tab.ws.send(JSON.stringify({
+    type: 'command',
+    requestId: bridgeRequestId,
+    command,
+    args: payload.args || {}
+  }));
+  process.stdout.write(`[Bridge] 命令 ${command} -> ${tabId}\n`);
+}
+
+/**
+ * 处理浏览器回传的命令结果（只接受命令下发到的那个连接回传的结果）
+ *
+ * @param {WebSocket} ws - 回传结果的浏览器连接
+ * @param {Object} payload - { requestId, ok, result, error }
+ */
+function resolveCommand(ws, payload) {
+  const pending = pendingCommands.get(payload.requestId);
+  if (!pending) return;
+  if (pending.tabWs !== ws) {
+    process.stderr.write(`[Bridge] 忽略来自其他连接的命令结果: ${payload.requestId}\n`);
+    return;
+  }
+
+  // 查询到的元素按订阅者的项目路径解析源码位置
+  const result = payload.result && Array.isArray(payload.result.elements)
+    ? Object.assign({}, payload.result, { elements: resolveSourceLocations(payload.result.elements, pending.projectPath) })
+    : payload.result;
+
+  settleCommand(payload.requestId, payload.ok
+    ? { ok: true, result }
+    : { ok: false, error: payload.error || 'Command failed' });
+}
+
+/**
+ * 结束一条等待中的命令并回传结果
+ *
+ * @param {string} bridgeRequestId - Bridge 请求 ID
+ * @param {Object} result - { ok, result?, error? }
+ */
+function settleCommand(bridgeRequestId, result) {
+  const pending = pendingCommands.get(bridgeRequestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingCommands.delete(bridgeRequestId);
+  replyToSubscriber(pending.subscriberWs, pending.requestId, Object.assign({ tabId: pending.tabId }, result));
+}
+
 // ============================================
 // 优雅退出
 // ============================================
@@ -683,6 +1831,7 @@ async function main() {
   runtimeOptions.port = options.port;
 
   cleanupPort(options.port);
+  commandToken = loadCommandToken();
 
   // 创建浏览器服务器（接收元素数据）
   const { server: browserServer, port: browserPort } = await createServer(options.port);
@@ -692,7 +1841,11 @@ async function main() {
   // 创建订阅者服务器（CLI 连接）
   let subscriberServer;
   try {
-    subscriberServer = new WebSocket.Server({ port: SUBSCRIBER_PORT });
+    subscriberServer = new WebSocket.Server({
+      host: LISTEN_HOST,
+      port: SUBSCRIBER_PORT,
+      verifyClient: verifySubscriberClient
+    });
     process.stdout.write(`[Bridge] 🔗 订阅端口: ${SUBSCRIBER_PORT}\n`);
   } catch (error) {
     process.stderr.write(`[Bridge] 订阅服务器启动失败: ${error.message}\n`);
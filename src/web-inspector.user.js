@@ -15,11 +15,12 @@
 // @grant        GM_registerMenuCommand
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        GM_deleteValue
 // @grant        GM_setClipboard
 // @grant        GM_addStyle
+// @grant        unsafeWindow
 // @connect      localhost
-// @run-at       document-idle
-// @noframes
+// @run-at       document-start
 // ==/UserScript==
 
 (function() {
@@ -32,11 +33,85 @@
     WS_URL: 'ws://localhost:51765',
     MAX_RETRIES: 5,
     RETRY_INTERVAL: 3000,
+    ACK_TIMEOUT: 5000, // 等待 Bridge 回执的时长（毫秒），超时后按旧版 Bridge 处理
+    FRAME_PICK_TIMEOUT: 5000, // 未激活时用快捷键选中 iframe 内元素，接收子 frame 转交数据的时长（毫秒）
     MAX_DATA_SIZE: 5120,
     TEXT_LIMITS: {
       textContent: 500,
       innerHTML: 2000,
-      outerHTML: 3000
+      outerHTML: 3000,
+      selection: 2000, // 文本选区模式下发送的选中文本上限
+      note: 1000 // 指令输入框（Composer）中可输入的字符上限
+    },
+    LISTENERS: {
+      MAX_RECORDS: 40, // 单次采集最多输出的监听器数量（元素自身优先，其次是祖先）
+      SOURCE_LENGTH: 160 // 处理函数源码片段的字符上限
+    },
+    ERROR_CAPTURE: {
+      MAX_ENTRIES: 50, // 错误环形缓冲区容量
+      PICK_ENTRIES: 10, // 每次发送选中内容时附带的最近记录数
+      PICK_WINDOW: 300000, // 只附带该时长（毫秒）内的记录
+      MESSAGE_LENGTH: 300 // 单条记录消息的字符上限
+    },
+    SELECTORS: {
+      MAX_CANDIDATES: 8, // 选中元素时附带的选择器候选数量上限（按稳定性得分排序）
+      TEXT_LENGTH: 60 // 文本策略只用于规范化后不超过该长度的元素文本
+    },
+    COMPONENT: {
+      MAX_DEPTH: 8, // 组件栈最多向上追溯的层数
+      MAX_KEYS: 20, // props / state 最多采集的键数量
+      MAX_VALUE_LENGTH: 80 // 单个 props / state 值的字符上限
+    },
+    SCREENSHOT: {
+      ENABLED: false, // 选中单个元素时附带截图（SVG foreignObject 渲染，不含伪元素与跨域图片）
+      MAX_NODES: 1500, // 子树元素数量超过该值时放弃截图
+      MAX_DIMENSION: 4096, // 输出 PNG 的最大边长（像素）
+      MAX_SCALE: 2, // 最大像素比（高分屏下不超过 2x）
+      CHUNK_SIZE: 65536 // 图片分片大小（base64 字符），图片通道不受 MAX_DATA_SIZE 限制
+    },
+    COMPOSER: {
+      ENABLED: false, // true: 每次点击先弹出指令输入框；false: 仅 Alt+点击 / Alt+Enter 弹出
+      PRESETS: [
+        { label: 'Fix style', text: '修复这个元素的样式问题：' },
+        { label: 'Write test', text: '为渲染这个元素的组件编写测试，覆盖：' },
+        { label: 'Explain', text: '解释这个元素是如何渲染出来的，以及对应的源码位置。' }
+      ]
+    },
+    HISTORY: {
+      MAX_ENTRIES: 30, // 每个域名保留的选中历史条数
+      MAX_BYTES: 262144 // 每个域名历史数据总字符上限，超出后较早的记录只保留摘要（不可重新发送）
+    },
+    QUEUE: {
+      MAX_MESSAGES: 20 // 离线队列最多保留的选中消息数（超出时丢弃最早的）
+    },
+    COMMANDS: {
+      MAX_ELEMENTS: 20, // query_elements 单次最多返回的元素数
+      HIGHLIGHT_DURATION: 2000, // scroll_to_element 高亮目标元素的时长（毫秒）
+      LABELED_HIGHLIGHT_DURATION: 10000, // highlight_elements 默认显示时长（毫秒，0 表示直到清除）
+      MAX_HIGHLIGHTS: 50, // highlight_elements 最多绘制的高亮框数
+      MANY_MATCHES: 10, // highlight_elements 匹配数超过该值时提示选择器可能过宽
+      TOKEN: '' // Bridge 的页面命令密钥（bridge/.command-token 的内容），填写后标签页才会被 Bridge 登记为命令目标
+    },
+    HOTKEYS: {
+      captureText: 'Alt+Shift+S', // 发送当前页面选中的文本
+      toggleInspector: 'Alt+Shift+I', // 激活 / 关闭 Inspector（等同点击 Ghost）
+      pickHovered: 'Alt+Shift+P', // 直接选中鼠标悬停的元素，不触发页面点击
+      resendLast: 'Alt+Shift+R', // 重新发送上一次选中的内容
+      toggleGhost: 'Alt+Shift+G', // 隐藏 / 显示 Ghost 按钮
+      toggleHistory: 'Alt+Shift+H' // 打开 / 关闭选中历史面板
+    },
+    REGION: {
+      MIN_SIZE: 8, // 元素宽高均不小于该值（像素）才会被框选收录
+      TOP_LEVEL_ONLY: true, // 丢弃已收录元素的后代，只保留最外层
+      MAX_ELEMENTS: 50 // 单次框选最多发送的元素数量
+    },
+    // 样式采集方案：
+    // 'compact'：只发送 STYLE_WHITELIST 中的属性
+    // 'diff'：完整 getComputedStyle 与同标签元素的浏览器默认样式比对，只发送不同的属性并按类别分组
+    STYLE_PROFILE: 'compact',
+    MATCHED_RULES: {
+      MAX_RULES: 20, // 最多输出的匹配规则数量（按层叠优先级）
+      MAX_VALUE_LENGTH: 120 // 单条声明值的字符上限
     },
     STYLE_WHITELIST: {
       // 布局
@@ -68,6 +143,20 @@
     }
   };
 
+  // ============================================
+  // Frame 环境
+  // 顶层窗口负责 UI 与 WebSocket；子 frame 只运行 Inspector，
+  // 选中结果经 postMessage 逐级转交顶层窗口发送
+  // ============================================
+  const IS_TOP_FRAME = window.top === window.self;
+  const FRAME_MESSAGE_KEY = '__webInspectorFrame';
+
+  // 父 frame 为子 frame 签发的令牌存储键前缀（GM 存储只有脚本自身可读，令牌不经 postMessage 传递）
+  const FRAME_GRANT_PREFIX = 'frame_grants_';
+
+  // 页面自身的 window（读取框架全局对象，如 Angular 的 ng 调试 API）
+  const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
   // ============================================
   // 域名级 Inspector 状态持久化
   // 每个域名独立存储，键名: inspector_active_{hostname}
@@ -92,6 +181,390 @@
     GM_setValue(DOMAIN_KEY_PREFIX + location.hostname, active);
   }
 
+  // ============================================
+  // 用户设置持久化
+  // 生效值 = Config 默认值 ← 全局设置（settings）← 域名覆盖（settings_{hostname}）
+  // 存储中只保存与上一层不同的值，键为字段路径（如 TEXT_LIMITS.note）
+  // ============================================
+  const SETTINGS_KEY = 'settings';
+  const SETTINGS_DOMAIN_PREFIX = 'settings_';
+
+  // 快捷键在设置面板中的显示名称（键名与 Config.HOTKEYS 一致）
+  const HOTKEY_LABELS = {
+    captureText: '发送选中文本',
+    toggleInspector: '激活 / 关闭 Inspector',
+    pickHovered: '选中悬停元素',
+    resendLast: '重新发送上一次选中',
+    toggleGhost: '隐藏 / 显示 Ghost',
+    toggleHistory: '打开 / 关闭选中历史'
+  };
+
+  const HOTKEY_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta', 'cmd'];
+
+  const Settings = {
+    defaults: null, // 首次加载时 Config 的快照（恢复默认值用）
+    fields: [],
+
+    /**
+     * 生成可编辑字段定义
+     *
+     * @returns {Array<Object>} { path, label, section, type: number | select | hotkey | secret, min, max, options }
+     */
+    buildFields() {
+      const fields = [
+        { path: 'port', label: 'WebSocket 端口', section: '连接', type: 'number', min: 1, max: 65535 },
+        { path: 'MAX_RETRIES', label: '最大重连次数', section: '连接', type: 'number', min: 0, max: 100 },
+        { path: 'RETRY_INTERVAL', label: '重连间隔（毫秒）', section: '连接', type: 'number', min: 500, max: 600000 },
+        { path: 'COMMANDS.TOKEN', label: '页面命令密钥（bridge/.command-token）', section: '连接', type: 'secret' },
+        { path: 'MAX_DATA_SIZE', label: '单条数据上限（字符）', section: '数据', type: 'number', min: 1024, max: 1048576 }
+      ];
+
+      Object.keys(Config.TEXT_LIMITS).forEach((key) => {
+        fields.push({ path: `TEXT_LIMITS.${key}`, label: `${key} 截断长度`, section: '数据', type: 'number', min: 0, max: 100000 });
+      });
+
+      fields.push({ path: 'HISTORY.MAX_ENTRIES', label: '选中历史条数（每个域名）', section: '数据', type: 'number', min: 0, max: 200 });
+      fields.push({ path: 'HISTORY.MAX_BYTES', label: '选中历史数据上限（字符，每个域名）', section: '数据', type: 'number', min: 0, max: 4194304 });
+      fields.push({ path: 'QUEUE.MAX_MESSAGES', label: '离线队列上限', section: '数据', type: 'number', min: 1, max: 200 });
+      fields.push({ path: 'SELECTORS.MAX_CANDIDATES', label: '选择器候选数量', section: '数据', type: 'number', min: 1, max: 20 });
+
+      fields.push({
+        path: 'STYLE_PROFILE',
+        label: '样式采集',
+        section: '样式',
+        type: 'select',
+        options: [
+          { value: 'compact', label: 'compact - 固定白名单' },
+          { value: 'diff', label: 'diff - 与浏览器默认值不同的样式' }
+        ]
+      });
+
+      Object.keys(Config.HOTKEYS).forEach((key) => {
+        fields.push({ path: `HOTKEYS.${key}`, label: HOTKEY_LABELS[key] || key, section: '快捷键', type: 'hotkey' });
+      });
+
+      return fields;
+    },
+
+    /**
+     * 加载设置并写入 Config（脚本启动时调用一次）
+     *
+     * 业务逻辑：
+     * 1. 记录 Config 默认值快照
+     * 2. 迁移旧版单独存储的 port 键
+     * 3. 合并全局设置与当前域名覆盖后写入 Config
+     */
+    load() {
+      if (!this.defaults) {
+        this.fields = this.buildFields();
+        this.defaults = {};
+        this.fields.forEach((field) => {
+          this.defaults[field.path] = this.read(field.path);
+        });
+      }
+
+      const legacyPort = GM_getValue('port', null);
+      if (legacyPort) {
+        const global = this.getStored('global');
+        const portField = this.fields.find((field) => field.path === 'port');
+        const migrated = this.validate(portField, legacyPort);
+        if (!('port' in global) && !migrated.error) {
+          global.port = migrated.value;
+          GM_setValue(SETTINGS_KEY, global);
+        }
+        GM_setValue('port', null);
+      }
+
+      this.apply();
+    },
+
+    /**
+     * 读取 Config 中字段的当前值
+     */
+    read(path) {
+      if (path === 'port') {
+        const match = Config.WS_URL.match(/:(\d+)$/);
+        return match ? parseInt(match[1], 10) : 51765;
+      }
+      return path.split('.').reduce((target, key) => (target ? target[key] : undefined), Config);
+    },
+
+    /**
+     * 写入 Config 字段
+     */
+    write(path, value) {
+      if (path === 'port') {
+        Config.WS_URL = `ws://localhost:${value}`;
+        return;
+      }
+      const keys = path.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((current, key) => current[key], Config);
+      target[last] = value;
+    },
+
+    /**
+     * 读取存储中的设置（丢弃未知字段和无效值）
+     *
+     * @param {string} scope - global | domain
+     * @returns {Object} 字段路径 → 值
+     */
+    getStored(scope) {
+      const key = scope === 'domain' ? SETTINGS_DOMAIN_PREFIX + location.hostname : SETTINGS_KEY;
+      const stored = GM_getValue(key, null) || {};
+      const result = {};
+      Object.keys(stored).forEach((path) => {
+        const field = this.fields.find((item) => item.path === path);
+        if (!field) return;
+        const { value, error } = this.validate(field, stored[path]);
+        if (error) {
+          console.warn(`[Web Inspector] 忽略无效设置 ${path}: ${stored[path]}（${error}）`);
+          return;
+        }
+        result[path] = value;
+      });
+      return result;
+    },
+
+    /**
+     * 计算指定层级的生效值
+     *
+     * @param {string} scope - global（默认值 ← 全局）| domain（默认值 ← 全局 ← 域名）
+     * @returns {Object} 字段路径 → 值
+     */
+    resolve(scope) {
+      const values = Object.assign({}, this.defaults, this.getStored('global'));
+      if (scope === 'domain') Object.assign(values, this.getStored('domain'));
+      return values;
+    },
+
+    /**
+     * 将生效设置写入 Config
+     */
+    apply() {
+      const values = this.resolve('domain');
+      this.fields.forEach((field) => this.write(field.path, values[field.path]));
+    },
+
+    /**
+     * 校验并规范化单个字段的值
+     *
+     * @param {Object} field - 字段定义
+     * @param {*} raw - 原始输入
+     * @returns {{value?: *, error?: string}}
+     */
+    validate(field, raw) {
+      if (field.type === 'number') {
+        const text = String(raw).trim();
+        if (!/^\d+$/.test(text)) return { error: '请输入整数' };
+        const value = parseInt(text, 10);
+        if (value < field.min || value > field.max) return { error: `范围 ${field.min}-${field.max}` };
+        return { value };
+      }
+
+      if (field.type === 'select') {
+        const valid = field.options.some((option) => option.value === raw);
+        return valid ? { value: raw } : { error: '无效选项' };
+      }
+
+      if (field.type === 'secret') {
+        const text = String(raw || '').trim();
+        return /^[0-9a-f]{0,128}$/i.test(text) ? { value: text } : { error: '应为十六进制密钥' };
+      }
+
+      if (field.type === 'hotkey') {
+        const text = String(raw || '').trim();
+        // 留空表示禁用该快捷键
+        if (!text) return { value: '' };
+        const parts = text.split('+').map((part) => part.trim());
+        const key = parts.pop();
+        if (!key || parts.some((part) => !HOTKEY_MODIFIERS.includes(part.toLowerCase()))) {
+          return { error: '格式如 Alt+Shift+S' };
+        }
+        if (HOTKEY_MODIFIERS.includes(key.toLowerCase())) return { error: '缺少主键' };
+        // 无修饰键的快捷键会抢占页面按键，只允许功能键
+        if (parts.length === 0 && !/^F\d{1,2}$/i.test(key)) return { error: '需要至少一个修饰键' };
+        const modifiers = parts.map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase());
+        return { value: modifiers.concat(key.length === 1 ? key.toUpperCase() : key).join('+') };
+      }
+
+      return { error: '未知字段类型' };
+    },
+
+    /**
+     * 保存设置
+     *
+     * 业务逻辑：
+     * 1. 全局层只保存与默认值不同的字段；域名层只保存与全局生效值不同的字段
+     * 2. 写入存储后重新计算生效值并写入 Config
+     *
+     * @param {string} scope - global | domain
+     * @param {Object} values - 已校验的完整字段值
+     */
+    save(scope, values) {
+      const base = scope === 'domain' ? this.resolve('global') : this.defaults;
+      const diff = {};
+      Object.keys(values).forEach((path) => {
+        if (values[path] !== base[path]) diff[path] = values[path];
+      });
+      GM_setValue(scope === 'domain' ? SETTINGS_DOMAIN_PREFIX + location.hostname : SETTINGS_KEY, diff);
+      this.apply();
+    },
+
+    /**
+     * 恢复默认值（全局层清空全部设置；域名层清除当前域名的覆盖）
+     *
+     * @param {string} scope - global | domain
+     */
+    reset(scope) {
+      GM_setValue(scope === 'domain' ? SETTINGS_DOMAIN_PREFIX + location.hostname : SETTINGS_KEY, {});
+      this.apply();
+    }
+  };
+
+  // ============================================
+  // 选中历史（按域名存储，键名: history_{hostname}，新记录在前）
+  // ============================================
+  const HISTORY_KEY_PREFIX = 'history_';
+
+  // 历史记录发送状态的显示文本
+  const HISTORY_STATUS_LABELS = {
+    sent: 'sent',
+    queued: 'queued',
+    failed: 'not sent',
+    undelivered: 'not delivered' // Bridge 已收到但粘贴与 MCP 转发均失败
+  };
+
+  const PickHistory = {
+    /**
+     * 读取当前域名的历史记录
+     *
+     * @returns {Object[]} { id, type, time, status, label, selectors, inFrame, data }（data 超出存储预算时为 null）
+     */
+    getEntries() {
+      const entries = GM_getValue(HISTORY_KEY_PREFIX + location.hostname, null);
+      return Array.isArray(entries) ? entries : [];
+    },
+
+    /**
+     * 写入历史记录并刷新面板
+     *
+     * 业务逻辑：
+     * 1. 超出 HISTORY.MAX_ENTRIES 的旧记录丢弃
+     * 2. 从新到旧累计 data 的序列化长度，超出 HISTORY.MAX_BYTES 后较早记录的 data 置空，
+     *    仅保留标签与选择器等摘要，避免多选 / 框选数据撑大 GM 存储
+     */
+    saveEntries(entries) {
+      let budget = Config.HISTORY.MAX_BYTES;
+      const kept = entries.slice(0, Config.HISTORY.MAX_ENTRIES).map((entry) => {
+        if (!entry.data) return entry;
+        const size = JSON.stringify(entry.data).length;
+        if (size <= budget) {
+          budget -= size;
+          return entry;
+        }
+        budget = 0;
+        return Object.assign({}, entry, { data: null });
+      });
+      GM_setValue(HISTORY_KEY_PREFIX + location.hostname, kept);
+      if (UI.refreshHistory) UI.refreshHistory();
+    },
+
+    /**
+     * 按 ID 查找历史记录
+     */
+    get(id) {
+      return this.getEntries().find((entry) => entry.id === id) || null;
+    },
+
+    /**
+     * 新增一条历史记录
+     *
+     * @param {string} type - 消息类型（element_selected 等）
+     * @param {*} data - 消息数据
+     * @param {string} status - 发送状态（sent | queued | failed | undelivered）
+     * @returns {string} 记录 ID
+     */
+    add(type, data, status) {
+      const entry = Object.assign({
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        time: Date.now(),
+        status,
+        data
+      }, this.describe(type, data));
+      this.saveEntries([entry].concat(this.getEntries()));
+      return entry.id;
+    },
+
+    /**
+     * 更新历史记录字段（如重新发送后的状态）
+     */
+    update(id, patch) {
+      this.saveEntries(this.getEntries().map((entry) => (entry.id === id ? Object.assign({}, entry, patch) : entry)));
+    },
+
+    /**
+     * 删除历史记录
+     */
+    remove(id) {
+      this.saveEntries(this.getEntries().filter((entry) => entry.id !== id));
+    },
+
+    /**
+     * 生成历史记录的展示信息
+     *
+     * 业务逻辑：
+     * 1. label：元素为 tag#id / tag.class，多选为元素数量，框选为区域尺寸，文本为选中文本开头
+     * 2. selectors：用于重新高亮与复制的选择器（Shadow DOM 内元素使用 >>> 穿透选择器）
+     * 3. inFrame：元素位于 iframe 中时无法在顶层页面重新高亮
+     */
+    describe(type, data) {
+      const safeData = data || {};
+      const selectorOf = (item) => (item && (item.piercingSelector || item.cssSelector)) || '';
+      const isInFrame = (item) => Boolean(item && Array.isArray(item.framePath) && item.framePath.length > 0);
+
+      if (type === 'elements_selected') {
+        const list = Array.isArray(data) ? data : [];
+        return {
+          label: `${list.length} elements`,
+          selectors: list.map(selectorOf).filter(Boolean),
+          inFrame: list.some(isInFrame)
+        };
+      }
+      if (type === 'region_selected') {
+        const region = safeData.region || {};
+        return {
+          label: `region ${region.width || 0}×${region.height || 0} (${safeData.totalMatched || 0})`,
+          selectors: safeData.ancestorSelector ? [safeData.ancestorSelector] : [],
+          inFrame: isInFrame(safeData)
+        };
+      }
+      if (type === 'text_selected') {
+        const text = String(safeData.text || '').replace(/\s+/g, ' ').trim();
+        return {
+          label: `"${text.length > 30 ? `${text.slice(0, 30)}…` : text}"`,
+          selectors: [selectorOf(safeData.ancestor)].filter(Boolean),
+          inFrame: isInFrame(safeData)
+        };
+      }
+
+      const tagName = safeData.tagName || 'element';
+      const firstClass = String(safeData.className || '').split(/\s+/).filter(Boolean)[0];
+      let label = tagName;
+      if (safeData.id) {
+        label += `#${safeData.id}`;
+      } else if (firstClass) {
+        label += `.${firstClass}`;
+      }
+      return {
+        label,
+        selectors: [selectorOf(safeData)].filter(Boolean),
+        inFrame: isInFrame(safeData)
+      };
+    }
+  };
+
   // ============================================
   // 状态管理
   // ============================================
@@ -99,9 +572,259 @@
     inspectorState: 'IDLE', // IDLE | INSPECTING | PICKED
     connectionState: 'DISCONNECTED', // DISCONNECTED | CONNECTING | CONNECTED
     currentTarget: null,
-    lastCollectedData: null
+    lastCollectedData: null // 最近一次发送的选中内容 { type, data, historyId, messageId }
+  };
+
+  // 选中类消息（可被 "重新发送" 快捷键重放，未连接时进入离线队列）
+  const SELECTION_MESSAGE_TYPES = ['element_selected', 'elements_selected', 'region_selected', 'text_selected'];
+
+  // 子 frame 可经 deliver 转交的消息类型（选中数据及其截图分片）
+  const FRAME_DELIVER_TYPES = SELECTION_MESSAGE_TYPES.concat('image_chunk');
+
+  // 离线队列存储键（所有域名共用）
+  const OUTBOX_KEY = 'outbox';
+
+  // ============================================
+  // 盒模型遮罩层配色（与 Chrome DevTools 一致）
+  // ============================================
+  const BOX_MODEL_COLORS = {
+    margin: 'rgba(246, 178, 107, 0.66)',
+    border: 'rgba(255, 229, 153, 0.66)',
+    padding: 'rgba(147, 196, 125, 0.55)',
+    content: 'rgba(111, 168, 220, 0.66)'
+  };
+
+  // ============================================
+  // 页面浮层共用样式（Tooltip、预览框、编号徽标、带标签高亮共用，避免各处内联样式不一致）
+  // ============================================
+  const MONO_FONT = 'Menlo, Monaco, "JetBrains Mono", "Courier New", monospace';
+
+  // 0×0 的 fixed 容器，子元素各自以视口坐标定位
+  const FLOATING_LAYER_STYLE = {
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    width: '0',
+    height: '0',
+    zIndex: '2147483646',
+    pointerEvents: 'none'
+  };
+
+  // 深色标签（元素 Tooltip 与带标签高亮的标签）
+  const DARK_TAG_STYLE = {
+    backgroundColor: 'rgba(28, 28, 30, 0.95)',
+    color: '#ffffff',
+    fontFamily: MONO_FONT,
+    borderRadius: '4px',
+    whiteSpace: 'nowrap',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.3)'
+  };
+
+  // ============================================
+  // 键盘 DOM 导航映射（Inspector 激活时生效）
+  // ============================================
+  const NAV_KEYS = {
+    ArrowUp: 'parent',
+    '[': 'parent',
+    ArrowDown: 'child',
+    ']': 'child',
+    ArrowLeft: 'prev',
+    ArrowRight: 'next'
+  };
+
+  // ============================================
+  // 无障碍：HTML 元素的隐式 ARIA 角色（HTML-AAM 常用子集）
+  // 依赖属性或上下文的角色（a、img、input、header 等）在 Collector.getImplicitRole 中单独判断
+  // ============================================
+  const IMPLICIT_ROLES = {
+    article: 'article',
+    aside: 'complementary',
+    blockquote: 'blockquote',
+    button: 'button',
+    caption: 'caption',
+    code: 'code',
+    datalist: 'listbox',
+    dd: 'definition',
+    details: 'group',
+    dfn: 'term',
+    dialog: 'dialog',
+    dt: 'term',
+    em: 'emphasis',
+    fieldset: 'group',
+    figure: 'figure',
+    form: 'form',
+    h1: 'heading',
+    h2: 'heading',
+    h3: 'heading',
+    h4: 'heading',
+    h5: 'heading',
+    h6: 'heading',
+    hr: 'separator',
+    li: 'listitem',
+    main: 'main',
+    math: 'math',
+    menu: 'list',
+    meter: 'meter',
+    nav: 'navigation',
+    ol: 'list',
+    optgroup: 'group',
+    option: 'option',
+    output: 'status',
+    p: 'paragraph',
+    progress: 'progressbar',
+    search: 'search',
+    strong: 'strong',
+    summary: 'button',
+    table: 'table',
+    tbody: 'rowgroup',
+    td: 'cell',
+    textarea: 'textbox',
+    tfoot: 'rowgroup',
+    thead: 'rowgroup',
+    tr: 'row',
+    ul: 'list'
+  };
+
+  // 可从子树文本计算可访问名称的角色（accname "name from content"）
+  const NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+    'tooltip', 'treeitem'
+  ]);
+
+  // 采集的 ARIA 状态 / 属性
+  const ARIA_STATE_ATTRIBUTES = [
+    'aria-busy', 'aria-checked', 'aria-current', 'aria-disabled', 'aria-expanded', 'aria-haspopup',
+    'aria-invalid', 'aria-level', 'aria-live', 'aria-modal', 'aria-pressed', 'aria-readonly',
+    'aria-required', 'aria-selected', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'
+  ];
+
+  // 选择器候选：各策略的基础稳定性得分（再按位置序号、哈希类名、动态值等扣分）
+  const SELECTOR_STRATEGY_SCORES = {
+    testid: 100,
+    id: 90,
+    role: 85,
+    label: 80,
+    attribute: 75,
+    text: 65,
+    css: 50,
+    xpath: 30
+  };
+
+  // 测试专用属性（按优先级）
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+
+  // 通常不随渲染变化的语义属性（按优先级）
+  const STABLE_SELECTOR_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title', 'alt', 'for', 'type', 'href'];
+
+  // 隐式角色取决于属性的标签（不在 IMPLICIT_ROLES 中），统计同角色元素时按角色补充查询
+  const CONDITIONAL_ROLE_TAGS = {
+    link: ['a', 'area'],
+    img: ['img'],
+    combobox: ['input', 'select'],
+    listbox: ['select'],
+    columnheader: ['th'],
+    rowheader: ['th'],
+    region: ['section'],
+    banner: ['header'],
+    contentinfo: ['footer'],
+    button: ['input'],
+    checkbox: ['input'],
+    switch: ['input'],
+    radio: ['input'],
+    slider: ['input'],
+    spinbutton: ['input'],
+    searchbox: ['input'],
+    textbox: ['input']
   };
 
+  // 可关联 <label> 的元素
+  const LABELABLE_SELECTOR = 'input, select, textarea, button, meter, output, progress';
+
+  // ============================================
+  // 样式差异采集：属性分类（按顺序匹配，未命中的归入 other）
+  // ============================================
+  const STYLE_CATEGORIES = [
+    { name: 'layout', pattern: /^(display|position|top|right|bottom|left|z-index|float|clear|box-sizing|(min-|max-)?(width|height)|overflow(-x|-y)?|visibility|vertical-align|aspect-ratio|contain|content-visibility|isolation|object-(fit|position)|table-layout|list-style)/ },
+    { name: 'flex-grid', pattern: /^(flex|grid|gap|row-gap|column-gap|order|justify-|align-|place-)/ },
+    { name: 'box', pattern: /^(margin|padding|border|outline|box-shadow)/ },
+    { name: 'typography', pattern: /^(font|line-height|letter-spacing|word-|white-space|text-|color$|direction|writing-mode|hyphens|tab-size|-webkit-line-clamp|-webkit-text-)/ },
+    { name: 'background', pattern: /^background/ },
+    { name: 'effects', pattern: /^(opacity|transform|translate|rotate|scale|filter|backdrop-filter|mix-blend-mode|clip|mask|transition|animation|will-change|perspective)/ },
+    { name: 'interaction', pattern: /^(cursor|pointer-events|user-select|touch-action|resize|scroll-|overscroll-|caret-color|accent-color)/ }
+  ];
+
+  // 逻辑属性（margin-inline-start、block-size 等）与对应的物理属性重复，差异采集时跳过
+  const LOGICAL_STYLE_PATTERN = /(^|-)(block|inline)(-|$)|^border-(start|end)-/;
+
+  // 四边长属性合并为简写（四个都存在时）
+  const STYLE_SHORTHANDS = [
+    { name: 'margin', longhands: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'] },
+    { name: 'padding', longhands: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'] },
+    { name: 'inset', longhands: ['top', 'right', 'bottom', 'left'] },
+    { name: 'border-width', longhands: ['border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width'] },
+    { name: 'border-style', longhands: ['border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style'] },
+    { name: 'border-color', longhands: ['border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color'] },
+    { name: 'border-radius', longhands: ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius'] }
+  ];
+
+  /**
+   * 判断键盘事件是否匹配快捷键字符串（如 "Alt+Shift+S"）
+   *
+   * 业务逻辑：
+   * 1. 修饰键（Ctrl / Alt / Shift / Meta|Cmd）必须完全一致
+   * 2. 字母和数字按 event.code 比较（避免 macOS 下 Alt 组合产生特殊字符）
+   * 3. 其他按键按 event.key 忽略大小写比较
+   *
+   * @param {KeyboardEvent} event - 键盘事件
+   * @param {string} combo - 快捷键字符串
+   * @returns {boolean} 是否匹配
+   */
+  function matchHotkey(event, combo) {
+    if (!combo || typeof combo !== 'string') return false;
+    const parts = combo.split('+').map((part) => part.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) return false;
+
+    const modifiers = parts.map((part) => part.toLowerCase());
+    if (event.altKey !== modifiers.includes('alt')) return false;
+    if (event.shiftKey !== modifiers.includes('shift')) return false;
+    if (event.ctrlKey !== modifiers.includes('ctrl')) return false;
+    if (event.metaKey !== (modifiers.includes('meta') || modifiers.includes('cmd'))) return false;
+
+    if (/^[a-z0-9]$/i.test(key)) {
+      const code = /^\d$/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`;
+      return event.code === code;
+    }
+    return String(event.key || '').toLowerCase() === key.toLowerCase();
+  }
+
+  /**
+   * 将键盘事件转换为快捷键字符串（设置面板录制快捷键用，与 matchHotkey 对应）
+   *
+   * @param {KeyboardEvent} event - 键盘事件
+   * @returns {string} 如 "Alt+Shift+S"；只按下修饰键时返回空字符串
+   */
+  function formatHotkey(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return '';
+
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+
+    const code = event.code || '';
+    if (/^Key[A-Z]$/.test(code)) {
+      parts.push(code.slice(3));
+    } else if (/^Digit\d$/.test(code)) {
+      parts.push(code.slice(5));
+    } else {
+      parts.push(event.key.length === 1 ? event.key.toUpperCase() : event.key);
+    }
+    return parts.join('+');
+  }
+
   // ============================================
   // 模块定义 (空壳，后续任务填充)
   // ============================================
@@ -113,7 +836,19 @@
     isActive: false,
     currentTarget: null,
     overlay: null,
+    overlayLayers: null, // 盒模型分层：margin / border / padding / content
     tooltip: null, // 新增：元素标签 Tooltip
+    selection: [], // 多选模式下按选择顺序累积的元素
+    badgeLayer: null, // 多选编号徽标容器
+    previewLayer: null, // 历史记录悬停时的临时高亮容器
+    highlightLayer: null, // MCP highlight_elements 绘制的带标签高亮容器
+    highlights: [], // 当前带标签高亮的元素
+    _highlightTimer: null,
+    _handleHighlightViewport: null,
+    _handleHighlightKeyDown: null,
+    regionMode: false, // 框选模式（R 键切换）
+    marquee: null, // 框选矩形
+    _regionStart: null,
     _rafPending: false,
 
     /**
@@ -125,6 +860,7 @@
       this.createOverlay();
       this.createTooltip(); // 新增：创建 Tooltip
       this.bindEvents();
+      FrameBridge.syncActive(true);
     },
 
     /**
@@ -140,16 +876,28 @@
       if (this.tooltip) {
         this.tooltip.style.display = 'none';
       }
+      this.clearSelection();
+      this.setRegionMode(false);
+      UI.closeComposer();
+      Collector.disposeStyleSandbox();
       this.currentTarget = null;
 
       // 同步重置 Ghost 按钮视觉状态，确保按钮恢复到未激活样式
       if (typeof UI !== 'undefined' && UI.ghostButton) {
         UI.ghostButton.classList.remove('active');
       }
+      if (typeof UI !== 'undefined' && UI.hideBreadcrumb) {
+        UI.hideBreadcrumb();
+      }
+      FrameBridge.syncActive(false);
     },
 
     /**
      * 创建或显示遮罩层 (TD18/TD21)
+     *
+     * 业务逻辑：
+     * 1. overlay 为 0×0 的 fixed 容器，内部按 DevTools 配色分为 margin / border / padding / content 四层
+     * 2. 每层使用视口坐标绝对定位，margin / border / padding 层以边框宽度绘制环形区域
      */
     createOverlay() {
       if (this.overlay) {
@@ -158,16 +906,27 @@
       }
       this.overlay = document.createElement('div');
       this.overlay.id = 'web-inspector-overlay';
-      Object.assign(this.overlay.style, {
-        position: 'fixed',
+      Object.assign(this.overlay.style, FLOATING_LAYER_STYLE, {
         zIndex: '2147483647',
-        pointerEvents: 'none',
-        backgroundColor: 'rgba(108, 92, 231, 0.15)',
-        border: '2px solid rgba(108, 92, 231, 0.8)',
-        boxSizing: 'border-box',
-        transition: 'all 0.1s ease',
         display: 'block'
       });
+
+      this.overlayLayers = {};
+      ['margin', 'border', 'padding', 'content'].forEach((name) => {
+        const layer = document.createElement('div');
+        Object.assign(layer.style, {
+          position: 'absolute',
+          boxSizing: 'border-box',
+          pointerEvents: 'none',
+          borderStyle: 'solid',
+          borderWidth: '0',
+          borderColor: BOX_MODEL_COLORS[name],
+          backgroundColor: name === 'content' ? BOX_MODEL_COLORS.content : 'transparent'
+        });
+        this.overlayLayers[name] = layer;
+        this.overlay.appendChild(layer);
+      });
+
       document.body.appendChild(this.overlay);
     },
 
@@ -187,18 +946,12 @@
       }
       this.tooltip = document.createElement('div');
       this.tooltip.id = 'web-inspector-tooltip';
-      Object.assign(this.tooltip.style, {
+      Object.assign(this.tooltip.style, DARK_TAG_STYLE, {
         position: 'fixed',
         zIndex: '2147483646', // 低于 overlay，避免遮挡高亮框
         pointerEvents: 'none',
-        backgroundColor: 'rgba(28, 28, 30, 0.95)',
-        color: '#ffffff',
-        fontFamily: 'Menlo, Monaco, "JetBrains Mono", "Courier New", monospace',
         fontSize: '12px',
         padding: '4px 8px',
-        borderRadius: '4px',
-        whiteSpace: 'nowrap',
-        boxShadow: '0 2px 8px rgba(0,0,0,0.3)',
         transition: 'opacity 0.15s ease-out, transform 0.15s ease-out',
         opacity: '0',
         transform: 'translateY(-4px)',
@@ -211,14 +964,22 @@
      * 绑定事件监听器（捕获阶段）
      */
     bindEvents() {
-      this._handleMouseOver = this.handleMouseOver.bind(this);
-      this._handleClick = this.handleClick.bind(this);
-      this._handleScroll = this.handleScroll.bind(this);
-      this._handleResize = this.handleResize.bind(this);
-      this._handleKeyDown = this.handleKeyDown.bind(this);
+      // markOwn：监听器记录模式下不把 Inspector 自身的处理函数计入页面监听器
+      const own = (handler) => ListenerRegistry.markOwn(handler.bind(this));
+      this._handleMouseOver = own(this.handleMouseOver);
+      this._handleClick = own(this.handleClick);
+      this._handleScroll = own(this.handleScroll);
+      this._handleResize = own(this.handleResize);
+      this._handleKeyDown = own(this.handleKeyDown);
+      this._handleMouseDown = own(this.handleMouseDown);
+      this._handleMouseMove = own(this.handleMouseMove);
+      this._handleMouseUp = own(this.handleMouseUp);
 
       window.addEventListener('mouseover', this._handleMouseOver, true);
       window.addEventListener('click', this._handleClick, true);
+      window.addEventListener('mousedown', this._handleMouseDown, true);
+      window.addEventListener('mousemove', this._handleMouseMove, true);
+      window.addEventListener('mouseup', this._handleMouseUp, true);
       window.addEventListener('scroll', this._handleScroll, { capture: true, passive: true });
       window.addEventListener('resize', this._handleResize, { capture: true, passive: true });
       window.addEventListener('keydown', this._handleKeyDown, true);
@@ -232,6 +993,9 @@
     unbindEvents() {
       window.removeEventListener('mouseover', this._handleMouseOver, true);
       window.removeEventListener('click', this._handleClick, true);
+      window.removeEventListener('mousedown', this._handleMouseDown, true);
+      window.removeEventListener('mousemove', this._handleMouseMove, true);
+      window.removeEventListener('mouseup', this._handleMouseUp, true);
       window.removeEventListener('scroll', this._handleScroll, { capture: true, passive: true });
       window.removeEventListener('resize', this._handleResize, { capture: true, passive: true });
       window.removeEventListener('keydown', this._handleKeyDown, true);
@@ -275,6 +1039,10 @@
       if (!target) return false;
       if (target === this.overlay) return true;
       if (target === this.tooltip) return true; // 新增：检测 tooltip
+      if (this.badgeLayer && this.badgeLayer.contains(target)) return true;
+      if (this.previewLayer && this.previewLayer.contains(target)) return true;
+      if (this.highlightLayer && this.highlightLayer.contains(target)) return true;
+      if (target === Collector.styleSandbox) return true;
       if (UI && UI.host && UI.host.contains(target)) return true;
       if (UI && UI.shadowRoot && target.getRootNode && target.getRootNode() === UI.shadowRoot) return true;
       return false;
@@ -284,82 +1052,264 @@
      * 处理鼠标悬停（阶段 2 改进：同时更新 Tooltip）
      */
     handleMouseOver(event) {
+      // 指令输入框打开期间冻结高亮在已选元素上
+      if (this.regionMode || UI.isComposerOpen()) return;
       const target = this.getEventTarget(event);
       if (!target || target === this.currentTarget || this.isOwnUI(target)) return;
-      this.currentTarget = target;
+      this.setTarget(target);
+    },
+
+    /**
+     * 切换当前高亮目标（鼠标悬停 / 键盘导航 / 面包屑点击共用入口）
+     *
+     * 业务逻辑：
+     * 1. 过滤无效节点与插件自身 UI
+     * 2. 更新 currentTarget 并通过 rAF 刷新遮罩层和 Tooltip
+     * 3. 同步刷新 Shadow DOM 中的祖先面包屑
+     *
+     * @param {Element} element - 新的高亮目标
+     */
+    setTarget(element) {
+      if (!element || element.nodeType !== 1 || this.isOwnUI(element)) return;
+      const wasSuspended = !this.currentTarget;
+      this.currentTarget = element;
+      if (this.overlay && !this.regionMode) this.overlay.style.display = 'block';
       this.requestUpdate(); // 使用 rAF 批次更新（性能优化）
+      if (UI.updateBreadcrumb) UI.updateBreadcrumb(element);
+      // 同一时刻只保留一个 frame 的高亮：通知父级隐藏、子 frame 让出
+      if (wasSuspended || window.frames.length > 0) FrameBridge.notifyHover();
     },
 
     /**
-     * 更新遮罩层位置和大小 (Task 4.3)
+     * 让出高亮（鼠标进入其他 frame 时调用）
+     *
+     * 业务逻辑：
+     * 1. 隐藏遮罩层和 Tooltip
+     * 2. 清空 currentTarget，键盘导航在该 frame 内暂停，直到鼠标再次悬停
      */
-    updateOverlay() {
-      if (!this.isActive || !this.currentTarget || !this.overlay) return;
-      const rect = this.currentTarget.getBoundingClientRect();
-      Object.assign(this.overlay.style, {
-        top: `${rect.top}px`,
-        left: `${rect.left}px`,
-        width: `${rect.width}px`,
-        height: `${rect.height}px`
-      });
+    suspendHighlight() {
+      if (!this.isActive) return;
+      this.currentTarget = null;
+      if (this.overlay) this.overlay.style.display = 'none';
+      if (this.tooltip) this.tooltip.style.opacity = '0';
     },
 
     /**
-     * 更新元素标签 Tooltip（阶段 2 改进 - 参考 Enso 简化实现）
+     * 获取鼠标当前悬停的元素（"选中悬停元素" 快捷键用）
+     *
+     * 业务逻辑：
+     * 1. Inspector 激活时取当前高亮元素（可能已通过键盘导航切换）
+     * 2. 否则取 :hover 链上最深的元素，并逐层进入 open Shadow Root
+     * 3. 悬停在自身 UI 上时返回 null
+     *
+     * @returns {Element|null}
+     */
+    getHoveredElement() {
+      if (this.isActive && this.currentTarget) return this.currentTarget;
+
+      let root = document;
+      let hovered = null;
+      while (root) {
+        const chain = root.querySelectorAll(':hover');
+        const deepest = chain[chain.length - 1];
+        if (!deepest) break;
+        hovered = deepest;
+        root = deepest.shadowRoot || null;
+      }
+
+      return hovered && !this.isOwnUI(hovered) ? hovered : null;
+    },
+
+    /**
+     * 获取元素标签文本（tag#id 或 tag.class1.class2）
      *
      * 业务逻辑（参考 Enso Web Inspector）：
      * 1. 优先显示 tag#id
-     * 2. 否则显示 tag.class（最多 2 个类名）
+     * 2. 否则显示 tag.class（最多 2 个类名，过滤伪类）
      * 3. 都没有就显示 tagName
-     * 4. 智能定位：元素上方，贴顶时翻转至元素下方
+     *
+     * @param {Element} el - 目标元素
+     * @returns {string} 标签文本
      */
-    updateTooltip() {
-      if (!this.isActive || !this.currentTarget || !this.tooltip) return;
-
-      const el = this.currentTarget;
-      const tag = el.tagName ? el.tagName.toLowerCase() : 'unknown';
+    getElementLabel(el) {
+      const tag = el && el.tagName ? el.tagName.toLowerCase() : 'unknown';
 
-      let displayText = tag;
-
-      // 优先显示 ID
-      if (el.id) {
-        displayText = `${tag}#${el.id}`;
+      if (el && el.id) {
+        return `${tag}#${el.id}`;
       }
-      // 否则显示 class（最多 2 个类名，过滤伪类）
-      else if (el.className && typeof el.className === 'string') {
-        const classes = el.className.trim()
+
+      const className = Collector.getClassName(el);
+      if (className) {
+        const classes = className
           .split(/\s+/)
           .filter(c => c && !c.includes(':'))
           .slice(0, 2);
         if (classes.length) {
-          displayText = `${tag}.${classes.join('.')}`;
+          return `${tag}.${classes.join('.')}`;
         }
       }
 
-      this.tooltip.textContent = displayText;
+      return tag;
+    },
 
-      // 智能定位：基于元素位置自动避让
-      const rect = this.currentTarget.getBoundingClientRect();
-      const tooltipHeight = 24; // 预估高度
-      const margin = 4; // 与元素的间距
+    /**
+     * 获取 DOM 导航的父级目标（穿透 Shadow Root 回到宿主元素）
+     *
+     * @param {Element} element - 当前元素
+     * @returns {Element|null} 父级元素，已到 <html> 时返回 null
+     */
+    getParentTarget(element) {
+      if (!element) return null;
+      if (element.parentElement) return element.parentElement;
+      const root = element.getRootNode ? element.getRootNode() : null;
+      if (root && root.host && root !== UI.shadowRoot) return root.host;
+      return null;
+    },
 
-      if (rect.top < tooltipHeight + margin + 10) {
-        // 元素贴近视口顶部，显示在元素下方
-        this.tooltip.style.top = `${rect.bottom + margin}px`;
-      } else {
-        // 显示在元素上方
-        this.tooltip.style.top = `${rect.top - tooltipHeight - margin}px`;
+    /**
+     * 获取 DOM 导航的子级目标列表（Light DOM 优先，无子元素时进入 open Shadow Root）
+     *
+     * @param {Element} element - 当前元素
+     * @returns {Element[]} 可导航的子元素（已过滤插件自身 UI）
+     */
+    getChildTargets(element) {
+      if (!element) return [];
+      let children = Array.from(element.children || []);
+      if (children.length === 0 && element.shadowRoot) {
+        children = Array.from(element.shadowRoot.children || []);
       }
-
-      this.tooltip.style.left = `${rect.left}px`;
-
-      // 显示动画（透明度 + 位移）
-      this.tooltip.style.opacity = '1';
-      this.tooltip.style.transform = 'translateY(0)';
+      return children.filter((child) => !this.isOwnUI(child) && child.tagName !== 'STYLE' && child.tagName !== 'SCRIPT');
     },
 
     /**
-     * 处理点击选择（Task 4.4 - 阶段 3 改进：移除弹窗 + Toast 反馈）
+     * 获取 DOM 导航的兄弟目标（跳过插件自身 UI 与 script/style）
+     *
+     * @param {Element} element - 当前元素
+     * @param {'prev'|'next'} direction - 方向
+     * @returns {Element|null} 兄弟元素
+     */
+    getSiblingTarget(element, direction) {
+      let sibling = element;
+      do {
+        sibling = direction === 'prev' ? sibling.previousElementSibling : sibling.nextElementSibling;
+      } while (sibling && (this.isOwnUI(sibling) || sibling.tagName === 'STYLE' || sibling.tagName === 'SCRIPT'));
+      return sibling;
+    },
+
+    /**
+     * 键盘 DOM 导航
+     *
+     * @param {'parent'|'child'|'prev'|'next'} direction - 导航方向
+     * @returns {boolean} 是否成功切换目标
+     */
+    navigate(direction) {
+      const current = this.currentTarget;
+      if (!current) return false;
+
+      let next = null;
+      switch (direction) {
+        case 'parent': next = this.getParentTarget(current); break;
+        case 'child': next = this.getChildTargets(current)[0] || null; break;
+        case 'prev':
+        case 'next': next = this.getSiblingTarget(current, direction); break;
+        default: break;
+      }
+
+      if (!next) return false;
+      this.setTarget(next);
+      return true;
+    },
+
+    /**
+     * 更新遮罩层位置和大小 (Task 4.3)
+     */
+    updateOverlay() {
+      if (!this.isActive || this.regionMode || !this.currentTarget || !this.overlay) return;
+      const rect = this.currentTarget.getBoundingClientRect();
+      const box = Collector.getBoxModel(this.currentTarget);
+      // 负 margin 无法以边框绘制，按 0 处理
+      const margin = {
+        top: Math.max(0, box.margin.top),
+        right: Math.max(0, box.margin.right),
+        bottom: Math.max(0, box.margin.bottom),
+        left: Math.max(0, box.margin.left)
+      };
+
+      const place = (layer, left, top, width, height, edges) => {
+        Object.assign(layer.style, {
+          left: `${left}px`,
+          top: `${top}px`,
+          width: `${Math.max(0, width)}px`,
+          height: `${Math.max(0, height)}px`,
+          borderWidth: edges ? `${edges.top}px ${edges.right}px ${edges.bottom}px ${edges.left}px` : '0'
+        });
+      };
+
+      const { border, padding } = box;
+      const layers = this.overlayLayers;
+      place(layers.margin, rect.left - margin.left, rect.top - margin.top,
+        rect.width + margin.left + margin.right, rect.height + margin.top + margin.bottom, margin);
+      place(layers.border, rect.left, rect.top, rect.width, rect.height, border);
+      place(layers.padding, rect.left + border.left, rect.top + border.top,
+        rect.width - border.left - border.right, rect.height - border.top - border.bottom, padding);
+      place(layers.content, rect.left + border.left + padding.left, rect.top + border.top + padding.top,
+        box.content.width, box.content.height, null);
+    },
+
+    /**
+     * 更新元素标签 Tooltip（阶段 2 改进 - 参考 Enso 简化实现）
+     *
+     * 业务逻辑（参考 Enso Web Inspector）：
+     * 1. 第一行：标签文本（tag#id / tag.class / tag）+ 宽×高
+     * 2. 第二行：padding / margin 数值（上右下左，相同值合并）
+     * 3. 智能定位：元素上方，贴顶时翻转至元素下方
+     */
+    updateTooltip() {
+      if (!this.isActive || this.regionMode || !this.currentTarget || !this.tooltip) return;
+
+      const box = Collector.getBoxModel(this.currentTarget);
+      const formatEdges = (edges) => {
+        const { top, right, bottom, left } = edges;
+        if (top === right && top === bottom && top === left) return `${top}`;
+        if (top === bottom && left === right) return `${top} ${right}`;
+        return `${top} ${right} ${bottom} ${left}`;
+      };
+
+      this.tooltip.textContent = '';
+      const label = document.createElement('span');
+      label.textContent = this.getElementLabel(this.currentTarget);
+      const size = document.createElement('span');
+      size.textContent = `${Math.round(box.width)} × ${Math.round(box.height)}`;
+      size.style.marginLeft = '8px';
+      size.style.color = '#a29bfe';
+      const spacing = document.createElement('div');
+      spacing.textContent = `padding ${formatEdges(box.padding)} · margin ${formatEdges(box.margin)}`;
+      spacing.style.fontSize = '11px';
+      spacing.style.color = '#b2bec3';
+      this.tooltip.append(label, size, spacing);
+
+      // 智能定位：基于元素位置自动避让
+      const rect = this.currentTarget.getBoundingClientRect();
+      const tooltipHeight = this.tooltip.offsetHeight || 40; // 两行文本的实际高度
+      const margin = 4; // 与元素的间距
+
+      if (rect.top < tooltipHeight + margin + 10) {
+        // 元素贴近视口顶部，显示在元素下方
+        this.tooltip.style.top = `${rect.bottom + margin}px`;
+      } else {
+        // 显示在元素上方
+        this.tooltip.style.top = `${rect.top - tooltipHeight - margin}px`;
+      }
+
+      this.tooltip.style.left = `${rect.left}px`;
+
+      // 显示动画（透明度 + 位移）
+      this.tooltip.style.opacity = '1';
+      this.tooltip.style.transform = 'translateY(0)';
+    },
+
+    /**
+     * 处理点击选择（Task 4.4 - 阶段 3 改进：移除弹窗 + Toast 反馈）
      *
      * 业务逻辑：
      * 1. 检查是否点击自身 UI（如果是则直接返回，不干扰 UI 交互）
@@ -379,23 +1329,523 @@
       event.stopPropagation();
       event.stopImmediatePropagation();
 
+      // 框选模式下点击由 mousedown/mouseup 处理，这里只负责拦截
+      if (this.regionMode) return;
+
+      // 指令输入框打开时，点击页面其他位置视为取消
+      if (UI.isComposerOpen()) {
+        UI.closeComposer();
+        return;
+      }
+
       // 使用点击时的目标，而非 mouseover 缓存的目标（更可靠）
       const clickTarget = target || this.currentTarget;
 
-      if (clickTarget) {
-        // 调用采集器获取数据
-        const data = Collector.collect ? Collector.collect(clickTarget) : null;
-        // 通过传输模块发送数据
-        Transport.sendElement(data);
+      // Shift+点击：加入 / 移出多选列表，不立即发送（多选操作栏仅在顶层窗口可用）
+      if (event.shiftKey && IS_TOP_FRAME) {
+        this.toggleSelection(clickTarget);
+        return;
+      }
+
+      // Alt+点击（或开启 COMPOSER.ENABLED）时先弹出指令输入框；输入框只在顶层窗口渲染
+      const compose = IS_TOP_FRAME && (Config.COMPOSER.ENABLED || event.altKey);
+      this.pickElement(clickTarget, { compose });
+
+      // 发送后保持 Inspector 激活状态，用户可连续选择元素
+      // 手动点击 Ghost 按钮才会关闭 Inspector
+    },
+
+    /**
+     * 选中元素并发送（点击与 Enter 键共用）
+     *
+     * 业务逻辑：
+     * 1. 调用 Collector 采集数据（在选中时刻采集，输入指令期间页面变化不影响结果）
+     * 2. compose 为 true 时打开指令输入框，由输入框确认后发送
+     * 3. 否则直接发送
+     *
+     * @param {Element} element - 被选中的元素
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.compose] - 是否先弹出指令输入框
+     */
+    pickElement(element, options = {}) {
+      if (!element) return;
+
+      // 调用采集器获取数据
+      const data = Collector.collect ? Collector.collect(element) : null;
+
+      if (options.compose && UI.openComposer) {
+        UI.openComposer(element, data);
+        return;
+      }
+
+      this.sendPicked(data, element);
+    },
 
-        // 轻量级 Toast 提示发送成功
-        if (UI.showToast) UI.showToast('Sent to Bridge', 'success');
+    /**
+     * 发送已采集的元素数据
+     *
+     * 业务逻辑：
+     * 1. 开启截图时先渲染元素截图并分片发送，元素数据通过 screenshotId 引用截图
+     * 2. 图片分片先于元素数据发送，Bridge 处理元素数据时截图已落盘
+     * 3. 截图失败（渲染或分片发送出错）时只发送元素数据；元素数据只发送一次，
+     *    发送过程中的异常不会再回退重发
+     *
+     * @param {Object} data - Collector.collect() 返回的元素数据（可带 note 指令）
+     * @param {Element} [element] - 被选中的元素（截图用）
+     */
+    sendPicked(data, element) {
+      const deliver = (payload) => {
+        // 通过传输模块发送数据，按实际结果提示（已发送 / 已入离线队列）
+        UI.showDeliveryToast(Transport.sendElement(payload), 'Sent to Bridge');
 
         State.inspectorState = 'PICKED';
+      };
+
+      if (!Config.SCREENSHOT.ENABLED || !element || !data) {
+        deliver(data);
+        return;
       }
 
-      // 发送后保持 Inspector 激活状态，用户可连续选择元素
-      // 手动点击 Ghost 按钮才会关闭 Inspector
+      Collector.captureScreenshot(element).then((dataUrl) => {
+        let screenshotId = null;
+        try {
+          screenshotId = Transport.sendImage(dataUrl);
+        } catch (error) {
+          console.warn('[Web Inspector] 元素截图发送失败:', error);
+        }
+        deliver(screenshotId ? Object.assign({}, data, { screenshotId }) : data);
+      }, (error) => {
+        console.warn('[Web Inspector] 元素截图失败:', error);
+        deliver(data);
+      }).catch((error) => {
+        console.error('[Web Inspector] 发送选中元素失败:', error);
+      });
+    },
+
+    /**
+     * 多选模式：切换元素的选中状态
+     *
+     * 业务逻辑：
+     * 1. 已选中则移出列表（后续编号自动前移），否则追加到末尾
+     * 2. 重绘页面上的编号徽标
+     * 3. 同步 Shadow DOM 中的多选操作栏
+     *
+     * @param {Element} element - 目标元素
+     */
+    toggleSelection(element) {
+      if (!element || this.isOwnUI(element)) return;
+      const index = this.selection.indexOf(element);
+      if (index >= 0) {
+        this.selection.splice(index, 1);
+      } else {
+        this.selection.push(element);
+      }
+      this.renderBadges();
+      if (UI.updateSelectionBar) UI.updateSelectionBar(this.selection);
+    },
+
+    /**
+     * 多选模式：按索引移出元素（操作栏中的 × 按钮）
+     *
+     * @param {number} index - 元素在多选列表中的索引
+     */
+    removeSelectionAt(index) {
+      const element = this.selection[index];
+      if (element) this.toggleSelection(element);
+    },
+
+    /**
+     * 清空多选列表与编号徽标
+     */
+    clearSelection() {
+      this.selection = [];
+      this.renderBadges();
+      if (UI.updateSelectionBar) UI.updateSelectionBar(this.selection);
+    },
+
+    /**
+     * 多选模式：按选择顺序采集全部元素，合并为一条 elements_selected 消息发送
+     */
+    sendSelection() {
+      if (this.selection.length === 0) return;
+
+      const list = this.selection
+        .map((element) => (Collector.collect ? Collector.collect(element) : null))
+        .filter(Boolean);
+      UI.showDeliveryToast(Transport.sendElements(list), `Sent ${list.length} elements to Bridge`);
+
+      State.inspectorState = 'PICKED';
+      this.clearSelection();
+    },
+
+    /**
+     * 切换框选模式
+     *
+     * 业务逻辑：
+     * 1. 进入时隐藏悬停高亮，页面光标切换为十字
+     * 2. 退出时移除框选矩形，恢复光标与悬停高亮
+     *
+     * @param {boolean} enabled - 是否进入框选模式
+     */
+    setRegionMode(enabled) {
+      if (this.regionMode === enabled) return;
+      this.regionMode = enabled;
+      this._regionStart = null;
+
+      if (enabled) {
+        if (this.overlay) this.overlay.style.display = 'none';
+        if (this.tooltip) this.tooltip.style.opacity = '0';
+        document.documentElement.style.cursor = 'crosshair';
+      } else {
+        if (this.marquee) this.marquee.style.display = 'none';
+        if (this.overlay && this.isActive) this.overlay.style.display = 'block';
+        document.documentElement.style.cursor = '';
+      }
+
+      if (UI.showToast && this.isActive) {
+        UI.showToast(enabled ? 'Region mode: drag to select' : 'Region mode off', 'info');
+      }
+    },
+
+    /**
+     * 框选起点（捕获阶段，阻止页面文本选择与拖拽）
+     */
+    handleMouseDown(event) {
+      if (!this.regionMode || event.button !== 0) return;
+      if (this.isOwnUI(this.getEventTarget(event))) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      this._regionStart = { x: event.clientX, y: event.clientY };
+
+      if (!this.marquee) {
+        this.marquee = document.createElement('div');
+        this.marquee.id = 'web-inspector-marquee';
+        Object.assign(this.marquee.style, {
+          position: 'fixed',
+          zIndex: '2147483647',
+          pointerEvents: 'none',
+          boxSizing: 'border-box',
+          border: '1px dashed rgba(108, 92, 231, 0.9)',
+          backgroundColor: 'rgba(108, 92, 231, 0.1)'
+        });
+        document.body.appendChild(this.marquee);
+      }
+      this.updateMarquee(event.clientX, event.clientY);
+      this.marquee.style.display = 'block';
+    },
+
+    /**
+     * 框选拖动中，更新矩形
+     */
+    handleMouseMove(event) {
+      if (!this.regionMode || !this._regionStart) return;
+      event.preventDefault();
+      this.updateMarquee(event.clientX, event.clientY);
+    },
+
+    /**
+     * 框选结束：采集区域内元素并作为一条 region_selected 消息发送
+     *
+     * 业务逻辑：
+     * 1. 过小的拖动（< 4px）视为误触，忽略
+     * 2. Collector 按配置（最小尺寸 / 仅顶层 / 数量上限）采集区域内可见元素
+     * 3. 发送后保持框选模式，可继续框选；R 或 Esc 退出
+     */
+    handleMouseUp(event) {
+      if (!this.regionMode || !this._regionStart) return;
+      event.preventDefault();
+      event.stopPropagation();
+
+      const region = this.updateMarquee(event.clientX, event.clientY);
+      this._regionStart = null;
+      if (this.marquee) this.marquee.style.display = 'none';
+
+      if (region.width < 4 || region.height < 4) return;
+
+      const data = Collector.collectRegion(region, {
+        minSize: Config.REGION.MIN_SIZE,
+        topLevelOnly: Config.REGION.TOP_LEVEL_ONLY,
+        maxElements: Config.REGION.MAX_ELEMENTS,
+        exclude: (element) => this.isOwnUI(element)
+      });
+
+      if (!data.elements.length) {
+        if (UI.showToast) UI.showToast('No elements in region', 'info');
+        return;
+      }
+
+      UI.showDeliveryToast(Transport.sendRegion(data), `Sent region (${data.elements.length} elements) to Bridge`);
+      State.inspectorState = 'PICKED';
+    },
+
+    /**
+     * 根据起点与当前鼠标位置更新框选矩形
+     *
+     * @param {number} x - 当前鼠标 clientX
+     * @param {number} y - 当前鼠标 clientY
+     * @returns {{left: number, top: number, right: number, bottom: number, width: number, height: number}} 视口坐标矩形
+     */
+    updateMarquee(x, y) {
+      const start = this._regionStart || { x, y };
+      const left = Math.min(start.x, x);
+      const top = Math.min(start.y, y);
+      const right = Math.max(start.x, x);
+      const bottom = Math.max(start.y, y);
+      const region = { left, top, right, bottom, width: right - left, height: bottom - top };
+
+      if (this.marquee) {
+        Object.assign(this.marquee.style, {
+          left: `${left}px`,
+          top: `${top}px`,
+          width: `${region.width}px`,
+          height: `${region.height}px`
+        });
+      }
+      return region;
+    },
+
+    /**
+     * 临时高亮元素（历史记录悬停时调用，不改变 Inspector 状态）
+     *
+     * 业务逻辑：
+     * 1. 元素不在视口内时滚动到最近的可见位置
+     * 2. 每个元素绘制一个紫色虚线框，鼠标移出历史记录时移除
+     *
+     * @param {Element[]} elements - 要高亮的元素
+     */
+    showPreview(elements) {
+      this.hidePreview();
+      if (!elements || elements.length === 0) return;
+
+      if (!this.previewLayer) this.previewLayer = this.createFloatingLayer('web-inspector-preview');
+      document.body.appendChild(this.previewLayer);
+
+      if (typeof elements[0].scrollIntoView === 'function') {
+        elements[0].scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      }
+
+      elements.forEach((element) => {
+        const rect = element.getBoundingClientRect();
+        const box = this.createOutlineBox('2px dashed rgba(108, 92, 231, 0.9)', 'rgba(108, 92, 231, 0.12)');
+        Object.assign(box.style, {
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        this.previewLayer.appendChild(box);
+      });
+    },
+
+    /**
+     * 创建浮层容器（预览框、编号徽标、带标签高亮共用）
+     *
+     * @param {string} id - 容器 ID
+     * @returns {HTMLElement} 未挂载的容器
+     */
+    createFloatingLayer(id) {
+      const layer = document.createElement('div');
+      layer.id = id;
+      Object.assign(layer.style, FLOATING_LAYER_STYLE);
+      return layer;
+    },
+
+    /**
+     * 创建以视口坐标定位的高亮框（位置与尺寸由调用方设置）
+     *
+     * @param {string} border - 边框样式
+     * @param {string} backgroundColor - 填充色
+     * @returns {HTMLElement} 高亮框
+     */
+    createOutlineBox(border, backgroundColor) {
+      const box = document.createElement('div');
+      Object.assign(box.style, {
+        position: 'fixed',
+        boxSizing: 'border-box',
+        border,
+        backgroundColor,
+        pointerEvents: 'none'
+      });
+      return box;
+    },
+
+    /**
+     * 移除临时高亮
+     */
+    hidePreview() {
+      if (this.previewLayer) {
+        this.previewLayer.textContent = '';
+        this.previewLayer.remove();
+      }
+    },
+
+    /**
+     * 绘制带标签的高亮框（MCP highlight_elements 调用，Inspector 未激活时也显示）
+     *
+     * 业务逻辑：
+     * 1. 每个元素一个 content 配色（浅填充）的高亮框，左上方附 Tooltip 样式的标签（标签文本 + 序号 + 元素标签）
+     * 2. 高亮期间监听滚动 / 缩放，经 requestUpdate 的 rAF 路径刷新位置
+     * 3. durationMs 到期、按 Esc 或调用 clearHighlights 时移除
+     *
+     * @param {Element[]} elements - 要高亮的元素
+     * @param {string} label - 标签文本（可为空）
+     * @param {number} durationMs - 显示时长（毫秒，0 表示直到清除）
+     */
+    showHighlights(elements, label, durationMs) {
+      this.clearHighlights();
+      if (!elements || elements.length === 0) return;
+
+      if (!this.highlightLayer) this.highlightLayer = this.createFloatingLayer('web-inspector-highlights');
+      document.body.appendChild(this.highlightLayer);
+
+      elements.forEach((element, index) => {
+        const box = this.createOutlineBox(`2px solid ${BOX_MODEL_COLORS.content}`, 'rgba(111, 168, 220, 0.2)');
+
+        const tag = document.createElement('span');
+        const prefix = label ? `${label} · ` : '';
+        const counter = elements.length > 1 ? `${index + 1}/${elements.length} ` : '';
+        tag.textContent = `${prefix}${counter}${this.getElementLabel(element)}`;
+        Object.assign(tag.style, DARK_TAG_STYLE, {
+          position: 'absolute',
+          bottom: '100%',
+          left: '-2px',
+          marginBottom: '2px',
+          fontSize: '11px',
+          lineHeight: '16px',
+          padding: '1px 6px'
+        });
+
+        box.appendChild(tag);
+        this.highlightLayer.appendChild(box);
+      });
+      this.highlights = elements.slice();
+      this.updateHighlights();
+
+      const own = (handler) => ListenerRegistry.markOwn(handler.bind(this));
+      this._handleHighlightViewport = own(this.requestUpdate);
+      this._handleHighlightKeyDown = own((event) => {
+        if (event.key === 'Escape') this.clearHighlights();
+      });
+      window.addEventListener('scroll', this._handleHighlightViewport, { capture: true, passive: true });
+      window.addEventListener('resize', this._handleHighlightViewport, { capture: true, passive: true });
+      window.addEventListener('keydown', this._handleHighlightKeyDown, true);
+
+      if (durationMs > 0) {
+        this._highlightTimer = setTimeout(() => this.clearHighlights(), durationMs);
+      }
+    },
+
+    /**
+     * 更新带标签高亮框的位置（已移出文档的元素隐藏其高亮框，元素贴近视口顶部时标签翻转到框内）
+     */
+    updateHighlights() {
+      if (!this.highlightLayer || this.highlights.length === 0) return;
+      const boxes = this.highlightLayer.children;
+      this.highlights.forEach((element, index) => {
+        const box = boxes[index];
+        if (!box) return;
+        if (!element.isConnected) {
+          box.style.display = 'none';
+          return;
+        }
+        const rect = element.getBoundingClientRect();
+        Object.assign(box.style, {
+          display: 'block',
+          top: `${rect.top}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        const tag = box.firstChild;
+        const flip = rect.top < 20;
+        tag.style.bottom = flip ? 'auto' : '100%';
+        tag.style.top = flip ? '0' : 'auto';
+      });
+    },
+
+    /**
+     * 移除带标签高亮及其监听器
+     *
+     * @returns {number} 移除的高亮数
+     */
+    clearHighlights() {
+      const count = this.highlights.length;
+      clearTimeout(this._highlightTimer);
+      this._highlightTimer = null;
+      if (this._handleHighlightViewport) {
+        window.removeEventListener('scroll', this._handleHighlightViewport, { capture: true, passive: true });
+        window.removeEventListener('resize', this._handleHighlightViewport, { capture: true, passive: true });
+        window.removeEventListener('keydown', this._handleHighlightKeyDown, true);
+        this._handleHighlightViewport = null;
+        this._handleHighlightKeyDown = null;
+      }
+      if (this.highlightLayer) {
+        this.highlightLayer.textContent = '';
+        this.highlightLayer.remove();
+      }
+      this.highlights = [];
+      return count;
+    },
+
+    /**
+     * 渲染多选编号徽标（每个已选元素一个虚线框 + 序号）
+     */
+    renderBadges() {
+      if (!this.badgeLayer) {
+        if (this.selection.length === 0) return;
+        this.badgeLayer = this.createFloatingLayer('web-inspector-badges');
+        document.body.appendChild(this.badgeLayer);
+      }
+
+      this.badgeLayer.textContent = '';
+      this.selection.forEach((element, index) => {
+        const box = this.createOutlineBox('2px dashed rgba(0, 184, 148, 0.9)', 'rgba(0, 184, 148, 0.08)');
+
+        const label = document.createElement('span');
+        label.textContent = String(index + 1);
+        Object.assign(label.style, {
+          position: 'absolute',
+          top: '-10px',
+          left: '-10px',
+          minWidth: '20px',
+          height: '20px',
+          padding: '0 4px',
+          boxSizing: 'border-box',
+          borderRadius: '10px',
+          backgroundColor: '#00b894',
+          color: '#ffffff',
+          fontFamily: MONO_FONT,
+          fontSize: '12px',
+          fontWeight: 'bold',
+          lineHeight: '20px',
+          textAlign: 'center',
+          boxShadow: '0 2px 6px rgba(0,0,0,0.3)'
+        });
+
+        box.appendChild(label);
+        this.badgeLayer.appendChild(box);
+      });
+      this.updateBadges();
+    },
+
+    /**
+     * 更新编号徽标位置（随滚动 / 缩放由 rAF 刷新）
+     */
+    updateBadges() {
+      if (!this.badgeLayer) return;
+      const boxes = this.badgeLayer.children;
+      this.selection.forEach((element, index) => {
+        const box = boxes[index];
+        if (!box) return;
+        const rect = element.getBoundingClientRect();
+        Object.assign(box.style, {
+          top: `${rect.top}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+      });
     },
 
     /**
@@ -421,17 +1871,84 @@
       requestAnimationFrame(() => {
         this.updateOverlay();
         this.updateTooltip(); // 新增：同时更新 Tooltip
+        this.updateBadges();
+        this.updateHighlights();
         this._rafPending = false;
       });
     },
 
     /**
-     * 处理按键 (ESC 退出)
+     * 处理按键
+     *
+     * 业务逻辑：
+     * 1. Escape 依次退出框选模式 / 清空多选列表 / 退出选择器
+     * 2. R 切换框选模式
+     * 3. 方向键 / 方括号键在 DOM 树中导航（父级、首个子级、前后兄弟）
+     * 4. Enter 选中当前目标（与点击走同一发送路径），Shift+Enter 加入 / 移出多选，Alt+Enter 先弹出指令输入框
+     * 5. 带 Ctrl/Meta/Alt 修饰键的其他组合键不拦截，保留给页面和浏览器
+     * 6. 来自自身 UI（如指令输入框）的按键不处理；输入框打开期间仅响应 Esc
+     * 7. 焦点在页面输入框 / 可编辑区域内时不处理（与 Hotkeys 相同），保证激活期间仍可正常输入
      */
     handleKeyDown(event) {
+      if (this.isOwnUI(this.getEventTarget(event))) return;
+      if (Hotkeys.isTyping(event)) return;
+
+      if (UI.isComposerOpen()) {
+        if (event.key === 'Escape') UI.closeComposer();
+        return;
+      }
+
       if (event.key === 'Escape') {
-        this.deactivate();
+        if (this.regionMode) {
+          this.setRegionMode(false);
+        } else if (this.selection.length > 0) {
+          this.clearSelection();
+        } else if (!IS_TOP_FRAME) {
+          // 子 frame 中按 Esc：请求顶层窗口统一退出
+          FrameBridge.postToParent({ type: 'escape' });
+        } else {
+          this.deactivate();
+        }
+        return;
+      }
+
+      if (event.key === 'Enter' && event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+        if (!this.currentTarget || this.regionMode) return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.pickElement(this.currentTarget, { compose: IS_TOP_FRAME });
+        return;
+      }
+
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+      if (event.key === 'r' || event.key === 'R') {
+        event.preventDefault();
+        event.stopPropagation();
+        this.setRegionMode(!this.regionMode);
+        return;
+      }
+
+      if (!this.currentTarget || this.regionMode) return;
+
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.shiftKey) {
+          this.toggleSelection(this.currentTarget);
+        } else {
+          this.pickElement(this.currentTarget, { compose: IS_TOP_FRAME && Config.COMPOSER.ENABLED });
+        }
+        return;
       }
+
+      const direction = NAV_KEYS[event.key];
+      if (!direction) return;
+
+      // 拦截方向键，避免页面滚动或触发页面自身快捷键
+      event.preventDefault();
+      event.stopPropagation();
+      this.navigate(direction);
     }
   };
 
@@ -439,6 +1956,11 @@
    * Collector 模块 - 元素数据采集
    */
   const Collector = {
+    styleSandbox: null, // 计算浏览器默认样式用的隐藏 iframe
+    baselineStyles: {}, // 默认样式缓存，键为 命名空间|标签名|type
+    longhandCache: {}, // 简写属性 → 长写属性列表
+    selectorScanCache: null, // 选择器候选的统计结果，同一任务内（一次采集批次）共用，微任务中清空
+
     /**
      * 获取 className（兼容 SVGAnimatedString）
      */
@@ -493,12 +2015,20 @@
     },
 
     /**
-     * 选择器唯一性验证
+     * 获取元素所在的查询根（Document 或 ShadowRoot）
+     */
+    _getQueryRoot(element) {
+      const root = element && element.getRootNode ? element.getRootNode() : null;
+      return root && typeof root.querySelectorAll === 'function' ? root : document;
+    },
+
+    /**
+     * 选择器唯一性验证（在元素所在的 Document / ShadowRoot 内验证）
      */
     _isSelectorUnique(selector, element) {
       if (!selector) return false;
       try {
-        const matches = document.querySelectorAll(selector);
+        const matches = this._getQueryRoot(element).querySelectorAll(selector);
         return matches.length === 1 && matches[0] === element;
       } catch (error) {
         return false;
@@ -511,7 +2041,7 @@
     _isSelectorMatch(selector, element) {
       if (!selector) return false;
       try {
-        return document.querySelector(selector) === element;
+        return this._getQueryRoot(element).querySelector(selector) === element;
       } catch (error) {
         return false;
       }
@@ -543,6 +2073,28 @@
       return `${tagName}:nth-of-type(${index})`;
     },
 
+    /**
+     * 生成 Shadow DOM 宿主链选择器
+     *
+     * 业务逻辑：
+     * 1. 从元素出发，逐级跳到所在 ShadowRoot 的宿主元素，直到顶层文档
+     * 2. 每一级选择器在其自身所在的根（Document / ShadowRoot）内唯一
+     * 3. 返回顺序为 顶层宿主 → ... → 元素本身
+     *
+     * @param {Element} element - 目标元素
+     * @returns {string[]} 选择器链；元素不在 Shadow DOM 中时长度为 1
+     */
+    getShadowPath(element) {
+      const path = [];
+      let current = element;
+      while (current && current.nodeType === 1) {
+        path.unshift(this.generateSelector(current) || current.tagName.toLowerCase());
+        const root = current.getRootNode ? current.getRootNode() : null;
+        current = root && root !== document && root.host ? root.host : null;
+      }
+      return path;
+    },
+
     /**
      * 生成 CSS 选择器（TD4）
      */
@@ -664,6 +2216,303 @@
       return `/${segments.join('/')}`;
     },
 
+    /**
+     * 生成按稳定性排序的选择器候选
+     *
+     * 业务逻辑：
+     * 1. 依次尝试测试属性、ID、角色 + 可访问名称、label 文本、稳定属性、可见文本、CSS、XPath
+     * 2. 每个候选在元素所在的 Document / ShadowRoot 内统计匹配数，验证唯一性；
+     *    角色 / label / 文本策略只查询相关元素，统计结果按查询根缓存，多选与 query_elements 批量采集时共用
+     * 3. 得分 = 策略基础分 - 扣分（位置序号、哈希类名、动态值、层级深度、不唯一、过长），范围 0–100
+     * 4. 按得分降序排列（同分保持策略顺序），最多保留 Config.SELECTORS.MAX_CANDIDATES 个
+     *
+     * role= / label= / text= 为定位器写法（对应 Playwright 的 getByRole / getByLabel / getByText），
+     * 不能直接传给 querySelector；XPath 只在元素位于顶层文档时生成
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Array<{strategy: string, selector: string, score: number, unique: boolean, count: number}>} 候选列表
+     */
+    getSelectorCandidates(element) {
+      if (!element || element.nodeType !== 1 || !element.tagName) return [];
+
+      const tagName = element.tagName.toLowerCase();
+      const root = this._getQueryRoot(element);
+      const textLimit = Config.SELECTORS.TEXT_LENGTH;
+      const candidates = [];
+      const countMatches = (selector) => {
+        try {
+          return root.querySelectorAll(selector).length;
+        } catch (error) {
+          return 0;
+        }
+      };
+      const add = (strategy, selector, count, dynamic) => {
+        if (!selector || candidates.some((item) => item.selector === selector)) return;
+        candidates.push(this._scoreSelectorCandidate(strategy, selector, count, dynamic));
+      };
+
+      // 1. 测试专用属性
+      TEST_ID_ATTRIBUTES.forEach((name) => {
+        const value = element.getAttribute(name);
+        if (!value) return;
+        const selector = `[${name}=${this._quoteCssString(value)}]`;
+        add('testid', selector, countMatches(selector), this._isDynamicValue(value));
+      });
+
+      // 2. ID
+      if (element.id) {
+        const selector = `#${this._escapeCss(element.id)}`;
+        add('id', selector, countMatches(selector), this._isDynamicValue(element.id));
+      }
+
+      // 3. 角色 + 可访问名称
+      const role = this._getRole(element);
+      if (role && role !== 'presentation' && role !== 'none') {
+        const name = this._computeName(element, { role, visited: new Set(), root: true }).name;
+        if (name && name.length <= textLimit) {
+          add('role', `role=${role}[name=${JSON.stringify(name)}]`, this._countRoleName(root, role, name), this._isDynamicValue(name));
+        }
+      }
+
+      // 4. 关联 label 的文本
+      const labelText = this._getLabelMap(root).get(element) || '';
+      if (labelText && labelText.length <= textLimit) {
+        add('label', `label=${JSON.stringify(labelText)}`, this._countLabelText(root, labelText), this._isDynamicValue(labelText));
+      }
+
+      // 5. 稳定属性
+      STABLE_SELECTOR_ATTRIBUTES.forEach((name) => {
+        const value = element.getAttribute(name);
+        if (!value || value.length > textLimit) return;
+        if (name === 'href' && /^(javascript|data):/i.test(value)) return;
+        const selector = `${tagName}[${name}=${this._quoteCssString(value)}]`;
+        add('attribute', selector, countMatches(selector), this._isDynamicValue(value));
+      });
+
+      // 6. 可见文本：只用于最内层持有该文本的元素（子元素文本相同时定位器会落到子元素上）
+      const text = this._normalizeText(element.textContent);
+      const hasSameTextChild = (node, value) => Array.from(node.children)
+        .some((child) => this._normalizeText(child.textContent) === value);
+      if (text && text.length <= textLimit && !['html', 'body', 'script', 'style'].includes(tagName) &&
+          !hasSameTextChild(element, text)) {
+        add('text', `text=${JSON.stringify(text)}`, this._countText(root, text), this._isDynamicValue(text));
+      }
+
+      // 7. CSS：generateSelector 的结果 + 完整类名组合（含哈希类名，由得分扣分）
+      const cssSelector = this.generateSelector(element);
+      if (cssSelector) {
+        add('css', cssSelector, countMatches(cssSelector), false);
+      }
+      const classes = this.getClassName(element).split(/\s+/).filter(Boolean);
+      if (classes.length > 0) {
+        const classSelector = `${tagName}${classes.map((name) => `.${this._escapeCss(name)}`).join('')}`;
+        add('css', classSelector, countMatches(classSelector), false);
+      }
+
+      // 8. XPath（按位置生成，天然唯一）
+      if (root === document) {
+        add('xpath', this.generateXPath(element), 1, false);
+      }
+
+      return candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Config.SELECTORS.MAX_CANDIDATES);
+    },
+
+    /**
+     * 读取选择器候选统计缓存（同一任务内有效，下一个微任务清空，避免页面变化后读到旧结果）
+     *
+     * @param {Document|ShadowRoot} root - 查询根
+     * @returns {{roles: Map, labels: Map|null, texts: Map}} 该查询根的缓存（roles 键为 角色\n名称，labels 为 控件 → label 文本）
+     */
+    _getSelectorScanCache(root) {
+      if (!this.selectorScanCache) {
+        this.selectorScanCache = new Map();
+        Promise.resolve().then(() => {
+          this.selectorScanCache = null;
+        });
+      }
+      if (!this.selectorScanCache.has(root)) {
+        this.selectorScanCache.set(root, { roles: new Map(), labels: null, texts: new Map() });
+      }
+      return this.selectorScanCache.get(root);
+    },
+
+    /**
+     * 元素的有效角色（role 属性第一个值，否则为隐式角色）
+     */
+    _getRole(element) {
+      return (element.getAttribute('role') || '').trim().split(/\s+/)[0] || this.getImplicitRole(element);
+    },
+
+    /**
+     * 统计查询根内同角色、同可访问名称的元素数
+     *
+     * 业务逻辑：
+     * 1. 只查询可能具有该角色的标签与带 role 属性的元素
+     * 2. 粗筛：aria-label / 文本 / title / placeholder / alt / value 与名称互为子串（伪元素内容只会增加文本、
+     *    隐藏子元素只会减少文本），或名称来自 aria-labelledby / label 的元素，才计算完整的可访问名称
+     *    （label 关联通过 _getLabelMap 一次性建立，逐个读取 element.labels 每次都要遍历整棵树）
+     *
+     * @param {Document|ShadowRoot} root - 查询根
+     * @param {string} role - 角色
+     * @param {string} name - 可访问名称
+     * @returns {number} 匹配数
+     */
+    _countRoleName(root, role, name) {
+      const cache = this._getSelectorScanCache(root);
+      const key = `${role}\n${name}`;
+      if (cache.roles.has(key)) return cache.roles.get(key);
+
+      const tags = Object.keys(IMPLICIT_ROLES)
+        .filter((tag) => IMPLICIT_ROLES[tag] === role)
+        .concat(CONDITIONAL_ROLE_TAGS[role] || []);
+      const overlaps = (value) => {
+        const text = typeof value === 'string' ? this._normalizeText(value) : '';
+        return Boolean(text) && (text.includes(name) || name.includes(text));
+      };
+      const labelMap = this._getLabelMap(root);
+      let count = 0;
+      root.querySelectorAll(tags.concat('[role]').join(', ')).forEach((node) => {
+        if (this._getRole(node) !== role) return;
+        const mayMatch = node.hasAttribute('aria-labelledby') || labelMap.has(node) ||
+          ['aria-label', 'title', 'placeholder', 'alt'].some((attribute) => overlaps(node.getAttribute(attribute))) ||
+          overlaps(node.textContent) || overlaps(node.value);
+        if (mayMatch && this._computeName(node, { role, visited: new Set(), root: true }).name === name) {
+          count += 1;
+        }
+      });
+
+      cache.roles.set(key, count);
+      return count;
+    },
+
+    /**
+     * 建立查询根内 控件 → label 文本 的映射（同一控件的多个 label 按文档顺序拼接，与 element.labels 一致）
+     *
+     * @param {Document|ShadowRoot} root - 查询根
+     * @returns {Map<Element, string>} 映射
+     */
+    _getLabelMap(root) {
+      const cache = this._getSelectorScanCache(root);
+      if (!cache.labels) {
+        const texts = new Map();
+        root.querySelectorAll('label').forEach((label) => {
+          const control = label.control;
+          if (!control || !control.matches(LABELABLE_SELECTOR)) return;
+          texts.set(control, (texts.get(control) || []).concat(label.textContent));
+        });
+        cache.labels = new Map();
+        texts.forEach((parts, control) => cache.labels.set(control, this._normalizeText(parts.join(' '))));
+      }
+      return cache.labels;
+    },
+
+    /**
+     * 统计查询根内 label 文本相同的可关联元素数
+     *
+     * @param {Document|ShadowRoot} root - 查询根
+     * @param {string} labelText - 规范化后的 label 文本
+     * @returns {number} 匹配数
+     */
+    _countLabelText(root, labelText) {
+      let count = 0;
+      this._getLabelMap(root).forEach((text) => {
+        if (text === labelText) count += 1;
+      });
+      return count;
+    },
+
+    /**
+     * 统计查询根内规范化文本等于 text 的最内层元素数
+     *
+     * 业务逻辑：
+     * 1. 遍历文本节点，只保留规范化内容是 text 子串的节点（目标元素内的每个文本节点都满足）
+     * 2. 从这些文本节点向上找第一个文本恰好等于 text 的祖先；祖先文本只会越来越长，超过长度即停止
+     *
+     * @param {Document|ShadowRoot} root - 查询根
+     * @param {string} text - 规范化后的文本
+     * @returns {number} 匹配数
+     */
+    _countText(root, text) {
+      const cache = this._getSelectorScanCache(root);
+      if (cache.texts.has(text)) return cache.texts.get(text);
+
+      const matched = new Set();
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const piece = this._normalizeText(node.nodeValue);
+        if (!piece || !text.includes(piece)) continue;
+        let current = node.parentElement;
+        while (current && current.localName !== 'script' && current.localName !== 'style') {
+          const value = this._normalizeText(current.textContent);
+          if (value.length > text.length) break;
+          if (value === text) {
+            matched.add(current);
+            break;
+          }
+          current = current.parentElement;
+        }
+      }
+
+      cache.texts.set(text, matched.size);
+      return matched.size;
+    },
+
+    /**
+     * 计算选择器候选的稳定性得分
+     *
+     * @param {string} strategy - 策略名（SELECTOR_STRATEGY_SCORES 的键）
+     * @param {string} selector - 选择器 / 定位器
+     * @param {number} count - 在查询根内的匹配数
+     * @param {boolean} dynamic - 取值是否疑似动态生成（长数字、哈希串）
+     * @returns {{strategy: string, selector: string, score: number, unique: boolean, count: number}} 候选
+     */
+    _scoreSelectorCandidate(strategy, selector, count, dynamic) {
+      let score = SELECTOR_STRATEGY_SCORES[strategy];
+
+      // 位置序号：CSS 的 nth-of-type / nth-child，XPath 的 [n]
+      const positional = (selector.match(/:nth-(of-type|child)\(/g) || []).length +
+        (strategy === 'xpath' ? (selector.match(/\[\d+\]/g) || []).length : 0);
+      score -= positional * 15;
+
+      if (strategy === 'css') {
+        const tokens = selector.match(/[.#][\w-]+/g) || [];
+        const hashedClasses = tokens.filter((token) => token[0] === '.' && this._isDynamicClass(token.slice(1))).length;
+        const dynamicIds = tokens.filter((token) => token[0] === '#' && this._isDynamicValue(token.slice(1))).length;
+        score -= hashedClasses * 25 + dynamicIds * 20;
+        score -= (selector.match(/ > /g) || []).length * 3;
+      }
+
+      if (dynamic) score -= 20;
+      if (count !== 1) score -= 40;
+      if (selector.length > 80) score -= 5;
+
+      return {
+        strategy,
+        selector,
+        score: Math.max(0, Math.min(100, score)),
+        unique: count === 1,
+        count
+      };
+    },
+
+    /**
+     * 判断属性值 / 文本是否疑似动态生成（长数字序列或哈希串）
+     */
+    _isDynamicValue(value) {
+      const text = String(value || '');
+      if (/\d{4,}/.test(text)) return true;
+      return !/\s/.test(text) && text.length >= 6 && this._isDynamicClass(text);
+    },
+
+    /**
+     * 生成 CSS 属性选择器中的带引号字符串
+     */
+    _quoteCssString(value) {
+      return `"${String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+    },
+
     /**
      * 采集样式（白名单）
      */
@@ -708,602 +2557,5362 @@
     },
 
     /**
-     * 字符串截断工具
+     * 采集与浏览器默认样式不同的计算样式（差异模式）
+     *
+     * 业务逻辑：
+     * 1. 在隐藏的沙箱 iframe 中创建同标签元素，取其计算样式作为基准（按标签缓存）
+     * 2. 遍历元素完整的 getComputedStyle，跳过自定义属性、逻辑属性和与基准相同的值
+     * 3. transform-origin / perspective-origin 随尺寸变化，仅在存在 transform / perspective 时保留
+     * 4. 按 STYLE_CATEGORIES 分组，四边长属性合并为简写
+     * 5. 沙箱不可用时返回 null，由调用方退回白名单采集
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object|null} { layout: { display: 'flex', ... }, typography: {...}, ... }
      */
-    _truncateString(value, maxLength) {
-      if (typeof value !== 'string') return '';
-      if (maxLength <= 0) return '';
-      if (value.length <= maxLength) return value;
-      if (maxLength <= 3) return value.slice(0, maxLength);
-      return `${value.slice(0, maxLength - 3)}...`;
+    collectStyleDiff(element) {
+      if (!element || typeof window.getComputedStyle !== 'function') return null;
+
+      const baseline = this.getBaselineStyles(element);
+      if (!baseline) return null;
+
+      let computed;
+      try {
+        computed = window.getComputedStyle(element);
+      } catch (error) {
+        return null;
+      }
+      if (!computed) return null;
+
+      const diff = {};
+      for (let i = 0; i < computed.length; i++) {
+        const property = computed[i];
+        if (!property || property.startsWith('--') || LOGICAL_STYLE_PATTERN.test(property)) continue;
+        const value = computed.getPropertyValue(property).trim();
+        if (!value || value === baseline[property]) continue;
+        diff[property] = value;
+      }
+
+      if (!diff.transform || diff.transform === 'none') delete diff['transform-origin'];
+      if (!diff.perspective || diff.perspective === 'none') delete diff['perspective-origin'];
+
+      const groups = {};
+      Object.keys(diff).sort().forEach((property) => {
+        const category = this.getStyleCategory(property);
+        if (!groups[category]) groups[category] = {};
+        groups[category][property] = diff[property];
+      });
+
+      const result = {};
+      STYLE_CATEGORIES.map((category) => category.name).concat('other').forEach((name) => {
+        if (groups[name]) result[name] = this.compressShorthands(groups[name]);
+      });
+      return result;
     },
 
     /**
-     * 数据大小限制（TD15）
+     * 获取样式属性所属类别
      */
-    truncateToFit(data) {
-      const maxSize = Config.MAX_DATA_SIZE;
-      const result = {
-        tagName: data.tagName || '',
-        id: data.id || '',
-        className: data.className || '',
-        attributes: data.attributes ? Object.assign({}, data.attributes) : {},
-        textContent: data.textContent || '',
-        innerHTML: data.innerHTML || '',
-        outerHTML: data.outerHTML || '',
-        cssSelector: data.cssSelector || '',
-        xpath: data.xpath || '',
-        computedStyles: data.computedStyles ? Object.assign({}, data.computedStyles) : {},
-        boundingRect: data.boundingRect ? Object.assign({}, data.boundingRect) : null,
-        parentContext: data.parentContext ? Object.assign({}, data.parentContext) : null
-      };
-
-      const getSize = (target) => JSON.stringify(target).length;
-      let size = getSize(result);
-      if (size <= maxSize) return result;
+    getStyleCategory(property) {
+      const match = STYLE_CATEGORIES.find((category) => category.pattern.test(property));
+      return match ? match.name : 'other';
+    },
 
-      const reduceStringField = (field) => {
-        if (typeof result[field] !== 'string' || !result[field]) return;
-        while (size > maxSize && result[field].length > 0) {
-          const over = size - maxSize;
-          const targetLen = Math.max(0, result[field].length - over - 8);
-          if (targetLen >= result[field].length) {
-            break;
-          }
-          result[field] = this._truncateString(result[field], targetLen);
-          size = getSize(result);
-          if (targetLen === 0) break;
+    /**
+     * 四边长属性合并为简写（按 CSS 简写规则省略重复值）
+     */
+    compressShorthands(styles) {
+      const result = Object.assign({}, styles);
+      STYLE_SHORTHANDS.forEach(({ name, longhands }) => {
+        if (!longhands.every((longhand) => longhand in result)) return;
+        const values = longhands.map((longhand) => result[longhand]);
+        // 椭圆圆角（"10px 5px"）无法直接拼接为简写
+        if (name === 'border-radius' && values.some((value) => value.includes(' '))) return;
+
+        const [top, right, bottom, left] = values;
+        let shorthand = values.join(' ');
+        if (top === right && top === bottom && top === left) {
+          shorthand = top;
+        } else if (top === bottom && right === left) {
+          shorthand = `${top} ${right}`;
+        } else if (right === left) {
+          shorthand = `${top} ${right} ${bottom}`;
         }
-      };
-
-      reduceStringField('outerHTML');
-      if (size <= maxSize) return result;
 
-      reduceStringField('innerHTML');
-      if (size <= maxSize) return result;
+        longhands.forEach((longhand) => delete result[longhand]);
+        result[name] = shorthand;
+      });
+      return result;
+    },
 
-      reduceStringField('textContent');
-      if (size <= maxSize) return result;
+    /**
+     * 获取同标签元素的浏览器默认计算样式
+     *
+     * 业务逻辑：
+     * 1. 基准元素保留命名空间与 type 属性（input / button 的默认样式随 type 变化）
+     * 2. SVG 子元素放入 <svg> 容器中计算
+     * 3. 结果按 命名空间|标签名|type 缓存，沙箱销毁后缓存仍有效
+     */
+    getBaselineStyles(element) {
+      const namespace = element.namespaceURI || 'http://www.w3.org/1999/xhtml';
+      const localName = element.localName || element.tagName.toLowerCase();
+      const type = element.getAttribute('type') || '';
+      const key = `${namespace}|${localName}|${type}`;
+      if (this.baselineStyles[key]) return this.baselineStyles[key];
+
+      const sandbox = this.getStyleSandbox();
+      if (!sandbox) return null;
+
+      const doc = sandbox.document;
+      let probe;
+      let container;
+      try {
+        probe = doc.createElementNS(namespace, localName);
+        if (type) probe.setAttribute('type', type);
+        if (namespace === 'http://www.w3.org/2000/svg' && localName !== 'svg') {
+          container = doc.createElementNS(namespace, 'svg');
+          container.appendChild(probe);
+        } else {
+          container = probe;
+        }
+        doc.body.appendChild(container);
 
-      const trimAttributes = (limit) => {
-        if (!result.attributes) return;
-        const keys = Object.keys(result.attributes);
-        for (const key of keys) {
-          if (size <= maxSize) break;
-          const value = result.attributes[key];
-          if (typeof value === 'string' && value.length > limit) {
-            result.attributes[key] = this._truncateString(value, limit);
-            size = getSize(result);
-          }
+        const computed = sandbox.getComputedStyle(probe);
+        const baseline = {};
+        for (let i = 0; i < computed.length; i++) {
+          const property = computed[i];
+          baseline[property] = computed.getPropertyValue(property).trim();
         }
-      };
+        this.baselineStyles[key] = baseline;
+        return baseline;
+      } catch (error) {
+        return null;
+      } finally {
+        if (container && container.parentNode) container.parentNode.removeChild(container);
+      }
+    },
 
-      trimAttributes(200);
-      if (size <= maxSize) return result;
+    /**
+     * 获取（必要时创建）样式沙箱 iframe 的 window
+     *
+     * 业务逻辑：
+     * 1. 隐藏的空白 iframe，不受页面样式表影响，得到纯 UA 默认样式
+     * 2. 与页面保持相同的渲染模式（标准 / 怪异模式）
+     * 3. 挂在 documentElement 下，Inspector 停用时销毁
+     */
+    getStyleSandbox() {
+      if (this.styleSandbox && this.styleSandbox.isConnected && this.styleSandbox.contentWindow) {
+        return this.styleSandbox.contentWindow;
+      }
 
-      trimAttributes(50);
-      if (size <= maxSize) return result;
+      try {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        frame.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 0; height: 0; border: 0; visibility: hidden; pointer-events: none;';
+        document.documentElement.appendChild(frame);
+
+        const sandbox = frame.contentWindow;
+        if (!sandbox || !sandbox.document) {
+          frame.remove();
+          return null;
+        }
+        const doctype = document.compatMode === 'CSS1Compat' ? '<!DOCTYPE html>' : '';
+        sandbox.document.open();
+        sandbox.document.write(`${doctype}<html><head></head><body></body></html>`);
+        sandbox.document.close();
 
-      trimAttributes(0);
-      if (size <= maxSize) return result;
+        this.styleSandbox = frame;
+        return sandbox;
+      } catch (error) {
+        return null;
+      }
+    },
 
-      result.computedStyles = {};
-      size = getSize(result);
-      if (size <= maxSize) return result;
+    /**
+     * 销毁样式沙箱 iframe
+     */
+    disposeStyleSandbox() {
+      if (this.styleSandbox) {
+        this.styleSandbox.remove();
+        this.styleSandbox = null;
+      }
+    },
 
-      result.attributes = {};
-      size = getSize(result);
-      if (size <= maxSize) return result;
+    /**
+     * 采集匹配元素的 CSS 规则（类似 DevTools Styles 面板）
+     *
+     * 业务逻辑：
+     * 1. 遍历元素所在 Document / ShadowRoot 的 styleSheets 与 adoptedStyleSheets，递归进入 @import / @media / @supports / @layer / @container
+     * 2. 不满足的 @media / @supports 条件整体跳过；@container 无法在脚本中求值，保留并标注条件
+     * 3. 选择器列表逐个用 element.matches 判断，特异性取命中选择器中的最大值
+     * 4. 按层叠顺序排序：行内样式 > 未分层 > 后声明的 @layer > 先声明的 @layer，同层内按特异性、源码顺序；
+     *    嵌套层按完整路径逐级比较（a.b 只与 a 下的兄弟层比较，直接写在 a 中的规则优先于 a 的子层）
+     * 5. 按长写属性计算胜出声明：!important 优先，且 !important 声明的层顺序反转（先声明的层 > 后声明的层 > 未分层），
+     *    完全落败的声明标记为 overridden
+     * 6. 跨域样式表读取 cssRules 抛错时记入 inaccessible，而不是静默跳过
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object|null} { rules: [...], inaccessible: [href], total }
+     */
+    getMatchedRules(element) {
+      if (!element || typeof element.matches !== 'function') return null;
+
+      const root = element.getRootNode ? element.getRootNode() : document;
+      const inShadow = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot;
+      const context = {
+        element,
+        inShadow,
+        matched: [],
+        inaccessible: [],
+        layers: [],
+        order: 0
+      };
 
-      result.parentContext = null;
-      size = getSize(result);
-      if (size <= maxSize) return result;
+      const sheets = [];
+      Array.from(root.styleSheets || []).forEach((sheet, index) => {
+        sheets.push({ sheet, source: sheet.href || `${inShadow ? 'shadow ' : ''}<style>[${index}]` });
+      });
+      Array.from(root.adoptedStyleSheets || []).forEach((sheet, index) => {
+        sheets.push({ sheet, source: `${inShadow ? 'shadow ' : ''}adoptedStyleSheets[${index}]` });
+      });
 
-      result.boundingRect = null;
-      size = getSize(result);
-      if (size <= maxSize) return result;
+      sheets.forEach(({ sheet, source }) => {
+        if (sheet.disabled) return;
+        if (sheet.media && sheet.media.mediaText && !this._matchMedia(sheet.media.mediaText)) return;
+        this._walkRules(sheet, source, [], '', context);
+      });
 
-      result.outerHTML = '';
-      result.innerHTML = '';
-      result.textContent = '';
-      size = getSize(result);
-      if (size <= maxSize) return result;
+      context.matched.forEach((rule) => {
+        rule.layerPath = this._getLayerPath(rule.layer, context);
+      });
+      const byCascade = (important) => (a, b) => {
+        const layerOrder = this._compareLayerPaths(a.layerPath, b.layerPath);
+        if (layerOrder !== 0) return important ? layerOrder : -layerOrder;
+        const specificityOrder = this._compareSpecificity(a.specificity, b.specificity);
+        if (specificityOrder !== 0) return -specificityOrder;
+        return b.order - a.order;
+      };
+      const rules = context.matched.slice().sort(byCascade(false));
+      const importantRules = context.matched.slice().sort(byCascade(true));
+
+      if (element.style && element.style.length > 0) {
+        const inline = {
+          selector: 'element.style',
+          origin: 'inline',
+          declarations: this._parseDeclarations(element.style)
+        };
+        rules.unshift(inline);
+        importantRules.unshift(inline);
+      }
 
-      result.cssSelector = this._truncateString(result.cssSelector || '', 100);
-      result.xpath = this._truncateString(result.xpath || '', 100);
-      return result;
+      this._markOverridden(rules, importantRules);
+
+      const maxRules = Config.MATCHED_RULES.MAX_RULES;
+      return {
+        rules: rules.slice(0, maxRules).map((rule) => {
+          const result = {
+            selector: rule.selector,
+            declarations: rule.declarations.map((declaration) => ({
+              property: declaration.property,
+              value: this._truncateString(declaration.value, Config.MATCHED_RULES.MAX_VALUE_LENGTH),
+              important: declaration.important,
+              overridden: declaration.overridden
+            }))
+          };
+          if (rule.origin === 'inline') {
+            result.origin = 'inline';
+            return result;
+          }
+          result.matchedSelector = rule.matchedSelector;
+          result.specificity = rule.specificity;
+          result.source = rule.source;
+          result.conditions = rule.conditions;
+          return result;
+        }),
+        inaccessible: context.inaccessible,
+        total: rules.length
+      };
     },
 
     /**
-     * 主采集函数
+     * 递归遍历样式表 / 分组规则
+     *
+     * @param {CSSStyleSheet|CSSGroupingRule} container - 含 cssRules 的对象
+     * @param {string} source - 样式表来源（href / <style> 序号）
+     * @param {string[]} conditions - 外层 @media / @supports / @layer / @container 条件
+     * @param {string} layer - 所在 @layer 名称（未分层为空字符串）
+     * @param {Object} context - 遍历上下文
      */
-    collect(element) {
-      if (!element || element.nodeType !== 1 || !element.tagName) return null;
-
-      const tagName = element.tagName.toLowerCase();
-      const className = this.getClassName(element);
-
-      const attributes = {};
-      if (element.attributes && element.attributes.length) {
-        for (const attr of element.attributes) {
-          attributes[attr.name] = attr.value;
+    _walkRules(container, source, conditions, layer, context) {
+      let cssRules;
+      try {
+        cssRules = container.cssRules;
+      } catch (error) {
+        // 跨域样式表（无 CORS）读取 cssRules 会抛 SecurityError
+        context.inaccessible.push(source);
+        return;
+      }
+      if (!cssRules) return;
+
+      for (const rule of Array.from(cssRules)) {
+        if (rule.type === 1 && typeof rule.selectorText === 'string') {
+          this._matchStyleRule(rule, source, conditions, layer, context);
+        } else if (rule.type === 3) {
+          // @import：媒体条件不满足时跳过，子样式表来源记为其 href
+          const media = rule.media && rule.media.mediaText;
+          if (media && !this._matchMedia(media)) continue;
+          if (!rule.styleSheet) {
+            context.inaccessible.push(rule.href || source);
+            continue;
+          }
+          const importLayer = typeof rule.layerName === 'string' ? this._joinLayer(layer, rule.layerName, context) : layer;
+          const importConditions = conditions.concat(media ? [`@media ${media}`] : [], importLayer !== layer ? [`@layer ${importLayer || '(anonymous)'}`] : []);
+          this._walkRules(rule.styleSheet, rule.styleSheet.href || rule.href || source, importConditions, importLayer, context);
+        } else if (rule.type === 4) {
+          const media = rule.media ? rule.media.mediaText : rule.conditionText;
+          if (!this._matchMedia(media)) continue;
+          this._walkRules(rule, source, conditions.concat(`@media ${media}`), layer, context);
+        } else if (rule.type === 12) {
+          const supported = typeof CSS !== 'undefined' && typeof CSS.supports === 'function'
+            ? CSS.supports(rule.conditionText)
+            : true;
+          if (!supported) continue;
+          this._walkRules(rule, source, conditions.concat(`@supports ${rule.conditionText}`), layer, context);
+        } else if (Array.isArray(rule.nameList) || (rule.nameList && typeof rule.nameList.length === 'number')) {
+          // @layer a, b; 语句只声明层顺序
+          Array.from(rule.nameList).forEach((name) => this._joinLayer(layer, name, context));
+        } else if (rule.cssRules && typeof rule.name === 'string') {
+          const layerName = this._joinLayer(layer, rule.name, context);
+          this._walkRules(rule, source, conditions.concat(`@layer ${layerName || '(anonymous)'}`), layerName, context);
+        } else if (rule.cssRules && typeof rule.containerQuery === 'string') {
+          const condition = `@container ${rule.containerName ? `${rule.containerName} ` : ''}${rule.containerQuery}`;
+          this._walkRules(rule, source, conditions.concat(condition), layer, context);
         }
       }
+    },
 
-      const textContent = this._truncateString(element.textContent || '', Config.TEXT_LIMITS.textContent);
-      const innerHTML = this._truncateString(element.innerHTML || '', Config.TEXT_LIMITS.innerHTML);
-      const outerHTML = this._truncateString(element.outerHTML || '', Config.TEXT_LIMITS.outerHTML);
-
-      const xpath = this.generateXPath(element);
-      const cssSelector = this.generateSelector(element) || (xpath ? `xpath:${xpath}` : '');
-
-      const rect = typeof element.getBoundingClientRect === 'function' ? element.getBoundingClientRect() : null;
-      const boundingRect = rect ? {
-        x: rect.x,
-        y: rect.y,
-        width: rect.width,
-        height: rect.height,
-        top: rect.top,
-        left: rect.left,
-        right: rect.right,
-        bottom: rect.bottom
-      } : null;
-
-      const parent = element.parentElement;
-      const parentContext = parent ? {
-        tagName: parent.tagName ? parent.tagName.toLowerCase() : '',
-        id: parent.id || '',
-        className: this.getClassName(parent)
-      } : null;
-
-      const data = {
-        tagName,
-        id: element.id || '',
-        className,
-        attributes,
-        textContent,
-        innerHTML,
-        outerHTML,
-        cssSelector,
-        xpath,
-        computedStyles: this.collectStyles(element),
-        boundingRect,
-        parentContext
-      };
+    /**
+     * 判断单条样式规则是否匹配目标元素，匹配则记录
+     */
+    _matchStyleRule(rule, source, conditions, layer, context) {
+      const order = context.order++;
+      let best = null;
+
+      for (const selector of this._splitSelectorList(rule.selectorText)) {
+        // 伪元素选择器无法用 matches 判断
+        if (/::|:(before|after|first-line|first-letter)\b/.test(selector)) continue;
+        let matches = false;
+        try {
+          matches = context.element.matches(selector);
+        } catch (error) {
+          continue;
+        }
+        if (!matches) continue;
 
-      return this.truncateToFit(data);
-    }
-  };
+        const specificity = this._computeSpecificity(selector);
+        if (!best || this._compareSpecificity(specificity, best.specificity) > 0) {
+          best = { selector, specificity };
+        }
+      }
 
-  /**
-   * Transport 模块 - WebSocket 通信
-   */
-  const Transport = {
-    ws: null,
-    reconnectAttempts: 0,
-    reconnectTimer: null,
-    isManualClose: false,
-    isReconnecting: false,
+      if (!best) return;
+
+      context.matched.push({
+        selector: rule.selectorText,
+        matchedSelector: best.selector,
+        specificity: best.specificity,
+        source,
+        conditions: conditions.slice(),
+        layer,
+        order,
+        declarations: this._parseDeclarations(rule.style)
+      });
+    },
 
     /**
-     * 设置连接状态（避免重复更新）
+     * 登记 @layer 名称（嵌套层以 "." 连接），按首次出现顺序确定层优先级
      *
-     * @param {string} nextState - DISCONNECTED | CONNECTING | CONNECTED
+     * 业务逻辑：
+     * 1. 逐级登记完整层名的每个前缀（"@layer a.b;" 同时声明 a 与 a.b）
+     * 2. 匿名层使用唯一占位名，不与任何具名层合并
+     *
+     * @returns {string} 完整层名；匿名层返回唯一占位名
      */
-    setState(nextState) {
-      if (State.connectionState === nextState) {
-        return;
-      }
-      State.connectionState = nextState;
+    _joinLayer(parent, name, context) {
+      const own = name || `(anonymous ${context.layers.length})`;
+      let fullName = parent;
+      own.split('.').forEach((part) => {
+        fullName = fullName ? `${fullName}.${part}` : part;
+        if (!context.layers.includes(fullName)) context.layers.push(fullName);
+      });
+      return fullName;
     },
 
     /**
-     * 重置重连计数器和定时器
+     * 计算层路径：每一级为该层在同一父层下的声明序号，末尾追加 Infinity 表示直接写在该层中的规则
+     *
+     * @param {string} layer - 完整层名（未分层为空字符串）
+     * @param {Object} context - 遍历上下文（layers 按首次出现顺序排列）
+     * @returns {number[]} 如 a.b → [a 的序号, b 在 a 下的序号, Infinity]；未分层为 [Infinity]
      */
-    resetReconnect() {
-      this.reconnectAttempts = 0;
-      this.isReconnecting = false;
-      if (this.reconnectTimer) {
-        clearTimeout(this.reconnectTimer);
-        this.reconnectTimer = null;
-      }
+    _getLayerPath(layer, context) {
+      if (!layer) return [Infinity];
+      const parentOf = (name) => name.slice(0, Math.max(name.lastIndexOf('.'), 0));
+      const parts = layer.split('.');
+      const path = parts.map((part, index) => {
+        const name = parts.slice(0, index + 1).join('.');
+        const parent = parts.slice(0, index).join('.');
+        return context.layers.filter((item) => parentOf(item) === parent).indexOf(name);
+      });
+      return path.concat(Infinity);
     },
 
     /**
-     * 连接 WebSocket 服务器
-     *
-     * 业务逻辑：
-     * 1. 防重入检查（仅在 DISCONNECTED 状态下连接）
-     * 2. 设置 isManualClose = false（标记为自动连接）
-     * 3. 创建 WebSocket 并注册事件监听器
-     * 4. open: 切换到 CONNECTED，重置重连计数
-     * 5. close/error: 切换到 DISCONNECTED，非手动关闭则自动重连
+     * 按普通声明的层叠顺序比较层路径（a 优先级更高返回正数）
      */
-    connect() {
-      if (State.connectionState !== 'DISCONNECTED') {
-        return;
+    _compareLayerPaths(a, b) {
+      const length = Math.max(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const left = i < a.length ? a[i] : Infinity;
+        const right = i < b.length ? b[i] : Infinity;
+        if (left !== right) return left > right ? 1 : -1;
       }
+      return 0;
+    },
 
-      this.isManualClose = false;
-      this.setState('CONNECTING');
-
+    /**
+     * 求值媒体查询（无法求值时视为匹配）
+     */
+    _matchMedia(mediaText) {
+      if (!mediaText || mediaText === 'all') return true;
       try {
-        this.ws = new WebSocket(Config.WS_URL);
+        return typeof window.matchMedia === 'function' ? window.matchMedia(mediaText).matches : true;
       } catch (error) {
-        this.setState('DISCONNECTED');
-        this.scheduleReconnect();
-        return;
+        return true;
       }
+    },
 
-      this.ws.addEventListener('open', () => {
-        this.setState('CONNECTED');
-        this.resetReconnect();
-        // 连接成功后检查域名状态，自动恢复 Inspector
-        if (getDomainActive() && !Inspector.isActive) {
-          activateInspector();
+    /**
+     * 按顶层逗号拆分选择器列表（忽略括号、方括号与引号内的逗号）
+     *
+     * @param {string} selectorText - 选择器列表
+     * @returns {string[]} 单个选择器
+     */
+    _splitSelectorList(selectorText) {
+      const parts = [];
+      let depth = 0;
+      let quote = '';
+      let current = '';
+
+      for (let i = 0; i < selectorText.length; i++) {
+        const char = selectorText[i];
+        if (char === '\\') {
+          current += char + (selectorText[i + 1] || '');
+          i++;
+          continue;
         }
-      });
+        if (quote) {
+          if (char === quote) quote = '';
+        } else if (char === '"' || char === '\'') {
+          quote = char;
+        } else if (char === '(' || char === '[') {
+          depth++;
+        } else if (char === ')' || char === ']') {
+          depth--;
+        } else if (char === ',' && depth === 0) {
+          if (current.trim()) parts.push(current.trim());
+          current = '';
+          continue;
+        }
+        current += char;
+      }
 
-      this.ws.addEventListener('close', () => {
-        this.ws = null;
-        this.setState('DISCONNECTED');
-        // 连接断开时自动停用 Inspector（不清除域名状态，重连后可恢复）
-        if (Inspector.isActive) {
-          deactivateInspector();
+      if (current.trim()) parts.push(current.trim());
+      return parts;
+    },
+
+    /**
+     * 计算选择器特异性 [id, class, type]
+     *
+     * 业务逻辑：
+     * 1. #id → a；.class / [attr] / 伪类 → b；标签 / 伪元素 → c；* 与组合符不计
+     * 2. :is() / :not() / :has() 取参数中特异性最大的选择器；:where() 为 0
+     * 3. :nth-child(An+B of S) / :nth-last-child 计一个伪类再加 S 的最大特异性
+     *
+     * @param {string} selector - 单个选择器
+     * @returns {number[]} [a, b, c]
+     */
+    _computeSpecificity(selector) {
+      const result = [0, 0, 0];
+      const isIdentChar = (char) => /[\w\-\u00A0-\uFFFF]/.test(char);
+      const readIdent = (start) => {
+        let end = start;
+        while (end < selector.length) {
+          if (selector[end] === '\\') {
+            end += 2;
+          } else if (isIdentChar(selector[end])) {
+            end++;
+          } else {
+            break;
+          }
         }
-        if (!this.isManualClose && !this.isReconnecting) {
-          this.isReconnecting = true;
-          this.scheduleReconnect();
+        return end;
+      };
+      const readBlock = (start, open, close) => {
+        let depth = 0;
+        let quote = '';
+        for (let i = start; i < selector.length; i++) {
+          const char = selector[i];
+          if (char === '\\') {
+            i++;
+          } else if (quote) {
+            if (char === quote) quote = '';
+          } else if (char === '"' || char === '\'') {
+            quote = char;
+          } else if (char === open) {
+            depth++;
+          } else if (char === close) {
+            depth--;
+            if (depth === 0) return i + 1;
+          }
         }
-      });
+        return selector.length;
+      };
+      const addMax = (list) => {
+        const max = this._splitSelectorList(list)
+          .map((item) => this._computeSpecificity(item))
+          .reduce((best, item) => (this._compareSpecificity(item, best) > 0 ? item : best), [0, 0, 0]);
+        for (let k = 0; k < 3; k++) result[k] += max[k];
+      };
 
-      this.ws.addEventListener('error', () => {
-        if (this.ws) {
-          try {
-            this.ws.close();
-          } catch (error) {
-            // 忽略关闭失败
+      let i = 0;
+      while (i < selector.length) {
+        const char = selector[i];
+        if (char === '#') {
+          result[0]++;
+          i = readIdent(i + 1);
+        } else if (char === '.') {
+          result[1]++;
+          i = readIdent(i + 1);
+        } else if (char === '[') {
+          result[1]++;
+          i = readBlock(i, '[', ']');
+        } else if (char === ':') {
+          const isElement = selector[i + 1] === ':';
+          const nameStart = i + (isElement ? 2 : 1);
+          const nameEnd = readIdent(nameStart);
+          const name = selector.slice(nameStart, nameEnd).toLowerCase();
+          let args = null;
+          i = nameEnd;
+          if (selector[i] === '(') {
+            const end = readBlock(i, '(', ')');
+            args = selector.slice(i + 1, end - 1);
+            i = end;
           }
+
+          if (isElement || ['before', 'after', 'first-line', 'first-letter'].includes(name)) {
+            result[2]++;
+            if (args && name === 'slotted') addMax(args);
+          } else if (['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any'].includes(name)) {
+            if (args) addMax(args);
+          } else if (name === 'where') {
+            // :where() 特异性恒为 0
+          } else if ((name === 'nth-child' || name === 'nth-last-child') && args && /\sof\s/i.test(args)) {
+            result[1]++;
+            addMax(args.split(/\sof\s/i).slice(1).join(' of '));
+          } else {
+            result[1]++;
+            if (args && (name === 'host' || name === 'host-context')) addMax(args);
+          }
+        } else if (char === '*') {
+          i++;
+        } else if (isIdentChar(char) || char === '\\') {
+          const end = readIdent(i);
+          // 命名空间前缀（svg|rect）不计入
+          if (selector[end] !== '|') result[2]++;
+          i = end === i ? i + 1 : end;
+        } else {
+          i++;
         }
-      });
+      }
 
-      this.ws.addEventListener('message', () => {
-        // 预留消息处理
-      });
+      return result;
     },
 
     /**
-     * 调度自动重连（指数退避策略）
-     *
-     * 业务逻辑：
-     * - 重连间隔: RETRY_INTERVAL * 2^attempts
-     * - 最大重试次数: MAX_RETRIES (5 次)
-     * - 超过最大次数后停止重连
+     * 比较特异性大小（a 大于 b 返回正数）
      */
-    scheduleReconnect() {
-      if (this.reconnectAttempts >= Config.MAX_RETRIES) {
-        return;
-      }
-      if (this.reconnectTimer) {
-        clearTimeout(this.reconnectTimer);
-        this.reconnectTimer = null;
+    _compareSpecificity(a, b) {
+      for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
       }
-      const delay = Config.RETRY_INTERVAL * Math.pow(2, this.reconnectAttempts);
-      this.reconnectAttempts += 1;
-      this.reconnectTimer = setTimeout(() => {
-        this.connect();
-      }, delay);
+      return 0;
     },
 
     /**
-     * 发送元素数据到服务器
+     * 解析声明块：保留简写形式（按 cssText），并记录每条声明覆盖的长写属性
      *
-     * @param {Object} elementData - Collector.collect() 返回的元素数据
+     * @param {CSSStyleDeclaration} style - 规则或行内样式的声明块
+     * @returns {Array<{property, value, important, longhands}>} 声明列表
      */
-    sendElement(elementData) {
-      if (State.connectionState !== 'CONNECTED' || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-        return;
-      }
-
-      const payload = {
-        type: 'element_selected',
-        timestamp: new Date().toISOString(),
-        data: elementData || null
+    _parseDeclarations(style) {
+      if (!style) return [];
+      const declarations = [];
+      const cssText = style.cssText || '';
+      let depth = 0;
+      let quote = '';
+      let current = '';
+
+      const flush = () => {
+        const text = current.trim();
+        current = '';
+        const colon = text.indexOf(':');
+        if (colon <= 0) return;
+        const property = text.slice(0, colon).trim();
+        let value = text.slice(colon + 1).trim();
+        const important = /!\s*important$/i.test(value);
+        if (important) value = value.replace(/\s*!\s*important$/i, '');
+        declarations.push({
+          property,
+          value,
+          important,
+          longhands: this._getLonghands(property),
+          overridden: false
+        });
       };
 
-      try {
-        this.ws.send(JSON.stringify(payload));
-      } catch (error) {
-        // 忽略发送失败
+      for (let i = 0; i < cssText.length; i++) {
+        const char = cssText[i];
+        if (char === '\\') {
+          current += char + (cssText[i + 1] || '');
+          i++;
+          continue;
+        }
+        if (quote) {
+          if (char === quote) quote = '';
+        } else if (char === '"' || char === '\'') {
+          quote = char;
+        } else if (char === '(') {
+          depth++;
+        } else if (char === ')') {
+          depth--;
+        } else if (char === ';' && depth === 0) {
+          flush();
+          continue;
+        }
+        current += char;
       }
+      flush();
+
+      return declarations;
     },
 
     /**
-     * 发送 ping 心跳包（Codex Review 新增）
+     * 获取属性展开后的长写属性列表（简写按需解析，结果缓存）
      */
-    sendPing() {
-      if (State.connectionState !== 'CONNECTED' || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-        return;
-      }
+    _getLonghands(property) {
+      if (property.startsWith('--')) return [property];
+      if (this.longhandCache[property]) return this.longhandCache[property];
+
+      let longhands = [property];
       try {
-        this.ws.send(JSON.stringify({ type: 'ping' }));
+        const scratch = document.createElement('div').style;
+        scratch.setProperty(property, 'inherit');
+        if (scratch.length > 1) longhands = Array.from(scratch);
       } catch (error) {
-        // 忽略发送失败
+        // 解析失败按长写属性处理
       }
+      this.longhandCache[property] = longhands;
+      return longhands;
     },
 
     /**
-     * 手动断开连接（TD12: 使用 isManualClose 阻止自动重连）
+     * 标记被覆盖的声明
      *
      * 业务逻辑：
-     * 1. 设置 isManualClose = true（阻止 close 事件触发自动重连）
-     * 2. 清除重连定时器
-     * 3. 关闭 WebSocket 连接
-     * 4. 切换到 DISCONNECTED 状态
+     * 1. 每个长写属性取 importantRules 中第一条 !important 声明，没有则取 rules 中第一条声明
+     * 2. 声明的所有长写属性都没有胜出时标记为 overridden
+     *
+     * @param {Object[]} rules - 按普通声明的层叠优先级降序排列的规则
+     * @param {Object[]} importantRules - 同一组规则按 !important 声明的层叠优先级降序排列（层顺序反转）
      */
-    disconnect() {
-      this.isManualClose = true;
-      if (this.reconnectTimer) {
-        clearTimeout(this.reconnectTimer);
-        this.reconnectTimer = null;
-      }
-      if (this.ws) {
-        try {
-          this.ws.close();
-        } catch (error) {
-          // 忽略关闭失败
-        }
-        this.ws = null;
-      }
-      this.setState('DISCONNECTED');
-    }
-  };
+    _markOverridden(rules, importantRules) {
+      const winners = new Map();
+      const importantWinners = new Map();
+
+      rules.forEach((rule) => {
+        rule.declarations.forEach((declaration) => {
+          declaration.longhands.forEach((longhand) => {
+            if (!winners.has(longhand)) winners.set(longhand, declaration);
+          });
+        });
+      });
+      importantRules.forEach((rule) => {
+        rule.declarations.forEach((declaration) => {
+          if (!declaration.important) return;
+          declaration.longhands.forEach((longhand) => {
+            if (!importantWinners.has(longhand)) importantWinners.set(longhand, declaration);
+          });
+        });
+      });
 
-  /**
-   * UI 模块 - Ghost 悬浮按钮和信息面板
-   */
-  const UI = {
-    host: null,
-    shadowRoot: null,
-    ghostButton: null,
-    infoPanel: null,
-    _dragState: { active: false, x: 0, y: 0, startX: 0, startY: 0 },
+      rules.forEach((rule) => {
+        rule.declarations.forEach((declaration) => {
+          declaration.overridden = !declaration.longhands.some((longhand) => (
+            (importantWinners.get(longhand) || winners.get(longhand)) === declaration
+          ));
+        });
+      });
+    },
 
     /**
-     * 初始化 UI 组件
+     * 按选择器查找元素，支持 ">>>" 穿透选择器（逐级进入宿主元素的 open Shadow Root）
+     *
+     * @param {string} selector - CSS 选择器或 piercingSelector
+     * @returns {Element|null} 匹配的元素（选择器无效或元素已不存在时为 null）
      */
-    init() {
-      // 幂等保护：防止菜单快速切换导致重复初始化
-      if (this.host) return;
-      this.createHost();
-      this.injectStyles();
-      this.renderGhostButton();
-      this.renderInfoPanel();
-      this.bindEvents();
+    querySelectorPiercing(selector) {
+      if (!selector) return null;
+      let root = document;
+      let element = null;
+      try {
+        for (const part of selector.split(' >>> ')) {
+          if (!root) return null;
+          element = root.querySelector(part);
+          if (!element) return null;
+          root = element.shadowRoot;
+        }
+      } catch (error) {
+        return null;
+      }
+      return element;
     },
 
     /**
-     * 创建 Shadow DOM 宿主
+     * 按选择器查找全部匹配元素，支持 ">>>" 穿透选择器（仅最后一段匹配多个，前面各段定位宿主）
+     *
+     * @param {string} selector - CSS 选择器或 piercingSelector
+     * @returns {Element[]} 匹配的元素（宿主不存在时为空数组；选择器语法错误时抛出）
      */
-    createHost() {
-      this.host = document.createElement('div');
-      this.host.id = 'web-inspector-ui';
+    querySelectorAllPiercing(selector) {
+      const parts = selector.split(' >>> ');
+      const last = parts.pop();
+      let root = document;
+      if (parts.length > 0) {
+        const host = this.querySelectorPiercing(parts.join(' >>> '));
+        if (!host || !host.shadowRoot) return [];
+        root = host.shadowRoot;
+      }
+      return Array.from(root.querySelectorAll(last));
+    },
+
+    /**
+     * 采集盒模型（content / padding / border / margin，单位 px）
+     *
+     * 业务逻辑：
+     * 1. width / height 为 border-box 尺寸（与 getBoundingClientRect 一致）
+     * 2. 四边数值来自计算样式，保留两位小数
+     * 3. content 尺寸 = border-box 减去 border 与 padding
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object} 结构化盒模型数据
+     */
+    getBoxModel(element) {
+      const round = (value) => Math.round(value * 100) / 100;
+      const rect = element.getBoundingClientRect();
+      let computed = null;
+      try {
+        computed = window.getComputedStyle(element);
+      } catch (error) {
+        computed = null;
+      }
+
+      const readEdges = (prefix, suffix = '') => {
+        const edges = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+          const value = computed ? parseFloat(computed.getPropertyValue(`${prefix}-${side}${suffix}`)) : 0;
+          edges[side] = Number.isFinite(value) ? round(value) : 0;
+        }
+        return edges;
+      };
+
+      const margin = readEdges('margin');
+      const border = readEdges('border', '-width');
+      const padding = readEdges('padding');
+
+      return {
+        boxSizing: computed ? computed.boxSizing || '' : '',
+        width: round(rect.width),
+        height: round(rect.height),
+        content: {
+          width: round(Math.max(0, rect.width - border.left - border.right - padding.left - padding.right)),
+          height: round(Math.max(0, rect.height - border.top - border.bottom - padding.top - padding.bottom))
+        },
+        padding,
+        border,
+        margin
+      };
+    },
+
+    /**
+     * 字符串截断工具
+     */
+    _truncateString(value, maxLength) {
+      if (typeof value !== 'string') return '';
+      if (maxLength <= 0) return '';
+      if (value.length <= maxLength) return value;
+      if (maxLength <= 3) return value.slice(0, maxLength);
+      return `${value.slice(0, maxLength - 3)}...`;
+    },
+
+    /**
+     * 数据大小限制（TD15）
+     */
+    truncateToFit(data) {
+      const maxSize = Config.MAX_DATA_SIZE;
+      const result = {
+        tagName: data.tagName || '',
+        id: data.id || '',
+        className: data.className || '',
+        attributes: data.attributes ? Object.assign({}, data.attributes) : {},
+        textContent: data.textContent || '',
+        innerHTML: data.innerHTML || '',
+        outerHTML: data.outerHTML || '',
+        cssSelector: data.cssSelector || '',
+        xpath: data.xpath || '',
+        selectorCandidates: data.selectorCandidates ? data.selectorCandidates.map((candidate) => Object.assign({}, candidate)) : null,
+        styleProfile: data.styleProfile || 'compact',
+        computedStyles: data.computedStyles ? JSON.parse(JSON.stringify(data.computedStyles)) : {},
+        matchedRules: data.matchedRules ? JSON.parse(JSON.stringify(data.matchedRules)) : null,
+        boundingRect: data.boundingRect ? Object.assign({}, data.boundingRect) : null,
+        boxModel: data.boxModel || null,
+        note: data.note || null,
+        screenshotId: data.screenshotId || null,
+        accessibility: data.accessibility || null,
+        component: data.component ? Object.assign({}, data.component) : null,
+        sourceLocation: data.sourceLocation || null,
+        listeners: data.listeners ? data.listeners.map((record) => Object.assign({}, record)) : null,
+        shadowPath: data.shadowPath ? data.shadowPath.slice() : null,
+        piercingSelector: data.piercingSelector || null,
+        parentContext: data.parentContext ? Object.assign({}, data.parentContext) : null
+      };
+
+      const getSize = (target) => JSON.stringify(target).length;
+      let size = getSize(result);
+      if (size <= maxSize) return result;
+
+      const reduceStringField = (field) => {
+        if (typeof result[field] !== 'string' || !result[field]) return;
+        while (size > maxSize && result[field].length > 0) {
+          const over = size - maxSize;
+          const targetLen = Math.max(0, result[field].length - over - 8);
+          if (targetLen >= result[field].length) {
+            break;
+          }
+          result[field] = this._truncateString(result[field], targetLen);
+          size = getSize(result);
+          if (targetLen === 0) break;
+        }
+      };
+
+      reduceStringField('outerHTML');
+      if (size <= maxSize) return result;
+
+      reduceStringField('innerHTML');
+      if (size <= maxSize) return result;
+
+      reduceStringField('textContent');
+      if (size <= maxSize) return result;
+
+      const trimAttributes = (limit) => {
+        if (!result.attributes) return;
+        const keys = Object.keys(result.attributes);
+        for (const key of keys) {
+          if (size <= maxSize) break;
+          const value = result.attributes[key];
+          if (typeof value === 'string' && value.length > limit) {
+            result.attributes[key] = this._truncateString(value, limit);
+            size = getSize(result);
+          }
+        }
+      };
+
+      trimAttributes(200);
+      if (size <= maxSize) return result;
+
+      trimAttributes(50);
+      if (size <= maxSize) return result;
+
+      trimAttributes(0);
+      if (size <= maxSize) return result;
+
+      // 差异模式下按重要性从低到高逐类丢弃样式，布局类保留到最后
+      if (result.styleProfile === 'diff') {
+        const dropOrder = ['other', 'interaction', 'effects', 'background', 'typography', 'flex-grid', 'box'];
+        for (const category of dropOrder) {
+          if (!result.computedStyles[category]) continue;
+          delete result.computedStyles[category];
+          size = getSize(result);
+          if (size <= maxSize) return result;
+        }
+      }
+
+      result.computedStyles = {};
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      // 匹配规则：先去掉被覆盖的声明，再只保留优先级最高的几条规则
+      if (result.matchedRules) {
+        result.matchedRules.rules.forEach((rule) => {
+          rule.declarations = rule.declarations.filter((declaration) => !declaration.overridden);
+        });
+        size = getSize(result);
+        if (size <= maxSize) return result;
+        result.matchedRules.rules = result.matchedRules.rules.slice(0, 5);
+        size = getSize(result);
+        if (size <= maxSize) return result;
+        result.matchedRules = null;
+        size = getSize(result);
+        if (size <= maxSize) return result;
+      }
+
+      // 监听器源码片段缩短，仍超限时只保留元素自身的监听器
+      if (result.listeners) {
+        result.listeners.forEach((record) => {
+          record.source = this._truncateString(record.source || '', 40);
+        });
+        size = getSize(result);
+        if (size <= maxSize) return result;
+        result.listeners = result.listeners.filter((record) => record.target === 'self');
+        size = getSize(result);
+        if (size <= maxSize) return result;
+      }
+
+      // 组件 props / state 可能较大，组件名与组件栈保留到最后
+      if (result.component) {
+        result.component.props = null;
+        result.component.state = null;
+        size = getSize(result);
+        if (size <= maxSize) return result;
+      }
+
+      // 选择器候选只保留得分最高的 3 个
+      if (result.selectorCandidates && result.selectorCandidates.length > 3) {
+        result.selectorCandidates = result.selectorCandidates.slice(0, 3);
+        size = getSize(result);
+        if (size <= maxSize) return result;
+      }
+
+      result.attributes = {};
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.parentContext = null;
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.accessibility = null;
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.selectorCandidates = null;
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.boundingRect = null;
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.boxModel = null;
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.component = null;
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.outerHTML = '';
+      result.innerHTML = '';
+      result.textContent = '';
+      size = getSize(result);
+      if (size <= maxSize) return result;
+
+      result.cssSelector = this._truncateString(result.cssSelector || '', 100);
+      result.xpath = this._truncateString(result.xpath || '', 100);
+      return result;
+    },
+
+    /**
+     * 判断元素是否可见（visibility / opacity 过滤，尺寸由调用方判断）
+     */
+    _isVisible(element) {
+      try {
+        const computed = window.getComputedStyle(element);
+        if (!computed) return true;
+        return computed.visibility !== 'hidden' && computed.display !== 'none' && computed.opacity !== '0';
+      } catch (error) {
+        return true;
+      }
+    },
+
+    /**
+     * 计算一组元素的最近公共祖先
+     *
+     * @param {Element[]} elements - 元素列表
+     * @returns {Element|null} 公共祖先；单个元素时返回其父元素
+     */
+    _getCommonAncestor(elements) {
+      if (!elements.length) return null;
+      let ancestor = elements.length === 1 ? elements[0].parentElement : elements[0];
+      for (const element of elements.slice(1)) {
+        while (ancestor && !ancestor.contains(element)) {
+          ancestor = ancestor.parentElement;
+        }
+      }
+      return ancestor;
+    },
+
+    /**
+     * 生成元素摘要（框选结果列表使用，比完整采集更紧凑）
+     */
+    summarize(element) {
+      const rect = element.getBoundingClientRect();
+      return {
+        tagName: element.tagName.toLowerCase(),
+        id: element.id || '',
+        className: this.getClassName(element),
+        cssSelector: this.generateSelector(element) || '',
+        boundingRect: {
+          x: Math.round(rect.x),
+          y: Math.round(rect.y),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        },
+        textContent: this._truncateString((element.textContent || '').replace(/\s+/g, ' ').trim(), 80)
+      };
+    },
+
+    /**
+     * 框选采集：收集完全落在矩形区域内的可见元素
+     *
+     * 业务逻辑：
+     * 1. 按文档顺序遍历 body 下全部元素，排除插件自身 UI
+     * 2. 过滤尺寸小于 minSize、不可见、未完全落在区域内的元素
+     * 3. topLevelOnly 时丢弃已收录元素的后代（文档顺序保证后代紧随祖先）
+     * 4. 超过 maxElements 时截断，并记录匹配总数
+     * 5. 计算全部收录元素的公共祖先选择器
+     *
+     * @param {{left: number, top: number, right: number, bottom: number, width: number, height: number}} region - 视口坐标矩形
+     * @param {Object} options - { minSize, topLevelOnly, maxElements, exclude }
+     * @returns {Object} 区域描述数据
+     */
+    collectRegion(region, options = {}) {
+      const minSize = Number.isFinite(options.minSize) ? options.minSize : 0;
+      const maxElements = Number.isFinite(options.maxElements) ? options.maxElements : Infinity;
+      const exclude = typeof options.exclude === 'function' ? options.exclude : () => false;
+
+      const included = [];
+      let lastIncluded = null;
+      const all = document.body ? document.body.querySelectorAll('*') : [];
+
+      for (const element of all) {
+        if (options.topLevelOnly && lastIncluded && lastIncluded.contains(element)) continue;
+        if (exclude(element)) continue;
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width < minSize || rect.height < minSize) continue;
+        if (rect.left < region.left || rect.top < region.top || rect.right > region.right || rect.bottom > region.bottom) continue;
+        if (!this._isVisible(element)) continue;
+
+        included.push(element);
+        lastIncluded = element;
+      }
+
+      const elements = included.slice(0, maxElements);
+      const ancestor = this._getCommonAncestor(elements);
+
+      return {
+        region: {
+          x: Math.round(region.left),
+          y: Math.round(region.top),
+          width: Math.round(region.width),
+          height: Math.round(region.height)
+        },
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight,
+          scrollX: Math.round(window.scrollX),
+          scrollY: Math.round(window.scrollY)
+        },
+        ancestorSelector: ancestor ? (this.generateSelector(ancestor) || '') : '',
+        totalMatched: included.length,
+        truncated: included.length > elements.length,
+        elements: elements.map((element) => this.summarize(element))
+      };
+    },
+
+    /**
+     * 文本选区采集：选中文本 + 起止边界 + 公共祖先元素数据
+     *
+     * 业务逻辑：
+     * 1. 选区为空、已折叠或仅含空白时返回 null
+     * 2. 起止边界记录所在元素选择器、节点类型、在父节点中的序号与偏移量
+     * 3. 公共祖先（文本节点取其父元素）走完整的 collect 采集
+     *
+     * @param {Selection} selection - window.getSelection() 结果
+     * @returns {Object|null} 文本选区数据
+     */
+    collectTextSelection(selection) {
+      if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+      const text = selection.toString();
+      if (!text.trim()) return null;
+
+      const range = selection.getRangeAt(0);
+      const describeBoundary = (node, offset) => {
+        const element = node.nodeType === 1 ? node : node.parentElement;
+        const siblings = node.parentNode ? Array.from(node.parentNode.childNodes) : [];
+        return {
+          selector: element ? (this.generateSelector(element) || '') : '',
+          nodeType: node.nodeType === 3 ? 'text' : 'element',
+          childIndex: siblings.indexOf(node),
+          offset
+        };
+      };
+
+      let ancestor = range.commonAncestorContainer;
+      if (ancestor && ancestor.nodeType !== 1) {
+        ancestor = ancestor.parentElement;
+      }
+
+      return {
+        text: this._truncateString(text, Config.TEXT_LIMITS.selection),
+        textLength: text.length,
+        start: describeBoundary(range.startContainer, range.startOffset),
+        end: describeBoundary(range.endContainer, range.endOffset),
+        ancestor: ancestor ? this.collect(ancestor) : null
+      };
+    },
+
+    /**
+     * 将元素渲染为 PNG 截图
+     *
+     * 业务逻辑：
+     * 1. 深拷贝子树并把每个节点的计算样式内联为 style（脱离页面样式表也能还原外观）
+     * 2. 序列化为 SVG foreignObject，加载为图片后绘制到 canvas 导出 PNG
+     * 3. 根节点的外边距、定位偏移与变换清零，从画布左上角开始绘制
+     * 4. 输出尺寸按 MAX_DIMENSION 等比缩小，节点数超过 MAX_NODES 时放弃
+     *
+     * 限制：伪元素、跨域图片和外部字体不会出现在截图中
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Promise<string>} PNG data URL
+     */
+    captureScreenshot(element) {
+      return new Promise((resolve, reject) => {
+        const rect = element.getBoundingClientRect();
+        const width = Math.ceil(rect.width);
+        const height = Math.ceil(rect.height);
+        if (width === 0 || height === 0) {
+          reject(new Error('元素尺寸为 0，无法截图'));
+          return;
+        }
+
+        let clone;
+        try {
+          clone = this._cloneWithStyles(element, { count: 0 });
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        // 根节点按包围盒尺寸绘制：去掉外边距、定位偏移与变换（包围盒已包含变换结果）
+        Object.assign(clone.style, {
+          margin: '0',
+          position: 'relative',
+          top: 'auto',
+          left: 'auto',
+          right: 'auto',
+          bottom: 'auto',
+          transform: 'none',
+          boxSizing: 'border-box',
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+
+        const limit = Config.SCREENSHOT.MAX_DIMENSION;
+        const scale = Math.min(window.devicePixelRatio || 1, Config.SCREENSHOT.MAX_SCALE, limit / width, limit / height);
+        const xhtml = new XMLSerializer().serializeToString(clone);
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+          `<foreignObject x="0" y="0" width="100%" height="100%">${xhtml}</foreignObject></svg>`;
+
+        const image = new Image();
+        image.onload = () => {
+          try {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            resolve(canvas.toDataURL('image/png'));
+          } catch (error) {
+            reject(error);
+          }
+        };
+        image.onerror = () => reject(new Error('SVG 截图加载失败'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+      });
+    },
+
+    /**
+     * 深拷贝节点并内联计算样式（截图用）
+     *
+     * 业务逻辑：
+     * 1. 跳过 script / style / link 等不可见节点与 Inspector 自身 UI
+     * 2. 自定义元素改用 div 承载，避免克隆时触发组件构造函数
+     * 3. 宿主元素展开其 shadow root，slot 展开其分配的节点（近似渲染后的扁平树）
+     * 4. canvas / 同源图片转为 data URL，表单控件保留当前值
+     *
+     * @param {Node} node - 源节点
+     * @param {Object} counter - 已拷贝元素计数 { count }
+     * @returns {Node|null} 拷贝后的节点
+     */
+    _cloneWithStyles(node, counter) {
+      if (node.nodeType === 3) return node.cloneNode(false);
+      if (node.nodeType !== 1) return null;
+      if (['SCRIPT', 'STYLE', 'LINK', 'NOSCRIPT', 'TEMPLATE'].includes(node.tagName)) return null;
+      if (Inspector.isOwnUI(node)) return null;
+
+      counter.count += 1;
+      if (counter.count > Config.SCREENSHOT.MAX_NODES) {
+        throw new Error(`元素子树超过 ${Config.SCREENSHOT.MAX_NODES} 个节点，已放弃截图`);
+      }
+
+      const computed = window.getComputedStyle(node);
+      let cssText = '';
+      for (let i = 0; i < computed.length; i++) {
+        const prop = computed[i];
+        cssText += `${prop}:${computed.getPropertyValue(prop)};`;
+      }
+
+      // SVG 子树整体拷贝，只在根节点内联样式
+      if (node instanceof SVGElement) {
+        const svgClone = node.cloneNode(true);
+        svgClone.setAttribute('style', cssText);
+        return svgClone;
+      }
+
+      if (node.tagName === 'CANVAS') {
+        const img = document.createElement('img');
+        try {
+          img.src = node.toDataURL();
+        } catch (error) {
+          // 被跨域内容污染的 canvas 无法导出，保留空白占位
+        }
+        img.setAttribute('style', cssText);
+        return img;
+      }
+
+      const clone = node.localName.includes('-')
+        ? document.createElement('div')
+        : node.cloneNode(false);
+      clone.setAttribute('style', cssText);
+
+      if (node.tagName === 'IMG' && node.complete && node.naturalWidth > 0) {
+        try {
+          const canvas = document.createElement('canvas');
+          canvas.width = node.naturalWidth;
+          canvas.height = node.naturalHeight;
+          canvas.getContext('2d').drawImage(node, 0, 0);
+          clone.setAttribute('src', canvas.toDataURL());
+          clone.removeAttribute('srcset');
+        } catch (error) {
+          // 跨域图片无法转换，foreignObject 中不会加载外部资源
+        }
+      }
+      if (node.tagName === 'INPUT') {
+        clone.setAttribute('value', node.value);
+        if (node.checked) clone.setAttribute('checked', '');
+      }
+
+      let children = node.childNodes;
+      if (node.shadowRoot) {
+        children = node.shadowRoot.childNodes;
+      } else if (node.tagName === 'SLOT' && node.assignedNodes().length > 0) {
+        children = node.assignedNodes();
+      }
+      if (node.tagName === 'TEXTAREA') {
+        clone.textContent = node.value;
+        children = [];
+      }
+
+      Array.from(children).forEach((child) => {
+        const childClone = this._cloneWithStyles(child, counter);
+        if (childClone) clone.appendChild(childClone);
+      });
+      return clone;
+    },
+
+    /**
+     * 采集无障碍信息
+     *
+     * 业务逻辑：
+     * 1. 角色：role 属性中第一个有效值，否则取 HTML 隐式角色
+     * 2. 可访问名称 / 描述：按 accname 算法的主要步骤计算（aria-labelledby → aria-label → 原生标签 → 子树文本 → title）
+     * 3. 状态：ARIA 状态属性 + 原生 disabled / checked / required / readonly / open
+     * 4. 可聚焦性、tabIndex、是否从无障碍树中隐藏
+     * 5. 文本与有效背景色的对比度及 WCAG AA / AAA 结论
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object} 无障碍数据
+     */
+    getAccessibility(element) {
+      const explicitRole = (element.getAttribute('role') || '').trim().split(/\s+/)[0] || '';
+      const implicitRole = this.getImplicitRole(element);
+      const role = explicitRole || implicitRole;
+      const { name, source } = this._computeName(element, { role, visited: new Set(), root: true });
+      const hidden = this._getHiddenReason(element);
+
+      let description = '';
+      const describedBy = this._getReferencedElements(element, 'aria-describedby');
+      if (describedBy.length > 0) {
+        description = describedBy
+          .map((ref) => this._computeName(ref, { visited: new Set(), inReference: true }).name)
+          .join(' ');
+      } else if (element.getAttribute('aria-description')) {
+        description = element.getAttribute('aria-description');
+      } else if (source !== 'title' && element.getAttribute('title')) {
+        description = element.getAttribute('title');
+      }
+
+      return {
+        role: role || null,
+        roleSource: explicitRole ? 'explicit' : (implicitRole ? 'implicit' : null),
+        name: this._truncateString(name, 200),
+        nameSource: name ? source : null,
+        description: this._truncateString(this._normalizeText(description), 200),
+        states: this._getAccessibilityStates(element),
+        focusable: this._isFocusable(element),
+        tabIndex: element.tabIndex,
+        hidden: Boolean(hidden),
+        hiddenReason: hidden,
+        contrast: this.getContrast(element)
+      };
+    },
+
+    /**
+     * 获取 HTML 元素的隐式 ARIA 角色
+     *
+     * @param {Element} element - 目标元素
+     * @returns {string} 角色（无对应角色时为空字符串）
+     */
+    getImplicitRole(element) {
+      const tag = element.localName;
+      switch (tag) {
+        case 'a':
+        case 'area':
+          return element.hasAttribute('href') ? 'link' : '';
+        case 'img':
+          return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+        case 'select':
+          return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+        case 'th':
+          return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+        case 'section':
+          // 只有带可访问名称（不含子树文本）的 section 才是 region 地标
+          return this._computeName(element, { role: 'region', visited: new Set(), root: true, skipContent: true }).name ? 'region' : '';
+        case 'header':
+        case 'footer': {
+          // 位于分区内容中时不再是页面级地标
+          const scoped = element.parentElement && element.parentElement.closest('article, aside, main, nav, section');
+          if (scoped) return '';
+          return tag === 'header' ? 'banner' : 'contentinfo';
+        }
+        case 'input': {
+          const type = (element.getAttribute('type') || 'text').toLowerCase();
+          const inputRoles = {
+            button: 'button',
+            submit: 'button',
+            reset: 'button',
+            image: 'button',
+            checkbox: element.hasAttribute('switch') ? 'switch' : 'checkbox',
+            radio: 'radio',
+            range: 'slider',
+            number: 'spinbutton',
+            search: element.hasAttribute('list') ? 'combobox' : 'searchbox'
+          };
+          if (type in inputRoles) return inputRoles[type];
+          if (['email', 'tel', 'text', 'url'].includes(type)) {
+            return element.hasAttribute('list') ? 'combobox' : 'textbox';
+          }
+          return '';
+        }
+        default:
+          return IMPLICIT_ROLES[tag] || '';
+      }
+    },
+
+    /**
+     * 计算可访问名称（accname 算法的简化实现）
+     *
+     * @param {Node} node - 当前节点
+     * @param {Object} context - { role, visited, root, inReference, inContent, skipContent }
+     * @returns {{name: string, source: string|null}} 名称与来源
+     */
+    _computeName(node, context) {
+      const none = { name: '', source: null };
+      if (node.nodeType === 3) return { name: this._normalizeText(node.textContent), source: 'contents' };
+      if (node.nodeType !== 1 || context.visited.has(node)) return none;
+      context.visited.add(node);
+
+      const element = node;
+      const role = context.role || (element.getAttribute('role') || '').trim().split(/\s+/)[0] || this.getImplicitRole(element);
+      const childContext = Object.assign({}, context, { role: null, root: false });
+
+      // 隐藏节点不参与计算（被 aria-labelledby 直接引用时除外）
+      if (!context.inReference && !context.root && this._getHiddenReason(element)) return none;
+
+      if (!context.inReference) {
+        const refs = this._getReferencedElements(element, 'aria-labelledby');
+        if (refs.length > 0) {
+          const name = refs
+            .map((ref) => this._computeName(ref, Object.assign({}, childContext, { inReference: true })).name)
+            .filter(Boolean)
+            .join(' ');
+          if (name) return { name, source: 'aria-labelledby' };
+        }
+      }
+
+      const ariaLabel = this._normalizeText(element.getAttribute('aria-label'));
+      if (ariaLabel) return { name: ariaLabel, source: 'aria-label' };
+
+      if (role !== 'presentation' && role !== 'none') {
+        const native = this._getNativeName(element, childContext);
+        if (native) return native;
+      }
+
+      // 作为其他元素名称的一部分时，内嵌表单控件取其当前值
+      if (context.inContent || context.inReference) {
+        const tag = element.localName;
+        if (tag === 'input' && role === 'textbox') return { name: element.value, source: 'value' };
+        if (tag === 'textarea') return { name: element.value, source: 'value' };
+        if (tag === 'select') {
+          const selected = Array.from(element.selectedOptions || []).map((opt) => opt.textContent);
+          return { name: this._normalizeText(selected.join(' ')), source: 'value' };
+        }
+      }
+
+      const fromContent = !context.skipContent &&
+        (NAME_FROM_CONTENT_ROLES.has(role) || context.inContent || context.inReference);
+      if (fromContent) {
+        const contentContext = Object.assign({}, childContext, { inContent: true });
+        const parts = [this._getPseudoContent(element, '::before')];
+        const children = element.shadowRoot ? element.shadowRoot.childNodes : element.childNodes;
+        Array.from(children).forEach((child) => {
+          parts.push(this._computeName(child, contentContext).name);
+        });
+        parts.push(this._getPseudoContent(element, '::after'));
+        const name = this._normalizeText(parts.join(' '));
+        if (name) return { name, source: 'contents' };
+      }
+
+      const title = this._normalizeText(element.getAttribute('title'));
+      if (title) return { name: title, source: 'title' };
+
+      const placeholder = this._normalizeText(element.getAttribute('placeholder'));
+      if (placeholder && ['input', 'textarea'].includes(element.localName)) {
+        return { name: placeholder, source: 'placeholder' };
+      }
+
+      return none;
+    },
+
+    /**
+     * 原生 HTML 命名来源（label、alt、legend、caption 等）
+     *
+     * @param {Element} element - 目标元素
+     * @param {Object} context - 子节点计算上下文
+     * @returns {{name: string, source: string}|null}
+     */
+    _getNativeName(element, context) {
+      const tag = element.localName;
+      const contentContext = Object.assign({}, context, { inContent: true });
+      const fromChild = (selector, source) => {
+        const child = Array.from(element.children).find((item) => item.matches(selector));
+        const name = child ? this._computeName(child, contentContext).name : '';
+        return name ? { name, source } : null;
+      };
+
+      if (['input', 'select', 'textarea', 'meter', 'output', 'progress'].includes(tag)) {
+        const type = (element.getAttribute('type') || '').toLowerCase();
+        if (tag === 'input' && type === 'image') {
+          const alt = element.getAttribute('alt');
+          if (alt) return { name: this._normalizeText(alt), source: 'alt' };
+        }
+        if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+          const defaults = { submit: 'Submit', reset: 'Reset', button: '' };
+          const value = this._normalizeText(element.value) || defaults[type];
+          if (value) return { name: value, source: 'value' };
+        }
+        const labels = Array.from(element.labels || []);
+        const name = labels.map((label) => this._computeName(label, contentContext).name).filter(Boolean).join(' ');
+        if (name) return { name, source: 'label' };
+        return null;
+      }
+
+      if (tag === 'img' || tag === 'area') {
+        const alt = element.getAttribute('alt');
+        return alt ? { name: this._normalizeText(alt), source: 'alt' } : null;
+      }
+      if (tag === 'fieldset') return fromChild('legend', 'legend');
+      if (tag === 'figure') return fromChild('figcaption', 'figcaption');
+      if (tag === 'table') return fromChild('caption', 'caption');
+      if (tag === 'svg') {
+        const title = Array.from(element.children).find((item) => item.localName === 'title');
+        const name = title ? this._normalizeText(title.textContent) : '';
+        return name ? { name, source: 'svg title' } : null;
+      }
+      return null;
+    },
+
+    /**
+     * 获取 aria-labelledby / aria-describedby 引用的元素（在元素所在的 Document / ShadowRoot 内查找）
+     *
+     * @param {Element} element - 目标元素
+     * @param {string} attribute - 属性名
+     * @returns {Element[]} 引用的元素
+     */
+    _getReferencedElements(element, attribute) {
+      const ids = (element.getAttribute(attribute) || '').trim().split(/\s+/).filter(Boolean);
+      if (ids.length === 0) return [];
+      const root = this._getQueryRoot(element);
+      return ids
+        .map((id) => (root.getElementById ? root.getElementById(id) : root.querySelector(`#${CSS.escape(id)}`)))
+        .filter(Boolean);
+    },
+
+    /**
+     * 读取伪元素的 content 文本（仅处理字符串字面量）
+     *
+     * @param {Element} element - 目标元素
+     * @param {string} pseudo - '::before' | '::after'
+     * @returns {string} 伪元素文本
+     */
+    _getPseudoContent(element, pseudo) {
+      try {
+        const content = window.getComputedStyle(element, pseudo).content;
+        const match = /^"(.*)"$/.exec(content || '');
+        return match ? match[1] : '';
+      } catch (error) {
+        return '';
+      }
+    },
+
+    /**
+     * 合并空白并去除首尾空格
+     *
+     * @param {string} text - 原始文本
+     * @returns {string} 规范化后的文本
+     */
+    _normalizeText(text) {
+      return String(text || '').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * 判断元素是否从无障碍树中隐藏，返回原因
+     *
+     * 业务逻辑：
+     * 1. 自身或祖先（穿透 Shadow Root）带 aria-hidden="true" / inert / display: none
+     * 2. 自身 visibility 不为 visible（该属性会继承，无需检查祖先）
+     *
+     * @param {Element} element - 目标元素
+     * @returns {string|null} 隐藏原因（如 "aria-hidden @ div.modal"），未隐藏时为 null
+     */
+    _getHiddenReason(element) {
+      const describe = (reason, node) => (node === element ? reason : `${reason} @ ${this.generateSelector(node) || node.localName}`);
+
+      let node = element;
+      while (node && node.nodeType === 1) {
+        if (node.getAttribute('aria-hidden') === 'true') return describe('aria-hidden', node);
+        if (node.hasAttribute('inert')) return describe('inert', node);
+        const style = window.getComputedStyle(node);
+        if (style.display === 'none') return describe('display: none', node);
+        if (node === element && (style.visibility === 'hidden' || style.visibility === 'collapse')) {
+          return `visibility: ${style.visibility}`;
+        }
+        const parent = node.parentNode;
+        node = parent && parent.nodeType === 11 ? parent.host : parent;
+      }
+      return null;
+    },
+
+    /**
+     * 采集 ARIA 状态与原生状态
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object} 状态名（去掉 aria- 前缀）→ 值
+     */
+    _getAccessibilityStates(element) {
+      const states = {};
+      ARIA_STATE_ATTRIBUTES.forEach((attribute) => {
+        if (element.hasAttribute(attribute)) {
+          states[attribute.slice(5)] = element.getAttribute(attribute);
+        }
+      });
+
+      const tag = element.localName;
+      if (typeof element.matches === 'function' && element.matches(':disabled')) states.disabled = 'true';
+      if (tag === 'input' && ['checkbox', 'radio'].includes(element.type)) {
+        states.checked = element.indeterminate ? 'mixed' : String(element.checked);
+      }
+      if (element.required) states.required = 'true';
+      if (element.readOnly && ['input', 'textarea'].includes(tag)) states.readonly = 'true';
+      if ((tag === 'details' || tag === 'dialog') && !('expanded' in states)) states.expanded = String(element.open);
+      if (tag === 'option') states.selected = String(element.selected);
+      if (/^h[1-6]$/.test(tag) && !('level' in states)) states.level = tag.slice(1);
+      return states;
+    },
+
+    /**
+     * 判断元素是否可聚焦（原生可聚焦元素或带 tabindex，且未禁用）
+     *
+     * @param {Element} element - 目标元素
+     * @returns {boolean}
+     */
+    _isFocusable(element) {
+      if (typeof element.matches === 'function' && element.matches(':disabled')) return false;
+      if (element.hasAttribute('tabindex')) return true;
+      if (element.isContentEditable) return true;
+      const tag = element.localName;
+      if ((tag === 'a' || tag === 'area') && element.hasAttribute('href')) return true;
+      if (tag === 'input') return element.type !== 'hidden';
+      if (['button', 'select', 'textarea', 'iframe'].includes(tag)) return true;
+      if ((tag === 'audio' || tag === 'video') && element.hasAttribute('controls')) return true;
+      if (tag === 'summary') return Boolean(element.parentElement && element.parentElement.localName === 'details');
+      return false;
+    },
+
+    /**
+     * 计算文本颜色与有效背景色的对比度（WCAG 2）
+     *
+     * 业务逻辑：
+     * 1. 元素不含文本（表单控件看当前值）时返回 null
+     * 2. 从元素向上叠加半透明背景色，直到遇到不透明背景（默认白色画布）
+     * 3. 遇到背景图片或渐变时结果标记为 uncertain
+     * 4. 大号文本（≥ 24px，或 ≥ 18.66px 且加粗）：AA ≥ 3、AAA ≥ 4.5；普通文本：AA ≥ 4.5、AAA ≥ 7
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object|null} { foreground, background, ratio, largeText, aa, aaa, uncertain }
+     */
+    getContrast(element) {
+      const isControl = ['input', 'textarea', 'select'].includes(element.localName);
+      if (!(element.textContent || '').trim() && !(isControl && element.value)) return null;
+
+      const style = window.getComputedStyle(element);
+      const foreground = this._parseColor(style.color);
+      if (!foreground) return null;
+
+      const layers = [];
+      let uncertain = false;
+      let node = element;
+      while (node && node.nodeType === 1) {
+        const nodeStyle = window.getComputedStyle(node);
+        if (nodeStyle.backgroundImage && nodeStyle.backgroundImage !== 'none') {
+          uncertain = true;
+        }
+        const color = this._parseColor(nodeStyle.backgroundColor);
+        if (color && color.a > 0) {
+          layers.push(color);
+          if (color.a >= 1) break;
+        }
+        const parent = node.parentNode;
+        node = parent && parent.nodeType === 11 ? parent.host : parent;
+      }
+
+      const blend = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1
+      });
+      let background = { r: 255, g: 255, b: 255, a: 1 };
+      for (let i = layers.length - 1; i >= 0; i--) {
+        background = blend(layers[i], background);
+      }
+      const text = foreground.a < 1 ? blend(foreground, background) : foreground;
+
+      const luminance = (color) => {
+        const channel = (value) => {
+          const c = value / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+      };
+      const l1 = luminance(text);
+      const l2 = luminance(background);
+      const ratio = Math.round(((Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05)) * 100) / 100;
+
+      const fontSize = parseFloat(style.fontSize) || 16;
+      const fontWeight = parseInt(style.fontWeight, 10) || (style.fontWeight === 'bold' ? 700 : 400);
+      const largeText = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+      const toHex = (color) => `#${[color.r, color.g, color.b]
+        .map((value) => Math.round(value).toString(16).padStart(2, '0'))
+        .join('')}`;
+
+      return {
+        foreground: toHex(text),
+        background: toHex(background),
+        ratio,
+        largeText,
+        aa: ratio >= (largeText ? 3 : 4.5),
+        aaa: ratio >= (largeText ? 4.5 : 7),
+        uncertain
+      };
+    },
+
+    /**
+     * 解析计算样式中的颜色值（rgb / rgba / transparent）
+     *
+     * @param {string} value - 颜色字符串
+     * @returns {{r: number, g: number, b: number, a: number}|null}
+     */
+    _parseColor(value) {
+      if (!value) return null;
+      if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+      const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(value.trim());
+      if (!match) return null;
+      let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+      if (match[4] && match[4].endsWith('%')) alpha /= 100;
+      return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: alpha };
+    },
+
+    /**
+     * 检测渲染该元素的前端框架组件（React / Vue 2 / Vue 3 / Svelte / Angular）
+     *
+     * 业务逻辑：
+     * 1. 依次尝试各框架的元素内部属性 / 调试 API，命中第一个即返回
+     * 2. 返回组件名、组件栈（由内到外，最多 COMPONENT.MAX_DEPTH 层）与 props / state（已脱敏、截断）
+     * 3. 读取页面对象可能抛错（Proxy、权限），任一检测失败都不影响其他数据采集
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object|null} { framework, name, file, stack, props, state }
+     */
+    getComponentInfo(element) {
+      // Firefox 下通过 wrappedJSObject 读取页面设置的 expando 属性
+      const target = element.wrappedJSObject || element;
+      const detectors = [
+        () => this._detectReact(target),
+        () => this._detectVue3(target),
+        () => this._detectVue2(target),
+        () => this._detectSvelte(target),
+        () => this._detectAngular(element)
+      ];
+      for (const detect of detectors) {
+        try {
+          const info = detect();
+          if (info) return info;
+        } catch (error) {
+          // 忽略单个框架检测失败
+        }
+      }
+      return null;
+    },
+
+    /**
+     * React：读取 __reactFiber$ / __reactInternalInstance$ 上的 Fiber
+     *
+     * 组件栈优先沿 _debugOwner（开发构建）追溯，否则沿 return 父链追溯
+     */
+    _detectReact(element) {
+      const key = Object.keys(element).find((name) => name.startsWith('__reactFiber$') || name.startsWith('__reactInternalInstance$'));
+      if (!key) return null;
+
+      const hostFiber = element[key];
+      const isComponent = (fiber) => fiber && this._getReactName(fiber.type) !== null;
+      const parentComponent = (fiber) => {
+        let current = fiber ? fiber.return : null;
+        while (current && !isComponent(current)) current = current.return;
+        return current;
+      };
+
+      const useOwner = Boolean(hostFiber._debugOwner);
+      let fiber = useOwner ? hostFiber._debugOwner : parentComponent(hostFiber);
+      if (!fiber) return null;
+
+      const first = fiber;
+      const stack = [];
+      while (fiber && stack.length < Config.COMPONENT.MAX_DEPTH) {
+        stack.push({ name: this._getReactName(fiber.type) });
+        fiber = useOwner ? fiber._debugOwner : parentComponent(fiber);
+      }
+
+      let state = null;
+      if (first.stateNode && first.stateNode.state && typeof first.type === 'function' && first.type.prototype && first.type.prototype.isReactComponent) {
+        state = first.stateNode.state;
+      } else {
+        // 函数组件：按顺序读取 useState / useReducer hook 的当前值
+        state = {};
+        let hook = first.memoizedState;
+        let index = 0;
+        while (hook && typeof hook === 'object' && 'next' in hook && index < Config.COMPONENT.MAX_KEYS) {
+          if (hook.queue) state[`hook${index}`] = hook.memoizedState;
+          hook = hook.next;
+          index += 1;
+        }
+      }
+
+      return {
+        framework: 'react',
+        name: stack[0].name,
+        file: null,
+        stackType: useOwner ? 'owner' : 'parent',
+        stack,
+        props: this._sanitizeMap(first.memoizedProps),
+        state: this._sanitizeMap(state)
+      };
+    },
+
+    /**
+     * 获取 React 组件类型的显示名（非组件类型返回 null）
+     */
+    _getReactName(type) {
+      if (!type) return null;
+      if (typeof type === 'function') return type.displayName || type.name || 'Anonymous';
+      if (typeof type === 'object') {
+        if (type.displayName) return type.displayName;
+        if (type.render) return `ForwardRef(${type.render.displayName || type.render.name || ''})`;
+        if (type.type) return `Memo(${this._getReactName(type.type) || ''})`;
+      }
+      return null;
+    },
+
+    /**
+     * Vue 3：读取最近祖先元素上的 __vueParentComponent（组件实例）
+     */
+    _detectVue3(element) {
+      let node = element;
+      while (node && !node.__vueParentComponent) node = node.parentElement;
+      if (!node) return null;
+
+      const first = node.__vueParentComponent;
+      const describe = (instance) => {
+        const type = instance.type || {};
+        const file = type.__file || null;
+        return { name: type.name || type.__name || this._getFileBaseName(file) || 'Anonymous', file };
+      };
+
+      const stack = [];
+      let instance = first;
+      while (instance && stack.length < Config.COMPONENT.MAX_DEPTH) {
+        stack.push(describe(instance));
+        instance = instance.parent;
+      }
+
+      const state = Object.assign({}, first.data || {}, first.setupState || {});
+      return {
+        framework: 'vue3',
+        name: stack[0].name,
+        file: stack[0].file,
+        stackType: 'parent',
+        stack,
+        props: this._sanitizeMap(first.props),
+        state: this._sanitizeMap(state)
+      };
+    },
+
+    /**
+     * Vue 2：读取最近祖先元素上的 __vue__（组件根元素上的 vm）
+     */
+    _detectVue2(element) {
+      let node = element;
+      while (node && !node.__vue__) node = node.parentElement;
+      if (!node) return null;
+
+      const first = node.__vue__;
+      const describe = (vm) => {
+        const options = vm.$options || {};
+        const file = options.__file || null;
+        const isRoot = vm.$root === vm;
+        return { name: options.name || options._componentTag || this._getFileBaseName(file) || (isRoot ? 'Root' : 'Anonymous'), file };
+      };
+
+      const stack = [];
+      let vm = first;
+      while (vm && stack.length < Config.COMPONENT.MAX_DEPTH) {
+        stack.push(describe(vm));
+        vm = vm.$parent;
+      }
+
+      return {
+        framework: 'vue2',
+        name: stack[0].name,
+        file: stack[0].file,
+        stackType: 'parent',
+        stack,
+        props: this._sanitizeMap(first.$props),
+        state: this._sanitizeMap(first.$data)
+      };
+    },
+
+    /**
+     * Svelte：读取开发构建写入元素的 __svelte_meta（Svelte 5 带 parent 链）
+     */
+    _detectSvelte(element) {
+      const meta = element.__svelte_meta;
+      if (!meta || !meta.loc) return null;
+
+      const stack = [{ name: this._getFileBaseName(meta.loc.file) || 'Anonymous', file: meta.loc.file || null }];
+      let parent = meta.parent;
+      while (parent && stack.length < Config.COMPONENT.MAX_DEPTH) {
+        if (parent.type === 'component') {
+          stack.push({ name: parent.componentTag || this._getFileBaseName(parent.file) || 'Anonymous', file: parent.file || null });
+        }
+        parent = parent.parent;
+      }
+
+      return {
+        framework: 'svelte',
+        name: stack[0].name,
+        file: stack[0].file,
+        stackType: 'parent',
+        stack,
+        props: null,
+        state: null
+      };
+    },
+
+    /**
+     * Angular：使用开发模式下的全局 ng 调试 API
+     */
+    _detectAngular(element) {
+      const ng = pageWindow.ng;
+      if (!ng || typeof ng.getOwningComponent !== 'function') return null;
+
+      const first = (typeof ng.getComponent === 'function' && ng.getComponent(element)) || ng.getOwningComponent(element);
+      if (!first) return null;
+
+      const stack = [];
+      let component = first;
+      while (component && stack.length < Config.COMPONENT.MAX_DEPTH) {
+        stack.push({ name: (component.constructor && component.constructor.name) || 'Anonymous' });
+        const host = typeof ng.getHostElement === 'function' ? ng.getHostElement(component) : null;
+        const owner = host ? ng.getOwningComponent(host) : null;
+        component = owner && owner !== component ? owner : null;
+      }
+
+      // 输入属性来自指令元数据，其余自有字段视为组件状态
+      const metadata = typeof ng.getDirectiveMetadata === 'function' ? ng.getDirectiveMetadata(first) : null;
+      const inputNames = metadata && metadata.inputs ? Object.keys(metadata.inputs) : [];
+      const props = {};
+      const state = {};
+      Object.keys(first).forEach((name) => {
+        (inputNames.includes(name) ? props : state)[name] = first[name];
+      });
+
+      return {
+        framework: 'angular',
+        name: stack[0].name,
+        file: null,
+        stackType: 'owner',
+        stack,
+        props: this._sanitizeMap(props),
+        state: this._sanitizeMap(state)
+      };
+    },
+
+    /**
+     * 提取元素对应的源码位置（开发构建暴露的调试信息）
+     *
+     * 业务逻辑（按优先级）：
+     * 1. 构建插件写入的 data 属性（自身或最近祖先）：
+     *    react-dev-inspector（data-inspector-*）、code-inspector-plugin（data-insp-path）、
+     *    vite-plugin-vue-inspector（data-v-inspector）
+     * 2. React Fiber 的 _debugSource（宿主元素的 JSX 位置，其次是 owner 组件）
+     * 3. Svelte __svelte_meta.loc
+     * 4. Vue 组件的 __file（只有文件，无行号）
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object|null} { file, line, column, source }
+     */
+    getSourceLocation(element) {
+      const target = element.wrappedJSObject || element;
+      const parsePath = (value, source) => {
+        const match = /^(.*?):(\d+)(?::(\d+))?(?::[^:\\/]*)?$/.exec(value || '');
+        if (!match) return null;
+        return { file: match[1], line: Number(match[2]), column: match[3] ? Number(match[3]) : null, source };
+      };
+
+      for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const relativePath = node.getAttribute('data-inspector-relative-path');
+        if (relativePath) {
+          const line = Number(node.getAttribute('data-inspector-line')) || null;
+          const column = Number(node.getAttribute('data-inspector-column')) || null;
+          return { file: relativePath, line, column, source: 'data-inspector' };
+        }
+        const inspPath = parsePath(node.getAttribute('data-insp-path'), 'data-insp-path');
+        if (inspPath) return inspPath;
+        const vueInspector = parsePath(node.getAttribute('data-v-inspector'), 'data-v-inspector');
+        if (vueInspector) return vueInspector;
+      }
+
+      try {
+        const key = Object.keys(target).find((name) => name.startsWith('__reactFiber$') || name.startsWith('__reactInternalInstance$'));
+        const fiber = key ? target[key] : null;
+        const debugSource = fiber && (fiber._debugSource || (fiber._debugOwner && fiber._debugOwner._debugSource));
+        if (debugSource && debugSource.fileName) {
+          return {
+            file: debugSource.fileName,
+            line: debugSource.lineNumber || null,
+            column: debugSource.columnNumber || null,
+            source: 'react-debug-source'
+          };
+        }
+
+        const svelteMeta = target.__svelte_meta;
+        if (svelteMeta && svelteMeta.loc && svelteMeta.loc.file) {
+          // Svelte 3/4 的行号从 0 开始，Svelte 5（带 parent 链）从 1 开始
+          const offset = 'parent' in svelteMeta ? 0 : 1;
+          return {
+            file: svelteMeta.loc.file,
+            line: Number.isFinite(svelteMeta.loc.line) ? svelteMeta.loc.line + offset : null,
+            column: Number.isFinite(svelteMeta.loc.column) ? svelteMeta.loc.column + 1 : null,
+            source: 'svelte-meta'
+          };
+        }
+
+        for (let node = target; node; node = node.parentElement) {
+          const instance = node.__vueParentComponent;
+          const vm = node.__vue__;
+          const file = (instance && instance.type && instance.type.__file) || (vm && vm.$options && vm.$options.__file);
+          if (file) return { file, line: null, column: null, source: 'vue-file' };
+          if (instance || vm) break;
+        }
+      } catch (error) {
+        // 页面对象读取失败时视为无源码位置
+      }
+      return null;
+    },
+
+    /**
+     * 采集事件监听器（需开启监听器记录模式）
+     *
+     * 业务逻辑：
+     * 1. 元素自身的 addEventListener 记录与 on* 内联处理函数
+     * 2. 沿事件传播路径向上（穿透 Shadow Root，直到 document / window）收集祖先上的监听器，
+     *    用于排查事件委托与 stopPropagation
+     * 3. 总数不超过 LISTENERS.MAX_RECORDS
+     *
+     * @param {Element} element - 目标元素
+     * @returns {Object[]|null} 监听器列表（未开启记录模式时为 null）
+     */
+    getListeners(element) {
+      if (!ListenerRegistry.isInstalled) return null;
+
+      const result = [];
+      const push = (target, records) => {
+        records.forEach((record) => {
+          if (result.length < Config.LISTENERS.MAX_RECORDS) result.push(Object.assign({ target }, record));
+        });
+      };
+
+      // 内联处理函数（onclick 属性或属性赋值）不经过 addEventListener
+      const inline = [];
+      for (const key in element) {
+        if (!key.startsWith('on')) continue;
+        let handler;
+        try {
+          handler = element[key];
+        } catch (error) {
+          continue;
+        }
+        if (typeof handler === 'function') {
+          inline.push(Object.assign(
+            { type: key.slice(2), capture: false, passive: null, once: false, inline: true },
+            ListenerRegistry.describeListener(handler)
+          ));
+        }
+      }
+      push('self', ListenerRegistry.getRecords(element).concat(inline));
+
+      let node = element.parentNode;
+      while (node && result.length < Config.LISTENERS.MAX_RECORDS) {
+        let label;
+        if (node.nodeType === 9) label = 'document';
+        else if (node.nodeType === 11) label = '#shadow-root';
+        else label = this.generateSelector(node) || node.localName;
+        push(label, ListenerRegistry.getRecords(node));
+        node = node.nodeType === 11 ? node.host : node.parentNode;
+      }
+      push('window', ListenerRegistry.getRecords(window));
+
+      return result;
+    },
+
+    /**
+     * 从源码路径中取不带扩展名的文件名（如 src/Card.vue → Card）
+     */
+    _getFileBaseName(file) {
+      if (typeof file !== 'string' || !file) return '';
+      return file.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+    },
+
+    /**
+     * 将 props / state 对象转为可序列化的摘要
+     *
+     * 业务逻辑：
+     * 1. 最多保留 COMPONENT.MAX_KEYS 个键
+     * 2. 疑似敏感字段（password、token、secret 等）的值替换为 [redacted]
+     * 3. 值统一转为字符串摘要并截断到 COMPONENT.MAX_VALUE_LENGTH
+     *
+     * @param {Object} source - props / state 对象
+     * @returns {Object|null} 键 → 摘要字符串
+     */
+    _sanitizeMap(source) {
+      if (!source || typeof source !== 'object') return null;
+      const result = {};
+      const keys = Object.keys(source).slice(0, Config.COMPONENT.MAX_KEYS);
+      keys.forEach((key) => {
+        if (/pass(word)?|secret|token|auth|credential|api[-_]?key|cookie|session/i.test(key)) {
+          result[key] = '[redacted]';
+          return;
+        }
+        let value;
+        try {
+          value = source[key];
+        } catch (error) {
+          value = undefined;
+        }
+        result[key] = this._truncateString(this._describeValue(value), Config.COMPONENT.MAX_VALUE_LENGTH);
+      });
+      return result;
+    },
+
+    /**
+     * 生成单个值的字符串摘要（不展开深层结构）
+     */
+    _describeValue(value) {
+      if (value === null) return 'null';
+      if (value === undefined) return 'undefined';
+      const type = typeof value;
+      if (type === 'string') return JSON.stringify(value);
+      if (type === 'number' || type === 'boolean' || type === 'bigint') return String(value);
+      if (type === 'symbol') return value.toString();
+      if (type === 'function') return `ƒ ${value.name || 'anonymous'}()`;
+      if (value.$$typeof) return '<ReactElement>';
+      if (value.nodeType === 1) return `<${value.localName}>`;
+      if (Array.isArray(value)) return `Array(${value.length})`;
+      try {
+        const keys = Object.keys(value);
+        const preview = keys.slice(0, 5).join(', ');
+        return `{${preview}${keys.length > 5 ? ', …' : ''}}`;
+      } catch (error) {
+        return '[object]';
+      }
+    },
+
+    /**
+     * 主采集函数
+     */
+    collect(element) {
+      if (!element || element.nodeType !== 1 || !element.tagName) return null;
+
+      const tagName = element.tagName.toLowerCase();
+      const className = this.getClassName(element);
+
+      const attributes = {};
+      if (element.attributes && element.attributes.length) {
+        for (const attr of element.attributes) {
+          attributes[attr.name] = attr.value;
+        }
+      }
+
+      const textContent = this._truncateString(element.textContent || '', Config.TEXT_LIMITS.textContent);
+      const innerHTML = this._truncateString(element.innerHTML || '', Config.TEXT_LIMITS.innerHTML);
+      const outerHTML = this._truncateString(element.outerHTML || '', Config.TEXT_LIMITS.outerHTML);
+
+      const xpath = this.generateXPath(element);
+      const cssSelector = this.generateSelector(element) || (xpath ? `xpath:${xpath}` : '');
+      const selectorCandidates = this.getSelectorCandidates(element);
+
+      // Shadow DOM 内的元素：附带宿主链与 >>> 穿透选择器（cssSelector / xpath 仅在所在 shadow root 内有效）
+      const shadowPath = this.getShadowPath(element);
+      const inShadow = shadowPath.length > 1;
+
+      const rect = typeof element.getBoundingClientRect === 'function' ? element.getBoundingClientRect() : null;
+      const boundingRect = rect ? {
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height,
+        top: rect.top,
+        left: rect.left,
+        right: rect.right,
+        bottom: rect.bottom
+      } : null;
+
+      const parent = element.parentElement;
+      const parentContext = parent ? {
+        tagName: parent.tagName ? parent.tagName.toLowerCase() : '',
+        id: parent.id || '',
+        className: this.getClassName(parent)
+      } : null;
+
+      // 差异模式下沙箱不可用（如 CSP 禁止 iframe）时退回白名单
+      const styleDiff = Config.STYLE_PROFILE === 'diff' ? this.collectStyleDiff(element) : null;
+      const styleProfile = styleDiff ? 'diff' : 'compact';
+      const computedStyles = styleDiff || this.collectStyles(element);
+
+      const data = {
+        tagName,
+        id: element.id || '',
+        className,
+        attributes,
+        textContent,
+        innerHTML,
+        outerHTML,
+        cssSelector,
+        xpath,
+        selectorCandidates,
+        styleProfile,
+        computedStyles,
+        matchedRules: this.getMatchedRules(element),
+        boundingRect,
+        boxModel: this.getBoxModel(element),
+        accessibility: this.getAccessibility(element),
+        component: this.getComponentInfo(element),
+        sourceLocation: this.getSourceLocation(element),
+        listeners: this.getListeners(element),
+        shadowPath: inShadow ? shadowPath : null,
+        piercingSelector: inShadow ? shadowPath.join(' >>> ') : null,
+        parentContext
+      };
+
+      return this.truncateToFit(data);
+    }
+  };
+
+  /**
+   * Transport 模块 - WebSocket 通信
+   */
+  const Transport = {
+    ws: null,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    isManualClose: false,
+    pendingAcks: new Map(), // messageId → { historyId, successMessage, timer }
+    tabId: `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, // 本页面的标签页 ID（Bridge 据此定向下发命令）
+
+    /**
+     * 设置连接状态（避免重复更新）
+     *
+     * @param {string} nextState - DISCONNECTED | CONNECTING | CONNECTED
+     */
+    setState(nextState) {
+      if (State.connectionState === nextState) {
+        return;
+      }
+      State.connectionState = nextState;
+    },
+
+    /**
+     * 重置重连计数器和定时器
+     */
+    resetReconnect() {
+      this.reconnectAttempts = 0;
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+    },
+
+    /**
+     * 连接 WebSocket 服务器
+     *
+     * 业务逻辑：
+     * 1. 防重入检查（仅在 DISCONNECTED 状态下连接）
+     * 2. 设置 isManualClose = false（标记为自动连接）
+     * 3. 创建 WebSocket 并注册事件监听器
+     * 4. open: 切换到 CONNECTED，重置重连计数
+     * 5. close/error: 切换到 DISCONNECTED，非手动关闭则自动重连
+     */
+    connect() {
+      if (State.connectionState !== 'DISCONNECTED') {
+        return;
+      }
+
+      this.isManualClose = false;
+      this.setState('CONNECTING');
+
+      try {
+        this.ws = new WebSocket(Config.WS_URL);
+      } catch (error) {
+        this.setState('DISCONNECTED');
+        this.scheduleReconnect();
+        return;
+      }
+
+      this.ws.addEventListener('open', () => {
+        this.setState('CONNECTED');
+        this.resetReconnect();
+        this.sendHello();
+        this.flushQueue();
+        // 连接成功后检查域名状态，自动恢复 Inspector
+        if (getDomainActive() && !Inspector.isActive) {
+          activateInspector();
+        }
+      });
+
+      this.ws.addEventListener('close', () => {
+        this.ws = null;
+        this.setState('DISCONNECTED');
+        // 断开期间 Inspector 保持激活，选中内容进入离线队列，重连后补发
+        // 每次连接失败都继续调度，次数由 reconnectAttempts / MAX_RETRIES 限制
+        if (!this.isManualClose) {
+          this.scheduleReconnect();
+        }
+      });
+
+      this.ws.addEventListener('error', () => {
+        if (this.ws) {
+          try {
+            this.ws.close();
+          } catch (error) {
+            // 忽略关闭失败
+          }
+        }
+      });
+
+      this.ws.addEventListener('message', (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+        if (message && message.type === 'ack') {
+          this.handleAck(message);
+        } else if (message && message.type === 'command') {
+          PageCommands.run(message);
+        }
+      });
+    },
+
+    /**
+     * 向 Bridge 登记本标签页（连接建立、页面获得焦点及页面命令设置变化时发送，Bridge 默认向最近获得焦点的标签页下发命令）
+     *
+     * 开启页面命令时附带 COMMANDS.TOKEN，Bridge 只把密钥有效的标签页登记为命令目标
+     */
+    sendHello() {
+      this.write({
+        type: 'hello',
+        tabId: this.tabId,
+        url: location.href,
+        title: document.title,
+        focused: document.hasFocus(),
+        commandToken: PageCommands.isEnabled() ? Config.COMMANDS.TOKEN : ''
+      });
+    },
+
+    /**
+     * 登记等待回执的消息
+     *
+     * @param {string} messageId - 消息 ID
+     * @param {string|null} historyId - 对应的历史记录 ID（其他域名补发的消息为 null）
+     */
+    trackAck(messageId, historyId) {
+      const timer = setTimeout(() => this.expireAck(messageId), Config.ACK_TIMEOUT);
+      this.pendingAcks.set(messageId, { historyId, successMessage: null, timer });
+    },
+
+    /**
+     * 为等待回执的消息设置成功提示（收到回执后与投递结果一起显示）
+     *
+     * @param {string} messageId - 消息 ID
+     * @param {string} successMessage - 发送成功时的提示文本
+     */
+    awaitAck(messageId, successMessage) {
+      const pending = this.pendingAcks.get(messageId);
+      if (pending) pending.successMessage = successMessage;
+    },
+
+    /**
+     * 回执超时：Bridge 不支持回执（旧版本）或连接已断开，按已发送提示
+     */
+    expireAck(messageId) {
+      const pending = this.pendingAcks.get(messageId);
+      if (!pending) return;
+      this.pendingAcks.delete(messageId);
+      if (pending.successMessage) UI.showToast(pending.successMessage, 'success');
+    },
+
+    /**
+     * 处理 Bridge 回执
+     *
+     * 业务逻辑：
+     * 1. 粘贴与 MCP 转发都失败：错误提示，历史记录标记为 undelivered
+     * 2. 已投递但 MCP 路由失败（多个活跃客户端冲突 / 心跳超时）：警告提示并附上原因
+     * 3. 投递成功：在调用方的成功提示后附上投递去向；队列补发的消息只提示失败
+     *
+     * @param {Object} ack - { id, duplicate, pasted, pasteError, routedTo, routing, routingError }
+     */
+    handleAck(ack) {
+      const pending = this.pendingAcks.get(ack.id);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      this.pendingAcks.delete(ack.id);
+
+      const base = pending.successMessage;
+      if (ack.duplicate) {
+        if (base) UI.showToast(`${base} (already received)`, 'success');
+        return;
+      }
+
+      const channels = [];
+      if (ack.pasted) channels.push('pasted');
+      if (ack.routedTo) channels.push(`MCP → ${ack.routedTo}`);
+
+      if (channels.length === 0) {
+        const reasons = [ack.pasteError, ack.routingError].filter(Boolean).join('; ');
+        UI.showToast(`Bridge could not deliver: ${reasons || 'no target'}`, 'error');
+        if (pending.historyId) PickHistory.update(pending.historyId, { status: 'undelivered' });
+        return;
+      }
+
+      const summary = `${base || 'Delivered'} (${channels.join(', ')})`;
+      if (!ack.routedTo && (ack.routing === 'conflict' || ack.routing === 'timeout')) {
+        UI.showToast(`${summary}; ${ack.routingError}`, 'warning');
+      } else if (base) {
+        UI.showToast(summary, 'success');
+      }
+    },
+
+    /**
+     * 调度自动重连（指数退避策略）
+     *
+     * 业务逻辑：
+     * - 重连间隔: RETRY_INTERVAL * 2^attempts
+     * - 最大重试次数: MAX_RETRIES (5 次)
+     * - 超过最大次数后停止重连
+     */
+    scheduleReconnect() {
+      if (this.reconnectAttempts >= Config.MAX_RETRIES) {
+        return;
+      }
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      const delay = Config.RETRY_INTERVAL * Math.pow(2, this.reconnectAttempts);
+      this.reconnectAttempts += 1;
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect();
+      }, delay);
+    },
+
+    /**
+     * 发送元素数据到服务器
+     *
+     * @param {Object} elementData - Collector.collect() 返回的元素数据
+     * @returns {string} 发送结果（见 send）
+     */
+    sendElement(elementData) {
+      return this.send('element_selected', elementData || null);
+    },
+
+    /**
+     * 发送多选元素数据到服务器（单条消息，数组按选择顺序排列）
+     *
+     * @param {Object[]} elementList - Collector.collect() 返回的元素数据数组
+     * @returns {string} 发送结果（见 send）
+     */
+    sendElements(elementList) {
+      return this.send('elements_selected', Array.isArray(elementList) ? elementList : []);
+    },
+
+    /**
+     * 发送框选区域数据到服务器
+     *
+     * @param {Object} regionData - Collector.collectRegion() 返回的区域数据
+     * @returns {string} 发送结果（见 send）
+     */
+    sendRegion(regionData) {
+      return this.send('region_selected', regionData || null);
+    },
+
+    /**
+     * 发送文本选区数据到服务器
+     *
+     * @param {Object} textData - Collector.collectTextSelection() 返回的选区数据
+     * @returns {string} 发送结果（见 send）
+     */
+    sendText(textData) {
+      return this.send('text_selected', textData || null);
+    },
+
+    /**
+     * 分片发送图片（元素截图）
+     *
+     * 业务逻辑：
+     * 1. 为图片生成客户端 ID，元素数据以 screenshotId 引用
+     * 2. base64 内容按 CHUNK_SIZE 拆成多条 image_chunk 消息，由 Bridge 重组落盘
+     * 3. 图片不进入离线队列：任一分片发送失败时放弃整张图片，元素数据不再引用截图
+     *
+     * @param {string} dataUrl - 图片 data URL
+     * @returns {string|null} 图片 ID（data URL 无效或分片发送失败时为 null）
+     */
+    sendImage(dataUrl) {
+      const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl || '');
+      if (!match) return null;
+
+      const [, mimeType, base64] = match;
+      const id = `shot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      const size = Config.SCREENSHOT.CHUNK_SIZE;
+      const total = Math.max(1, Math.ceil(base64.length / size));
+      for (let index = 0; index < total; index++) {
+        const status = this.send('image_chunk', {
+          id,
+          index,
+          total,
+          mimeType,
+          chunk: base64.slice(index * size, (index + 1) * size)
+        });
+        if (status === 'failed') return null;
+      }
+      return id;
+    },
+
+    /**
+     * 发送带类型的消息到服务器
+     *
+     * 业务逻辑：
+     * 1. 子 frame 经 FrameBridge 转交顶层窗口
+     * 2. 选中类消息附带客户端生成的消息 ID（Bridge 据此去重）与最近的页面错误（ErrorCapture 启用时）；
+     *    未连接时写入离线队列，连接后按顺序补发
+     * 3. 选中类消息写入历史记录（重新发送时更新原记录的状态），并记为最近一次选中
+     *
+     * @param {string} type - 消息类型（element_selected | elements_selected | region_selected | text_selected | image_chunk）
+     * @param {*} data - 消息数据
+     * @param {Object} [options] - historyId: 重新发送历史记录时传入，更新原记录而非新增
+     * @returns {string} sent | queued | relayed（子 frame 已转交）| failed（非选中类消息在未连接时直接丢弃）
+     */
+    send(type, data, options = {}) {
+      if (!IS_TOP_FRAME) {
+        FrameBridge.relay(type, data);
+        return 'relayed';
+      }
+
+      const payload = {
+        type,
+        timestamp: new Date().toISOString(),
+        data
+      };
+
+      if (!SELECTION_MESSAGE_TYPES.includes(type)) {
+        return this.write(payload) ? 'sent' : 'failed';
+      }
+
+      payload.id = `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      const pageErrors = ErrorCapture.getRecent();
+      if (pageErrors && pageErrors.length > 0) payload.pageErrors = pageErrors;
+      const status = this.write(payload) ? 'sent' : 'queued';
+
+      let historyId = options.historyId;
+      if (historyId && PickHistory.get(historyId)) {
+        PickHistory.update(historyId, { status, time: Date.now() });
+      } else {
+        historyId = PickHistory.add(type, data, status);
+      }
+      State.lastCollectedData = { type, data, historyId, messageId: payload.id };
+
+      if (status === 'queued') {
+        this.enqueue(payload, historyId);
+      } else {
+        this.trackAck(payload.id, historyId);
+      }
+      return status;
+    },
+
+    /**
+     * 写入 WebSocket
+     *
+     * @param {Object} payload - 完整消息
+     * @returns {boolean} 是否已写入
+     */
+    write(payload) {
+      if (State.connectionState !== 'CONNECTED' || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        return false;
+      }
+      try {
+        this.ws.send(JSON.stringify(payload));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * 读取离线队列（所有域名共用，按入队顺序排列）
+     *
+     * @returns {Array<{payload, historyId, host}>}
+     */
+    getQueue() {
+      const queue = GM_getValue(OUTBOX_KEY, null);
+      return Array.isArray(queue) ? queue : [];
+    },
+
+    /**
+     * 写入离线队列并刷新 Ghost 按钮上的排队数量
+     */
+    saveQueue(queue) {
+      GM_setValue(OUTBOX_KEY, queue);
+      if (UI.updateQueueBadge) UI.updateQueueBadge(queue.length);
+    },
+
+    /**
+     * 消息入队（超出 QUEUE.MAX_MESSAGES 时丢弃最早的消息，并将其历史记录标记为 failed）
+     *
+     * 没有等待中的重连时（如已用完 MAX_RETRIES）立即重新发起连接，连接成功后补发队列
+     *
+     * @param {Object} payload - 带消息 ID 的完整消息
+     * @param {string} historyId - 对应的历史记录 ID
+     */
+    enqueue(payload, historyId) {
+      const queue = this.getQueue().concat({ payload, historyId, host: location.hostname });
+      const overflow = Math.max(0, queue.length - Config.QUEUE.MAX_MESSAGES);
+      queue.splice(0, overflow).forEach((item) => {
+        console.warn(`[Web Inspector] 离线队列已满，丢弃消息 ${item.payload.id}`);
+        if (item.host === location.hostname) PickHistory.update(item.historyId, { status: 'failed' });
+      });
+      this.saveQueue(queue);
+
+      if (!this.reconnectTimer && State.connectionState === 'DISCONNECTED' && !this.isManualClose) {
+        this.reconnectAttempts = 0;
+        this.connect();
+      }
+    },
+
+    /**
+     * 按入队顺序补发离线队列（连接建立后调用）
+     *
+     * 业务逻辑：
+     * 1. 逐条写入 WebSocket，写入失败时停止，剩余消息留待下次连接
+     * 2. 补发成功的消息对应的历史记录（当前域名）标记为 sent
+     * 3. 写回时重新读取队列、只移除已补发的消息，不覆盖其他标签页在补发期间入队的消息
+     * 4. 多个标签页同时补发时由 Bridge 按消息 ID 去重
+     */
+    flushQueue() {
+      const queue = this.getQueue();
+      if (queue.length === 0) return;
+
+      const flushedIds = new Set();
+      for (const item of queue) {
+        if (!this.write(item.payload)) break;
+        const isLocal = item.host === location.hostname;
+        flushedIds.add(item.payload.id);
+        if (isLocal) PickHistory.update(item.historyId, { status: 'sent' });
+        this.trackAck(item.payload.id, isLocal ? item.historyId : null);
+      }
+
+      this.saveQueue(this.getQueue().filter((item) => !flushedIds.has(item.payload.id)));
+      const flushed = flushedIds.size;
+      if (flushed > 0) {
+        UI.showToast(`Flushed ${flushed} queued pick${flushed > 1 ? 's' : ''} to Bridge`, 'success');
+      }
+    },
+
+    /**
+     * 发送 ping 心跳包（Codex Review 新增）
+     */
+    sendPing() {
+      if (State.connectionState !== 'CONNECTED' || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      try {
+        this.ws.send(JSON.stringify({ type: 'ping' }));
+      } catch (error) {
+        // 忽略发送失败
+      }
+    },
+
+    /**
+     * 手动断开连接（TD12: 使用 isManualClose 阻止自动重连）
+     *
+     * 业务逻辑：
+     * 1. 设置 isManualClose = true（阻止 close 事件触发自动重连）
+     * 2. 清除重连定时器
+     * 3. 关闭 WebSocket 连接
+     * 4. 切换到 DISCONNECTED 状态
+     */
+    disconnect() {
+      this.isManualClose = true;
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      if (this.ws) {
+        try {
+          this.ws.close();
+        } catch (error) {
+          // 忽略关闭失败
+        }
+        this.ws = null;
+      }
+      this.setState('DISCONNECTED');
+    }
+  };
+
+  /**
+   * ListenerRegistry 模块 - 事件监听器记录（可选模式，需在 document-start 安装）
+   *
+   * 业务逻辑：
+   * 1. 包装页面 EventTarget.prototype 的 addEventListener / removeEventListener
+   * 2. 按目标对象记录监听器（WeakMap，不阻止页面对象被回收）：事件类型、capture / passive / once、
+   *    处理函数名与源码片段；removeEventListener 与 AbortSignal 中止时同步删除记录
+   * 3. 脚本自身注册在 window / document 上的处理函数通过 markOwn 排除
+   * 4. 包装函数同时装在页面 window 上；严格模式下裸调用全局 addEventListener(...) 时 this 为空，按页面 window 记录
+   *
+   * 限制：once 监听器触发后不会从记录中移除；安装前（页面脚本先于本脚本执行时）注册的监听器无法记录
+   */
+  const ListenerRegistry = {
+    isInstalled: false,
+    records: new WeakMap(),
+    ownListeners: new WeakSet(),
+
+    /**
+     * 是否启用记录模式（菜单切换，刷新页面后生效）
+     *
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return GM_getValue('listenerRegistry', false);
+    },
+
+    /**
+     * 标记脚本自身的处理函数，不计入记录
+     *
+     * @param {Function} listener - 处理函数
+     * @returns {Function} 原处理函数
+     */
+    markOwn(listener) {
+      if (listener) this.ownListeners.add(listener);
+      return listener;
+    },
+
+    /**
+     * 包装页面的 addEventListener / removeEventListener
+     */
+    install() {
+      if (this.isInstalled) return;
+      const proto = pageWindow.EventTarget && pageWindow.EventTarget.prototype;
+      if (!proto) return;
+      this.isInstalled = true;
+
+      const registry = this;
+      const nativeAdd = proto.addEventListener;
+      const nativeRemove = proto.removeEventListener;
+      // Firefox 下替换页面原型上的函数需要 exportFunction
+      const expose = typeof exportFunction === 'function'
+        ? (fn) => exportFunction(fn, pageWindow)
+        : (fn) => fn;
+
+      // 严格模式页面脚本直接调用全局 addEventListener(...) 时 this 为 undefined，实际目标是页面 window
+      proto.addEventListener = expose(function addEventListener(type, listener, options) {
+        const target = this == null ? pageWindow : this;
+        try {
+          registry.add(target, type, listener, options);
+        } catch (error) {
+          // 记录失败不影响页面注册监听器
+        }
+        return nativeAdd.call(target, type, listener, options);
+      });
+      proto.removeEventListener = expose(function removeEventListener(type, listener, options) {
+        const target = this == null ? pageWindow : this;
+        try {
+          registry.remove(target, type, listener, options);
+        } catch (error) {
+          // 忽略
+        }
+        return nativeRemove.call(target, type, listener, options);
+      });
+
+      // 全局调用按名称在页面 window 上解析，同样装上包装函数，避免某些环境下 window 自身属性绕过原型
+      try {
+        pageWindow.addEventListener = proto.addEventListener;
+        pageWindow.removeEventListener = proto.removeEventListener;
+      } catch (error) {
+        // 只读时仍可通过原型记录
+      }
+    },
+
+    /**
+     * 记录一次 addEventListener 调用（同一 type + listener + capture 只记录一次，与浏览器去重规则一致）
+     */
+    add(target, type, listener, options) {
+      if (!target || !listener || this.ownListeners.has(listener)) return;
+      const normalized = typeof options === 'boolean' ? { capture: options } : (options || {});
+      const capture = Boolean(normalized.capture);
+
+      let list = this.records.get(target);
+      if (!list) {
+        list = [];
+        this.records.set(target, list);
+      }
+      if (list.some((record) => record.type === type && record.listener === listener && record.capture === capture)) {
+        return;
+      }
+
+      list.push(Object.assign({
+        type: String(type),
+        capture,
+        passive: normalized.passive === undefined ? null : Boolean(normalized.passive),
+        once: Boolean(normalized.once),
+        listener
+      }, this.describeListener(listener)));
+
+      if (normalized.signal && typeof normalized.signal.addEventListener === 'function') {
+        const onAbort = this.markOwn(() => this.remove(target, type, listener, { capture }));
+        normalized.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    },
+
+    /**
+     * 删除一次 removeEventListener 对应的记录
+     */
+    remove(target, type, listener, options) {
+      const list = this.records.get(target);
+      if (!list) return;
+      const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+      const index = list.findIndex((record) => record.type === type && record.listener === listener && record.capture === capture);
+      if (index !== -1) list.splice(index, 1);
+    },
+
+    /**
+     * 生成处理函数的名称与源码片段
+     *
+     * @param {Function|Object} listener - 处理函数或带 handleEvent 的对象
+     * @returns {{name: string, source: string}}
+     */
+    describeListener(listener) {
+      const fn = typeof listener === 'function' ? listener : listener.handleEvent;
+      if (typeof fn !== 'function') return { name: '(handleEvent object)', source: '' };
+      let source = '';
+      try {
+        source = Function.prototype.toString.call(fn).replace(/\s+/g, ' ').trim();
+      } catch (error) {
+        source = '';
+      }
+      const name = fn.name || '(anonymous)';
+      return {
+        name: typeof listener === 'function' ? name : `handleEvent: ${name}`,
+        source: source.length > Config.LISTENERS.SOURCE_LENGTH
+          ? `${source.slice(0, Config.LISTENERS.SOURCE_LENGTH)}…`
+          : source
+      };
+    },
+
+    /**
+     * 获取目标上记录的监听器（不含函数引用，可直接序列化）
+     *
+     * @param {EventTarget} target - 目标对象
+     * @returns {Object[]} 监听器记录
+     */
+    getRecords(target) {
+      const list = this.records.get(target.wrappedJSObject || target) || this.records.get(target) || [];
+      return list.map(({ listener, ...record }) => record);
+    }
+  };
+
+  /**
+   * ErrorCapture 模块 - 控制台与网络错误记录（可选模式，需在 document-start 安装）
+   *
+   * 业务逻辑：
+   * 1. 包装页面的 console.error / console.warn、fetch 与 XMLHttpRequest，监听未捕获异常、未处理的 Promise 拒绝与资源加载失败
+   * 2. 失败请求记录方法、URL、状态码与耗时（fetch 被拒绝或 XHR 状态为 0 时状态码为 0）
+   * 3. 记录写入容量为 ERROR_CAPTURE.MAX_ENTRIES 的环形缓冲区，连续重复的消息合并计数
+   * 4. 所有 URL 的查询参数值替换为 ***，避免 token 等敏感信息随选中内容发出
+   */
+  const ErrorCapture = {
+    isInstalled: false,
+    entries: [],
+
+    /**
+     * 是否启用错误记录（菜单切换，刷新页面后生效）
+     *
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return GM_getValue('errorCapture', false);
+    },
+
+    /**
+     * 安装页面钩子
+     */
+    install() {
+      if (this.isInstalled) return;
+      this.isInstalled = true;
+
+      const capture = this;
+      // Firefox 下替换页面对象上的函数需要 exportFunction
+      const expose = typeof exportFunction === 'function'
+        ? (fn) => exportFunction(fn, pageWindow)
+        : (fn) => fn;
+
+      ['error', 'warn'].forEach((level) => {
+        const nativeLog = pageWindow.console && pageWindow.console[level];
+        if (typeof nativeLog !== 'function') return;
+        pageWindow.console[level] = expose(function (...args) {
+          try {
+            capture.recordConsole(level, args);
+          } catch (error) {
+            // 记录失败不影响页面输出日志
+          }
+          return nativeLog.apply(this, args);
+        });
+      });
+
+      // 捕获阶段的 error 事件同时包含资源（img / script / link）加载失败
+      pageWindow.addEventListener('error', ListenerRegistry.markOwn((event) => {
+        const target = event.target;
+        if (target && target !== pageWindow && target.tagName) {
+          capture.record({
+            kind: 'resource',
+            message: `Failed to load <${target.tagName.toLowerCase()}>`,
+            url: capture.redactUrl(target.currentSrc || target.src || target.href || '')
+          });
+          return;
+        }
+        capture.record({
+          kind: 'exception',
+          message: event.error ? capture.describe(event.error) : String(event.message || 'Script error'),
+          source: event.filename ? `${capture.redactUrl(event.filename)}:${event.lineno}:${event.colno}` : ''
+        });
+      }), true);
+
+      pageWindow.addEventListener('unhandledrejection', ListenerRegistry.markOwn((event) => {
+        capture.record({ kind: 'rejection', message: capture.describe(event.reason) });
+      }));
+
+      this.installFetch(expose);
+      this.installXhr(expose);
+    },
+
+    /**
+     * 包装 fetch：返回原始 Promise，另行观察结果
+     */
+    installFetch(expose) {
+      const nativeFetch = pageWindow.fetch;
+      if (typeof nativeFetch !== 'function') return;
+
+      const capture = this;
+      pageWindow.fetch = expose(function fetch(input, init) {
+        const promise = nativeFetch.apply(this, arguments);
+        try {
+          const start = Date.now();
+          const request = input && typeof input === 'object' && 'url' in input ? input : null;
+          const url = request ? request.url : String(input);
+          const method = String((init && init.method) || (request && request.method) || 'GET').toUpperCase();
+          promise.then((response) => {
+            if (!response.ok) {
+              capture.recordRequest('fetch', method, url, response.status, Date.now() - start, response.statusText);
+            }
+          }, (error) => {
+            if (error && error.name === 'AbortError') return;
+            capture.recordRequest('fetch', method, url, 0, Date.now() - start, capture.describe(error));
+          });
+        } catch (error) {
+          // 记录失败不影响页面请求
+        }
+        return promise;
+      });
+    },
+
+    /**
+     * 包装 XMLHttpRequest：open 时记录方法与 URL，send 时计时，loadend 时检查状态码
+     */
+    installXhr(expose) {
+      const proto = pageWindow.XMLHttpRequest && pageWindow.XMLHttpRequest.prototype;
+      if (!proto) return;
+
+      const capture = this;
+      const requests = new WeakMap();
+      const nativeOpen = proto.open;
+      const nativeSend = proto.send;
+
+      proto.open = expose(function open(method, url) {
+        requests.set(this, { method: String(method || 'GET').toUpperCase(), url: String(url) });
+        return nativeOpen.apply(this, arguments);
+      });
+      proto.send = expose(function send() {
+        const request = requests.get(this);
+        if (request) {
+          const start = Date.now();
+          const xhr = this;
+          xhr.addEventListener('loadend', ListenerRegistry.markOwn(() => {
+            if (xhr.status === 0 || xhr.status >= 400) {
+              capture.recordRequest('xhr', request.method, request.url, xhr.status, Date.now() - start, xhr.statusText);
+            }
+          }));
+        }
+        return nativeSend.apply(this, arguments);
+      });
+    },
+
+    /**
+     * 记录一次 console.error / console.warn（忽略脚本自身的日志）
+     */
+    recordConsole(level, args) {
+      const message = args.map((arg) => (typeof arg === 'string' ? arg : this.describe(arg))).join(' ');
+      if (message.startsWith('[Web Inspector]')) return;
+      this.record({ kind: `console.${level}`, message });
+    },
+
+    /**
+     * 记录一次失败请求
+     */
+    recordRequest(api, method, url, status, duration, statusText) {
+      this.record({
+        kind: 'network',
+        message: `${method} ${status || 'failed'}${statusText ? ` ${statusText}` : ''}`,
+        api,
+        method,
+        url: this.redactUrl(url),
+        status,
+        duration
+      });
+    },
+
+    /**
+     * 写入环形缓冲区（与上一条消息相同时只累加计数）
+     *
+     * @param {Object} entry - { kind, message, ... }
+     */
+    record(entry) {
+      const normalized = Object.assign({}, entry, {
+        message: Collector._truncateString(this.redactText(entry.message || ''), Config.ERROR_CAPTURE.MESSAGE_LENGTH),
+        time: Date.now(),
+        count: 1
+      });
+
+      const last = this.entries[this.entries.length - 1];
+      if (last && last.kind === normalized.kind && last.message === normalized.message && last.url === normalized.url) {
+        last.count++;
+        last.time = normalized.time;
+        return;
+      }
+
+      this.entries.push(normalized);
+      if (this.entries.length > Config.ERROR_CAPTURE.MAX_ENTRIES) {
+        this.entries.splice(0, this.entries.length - Config.ERROR_CAPTURE.MAX_ENTRIES);
+      }
+    },
+
+    /**
+     * 将任意值描述为单行文本（Error 取名称与消息，其余只生成浅层摘要，不序列化整个对象）
+     */
+    describe(value) {
+      try {
+        if (value instanceof Error || (value && typeof value === 'object' && 'message' in value && 'name' in value)) {
+          return `${value.name}: ${value.message}`;
+        }
+        if (typeof value === 'string') return value;
+        return Collector._describeValue(value);
+      } catch (error) {
+        return '[object]';
+      }
+    },
+
+    /**
+     * 隐藏 URL 查询参数的值（保留参数名），并去掉 hash
+     *
+     * @param {string} url - 原始 URL（可为相对路径）
+     * @returns {string} 脱敏后的 URL
+     */
+    redactUrl(url) {
+      if (!url) return '';
+      try {
+        const parsed = new URL(url, location.href);
+        const keys = Array.from(parsed.searchParams.keys());
+        const query = keys.length > 0 ? `?${keys.map((key) => `${encodeURIComponent(key)}=***`).join('&')}` : '';
+        return `${parsed.origin}${parsed.pathname}${query}`;
+      } catch (error) {
+        return String(url).replace(/[?#].*$/, '');
+      }
+    },
+
+    /**
+     * 隐藏文本中出现的 URL 的查询参数值
+     */
+    redactText(text) {
+      return String(text).replace(/\bhttps?:\/\/[^\s"'<>()]+\?[^\s"'<>()]*/g, (url) => this.redactUrl(url));
+    },
+
+    /**
+     * 获取附带在选中内容中的最近记录（ERROR_CAPTURE.PICK_WINDOW 内的最后 PICK_ENTRIES 条）
+     *
+     * @returns {Object[]|null} 记录列表（未启用时为 null）
+     */
+    getRecent() {
+      if (!this.isInstalled) return null;
+      const since = Date.now() - Config.ERROR_CAPTURE.PICK_WINDOW;
+      return this.serialize(this.entries.filter((entry) => entry.time >= since).slice(-Config.ERROR_CAPTURE.PICK_ENTRIES));
+    },
+
+    /**
+     * 转为可发送的记录（时间转为 ISO 字符串）
+     */
+    serialize(entries) {
+      return entries.map((entry) => Object.assign({}, entry, { time: new Date(entry.time).toISOString() }));
+    }
+  };
+
+  /**
+   * FrameBridge 模块 - 跨 frame 协调（同源 / 跨源 iframe 统一使用 postMessage）
+   *
+   * 消息方向：
+   * - 向下（父 → 子）：set-active 同步 Inspector 激活状态；grant 告知令牌位置；suspend 让出高亮
+   * - 向上（子 → 父）：hello 请求当前状态与令牌位置；hover 通知父级隐藏高亮；
+   *   deliver 转交选中数据（必须携带令牌）；toast 转交提示；escape 请求退出
+   *
+   * 令牌握手：
+   * - 父 frame 为每个子 frame 生成令牌，只写入 GM 存储（键 FRAME_GRANT_PREFIX + frameId），
+   *   postMessage 中只告知存储键与条目 ID；页面脚本（包括恶意 iframe）读不到 GM 存储，无法得到令牌
+   * - 子 frame 转交时从 GM 存储读取令牌；父 frame 只接受令牌与消息来源 frame 一致的 deliver
+   */
+  const FrameBridge = {
+    isInitialized: false,
+    frameId: null, // 本 frame 的随机 ID（令牌存储键的一部分）
+    childGrants: new Map(), // 子 frame Window → { id, nonce }
+    parentGrant: null, // 父级告知的令牌位置 { key, id }
+    pickUntil: 0, // 未激活时快捷键直接选中 iframe 内元素，在此时间前接收子 frame 转交的数据
+
+    /**
+     * 初始化消息监听；子 frame 向父级请求当前激活状态与令牌位置
+     *
+     * 页面卸载时删除本 frame 签发的令牌
+     */
+    init() {
+      if (this.isInitialized) return;
+      this.isInitialized = true;
+      this.frameId = this.createNonce();
+      window.addEventListener('message', ListenerRegistry.markOwn((event) => this.handleMessage(event)));
+      window.addEventListener('pagehide', ListenerRegistry.markOwn(() => {
+        if (this.childGrants.size > 0) GM_deleteValue(FRAME_GRANT_PREFIX + this.frameId);
+      }));
+      if (!IS_TOP_FRAME) {
+        this.postToParent({ type: 'hello' });
+      }
+    },
+
+    /**
+     * 发送消息到父窗口
+     *
+     * @param {Object} message - 消息对象（自动附加命名空间标记）
+     */
+    postToParent(message) {
+      if (IS_TOP_FRAME) return;
+      try {
+        window.parent.postMessage(Object.assign({ [FRAME_MESSAGE_KEY]: true }, message), '*');
+      } catch (error) {
+        // 忽略发送失败
+      }
+    },
+
+    /**
+     * 发送消息到全部直接子 frame
+     *
+     * @param {Object} message - 消息对象
+     * @param {Window} [except] - 跳过的子 frame（消息来源）
+     */
+    broadcast(message, except) {
+      if (!this.isInitialized) return;
+      const payload = Object.assign({ [FRAME_MESSAGE_KEY]: true }, message);
+      for (let i = 0; i < window.frames.length; i += 1) {
+        const frame = window.frames[i];
+        if (frame === except) continue;
+        try {
+          frame.postMessage(payload, '*');
+        } catch (error) {
+          // 忽略已卸载的 frame
+        }
+      }
+    },
+
+    /**
+     * 生成随机令牌（128 位十六进制）
+     */
+    createNonce() {
+      const bytes = new Uint8Array(16);
+      window.crypto.getRandomValues(bytes);
+      return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * 为子 frame 签发令牌（每个子 frame 一个，子 frame 导航后 Window 不变，沿用同一令牌）
+     *
+     * @param {Window} frame - 子 frame
+     * @returns {Object} 发给子 frame 的令牌位置 { key, id }
+     */
+    grant(frame) {
+      const key = FRAME_GRANT_PREFIX + this.frameId;
+      if (!this.childGrants.has(frame)) {
+        this.childGrants.set(frame, { id: this.createNonce(), nonce: this.createNonce() });
+        const stored = {};
+        this.childGrants.forEach(({ id, nonce }) => {
+          stored[id] = nonce;
+        });
+        GM_setValue(key, stored);
+      }
+      return { key, id: this.childGrants.get(frame).id };
+    },
+
+    /**
+     * 向子 frame 同步激活状态（附带各自的令牌位置）
+     *
+     * @param {boolean} active - 是否激活
+     */
+    syncActive(active) {
+      if (!this.isInitialized) return;
+      for (let i = 0; i < window.frames.length; i += 1) {
+        const frame = window.frames[i];
+        try {
+          frame.postMessage({ [FRAME_MESSAGE_KEY]: true, type: 'set-active', active, grant: this.grant(frame) }, '*');
+        } catch (error) {
+          // 忽略已卸载的 frame
+        }
+      }
+    },
+
+    /**
+     * 快捷键直接选中 iframe 内元素时临时接收子 frame 的转交（Inspector 未激活时，FRAME_PICK_TIMEOUT 后失效）
+     */
+    allowPick() {
+      this.pickUntil = Date.now() + Config.FRAME_PICK_TIMEOUT;
+    },
+
+    /**
+     * 校验子 frame 的 deliver 消息
+     *
+     * 业务逻辑：
+     * 1. 消息类型在白名单内
+     * 2. 令牌与签发给消息来源 frame 的令牌一致
+     * 3. Inspector 激活期间或快捷键选中后的 FRAME_PICK_TIMEOUT 内
+     *
+     * @param {Object} message - deliver 消息
+     * @param {Window} source - 消息来源 frame
+     * @returns {boolean}
+     */
+    isValidDelivery(message, source) {
+      if (!FRAME_DELIVER_TYPES.includes(message.payloadType) || typeof message.nonce !== 'string') return false;
+      const grant = this.childGrants.get(source);
+      if (!grant || grant.nonce !== message.nonce) return false;
+      return Inspector.isActive || Date.now() < this.pickUntil;
+    },
+
+    /**
+     * 读取父级签发给本 frame 的令牌（GM 存储在 frame 之间同步可能稍有延迟，因此在转交时读取）
+     *
+     * @returns {string|null}
+     */
+    readParentNonce() {
+      if (!this.parentGrant) return null;
+      const stored = GM_getValue(this.parentGrant.key, null);
+      return (stored && stored[this.parentGrant.id]) || null;
+    },
+
+    /**
+     * 记录父级告知的令牌位置
+     */
+    setParentGrant(grant) {
+      if (grant && typeof grant.key === 'string' && grant.key.startsWith(FRAME_GRANT_PREFIX) && typeof grant.id === 'string') {
+        this.parentGrant = { key: grant.key, id: grant.id };
+      }
+    },
+
+    /**
+     * 当前 frame 获得高亮：通知父级隐藏、子 frame 让出
+     */
+    notifyHover() {
+      this.postToParent({ type: 'hover' });
+      this.broadcast({ type: 'suspend' });
+    },
+
+    /**
+     * 子 frame 将选中数据转交父级（由 Transport.send 调用）
+     *
+     * @param {string} type - 消息类型
+     * @param {*} data - 消息数据
+     */
+    relay(type, data) {
+      this.postToParent({ type: 'deliver', payloadType: type, data, frameUrl: location.href, nonce: this.readParentNonce() });
+    },
+
+    /**
+     * 判断消息来源是否为当前窗口的直接子 frame
+     *
+     * @param {Window} source - event.source
+     * @returns {boolean}
+     */
+    isChildFrame(source) {
+      for (let i = 0; i < window.frames.length; i += 1) {
+        if (window.frames[i] === source) return true;
+      }
+      return false;
+    },
+
+    /**
+     * 查找消息来源对应的 iframe 元素并生成选择器
+     *
+     * @param {Window} source - event.source
+     * @returns {string} iframe 选择器（iframe 位于 Shadow DOM 等无法定位时返回空字符串）
+     */
+    getFrameSelector(source) {
+      const frames = document.querySelectorAll('iframe, frame');
+      for (const frame of frames) {
+        if (frame.contentWindow === source) {
+          return Collector.generateSelector(frame) || '';
+        }
+      }
+      return '';
+    },
+
+    /**
+     * 处理 frame 间消息
+     *
+     * 业务逻辑：
+     * 1. 仅处理带命名空间标记的消息；向下消息必须来自父窗口，向上消息必须来自直接子 frame
+     * 2. deliver：只接受 isValidDelivery 通过的消息（防止未运行本脚本的 iframe 伪造选中内容），
+     *    在 data.framePath 头部插入 { selector, url }，顶层直接发送，否则继续上传
+     * 3. hover：隐藏本 frame 高亮，让其他子 frame 让出，并继续上传
+     */
+    handleMessage(event) {
+      const message = event.data;
+      if (!message || typeof message !== 'object' || !message[FRAME_MESSAGE_KEY]) return;
+
+      const fromParent = !IS_TOP_FRAME && event.source === window.parent;
+      const fromChild = this.isChildFrame(event.source);
+
+      if (fromParent) {
+        if (message.type === 'set-active') {
+          this.setParentGrant(message.grant);
+          if (message.active) {
+            Inspector.activate();
+          } else {
+            Inspector.deactivate();
+          }
+        } else if (message.type === 'suspend') {
+          Inspector.suspendHighlight();
+          this.broadcast({ type: 'suspend' });
+        } else if (message.type === 'grant') {
+          this.setParentGrant(message.grant);
+        } else if (message.type === 'hotkey' && message.name === 'pickHovered') {
+          Hotkeys.actions.pickHovered({ silent: true });
+        }
+        return;
+      }
+
+      if (!fromChild) return;
+
+      switch (message.type) {
+        case 'hello':
+          event.source.postMessage({
+            [FRAME_MESSAGE_KEY]: true,
+            type: Inspector.isActive ? 'set-active' : 'grant',
+            active: true,
+            grant: this.grant(event.source)
+          }, '*');
+          break;
+        case 'hover':
+          Inspector.suspendHighlight();
+          this.broadcast({ type: 'suspend' }, event.source);
+          this.postToParent({ type: 'hover' });
+          break;
+        case 'deliver': {
+          if (!this.isValidDelivery(message, event.source)) break;
+          const data = message.data;
+          if (data && typeof data === 'object' && !Array.isArray(data)) {
+            const framePath = Array.isArray(data.framePath) ? data.framePath : [];
+            data.framePath = [{ selector: this.getFrameSelector(event.source), url: message.frameUrl || '' }].concat(framePath);
+          }
+          UI.showDeliveryToast(Transport.send(message.payloadType, data), 'Sent to Bridge');
+          break;
+        }
+        case 'toast':
+          UI.showToast(message.message, message.toastType);
+          break;
+        case 'hotkey':
+          // 子 frame 中按下的顶层快捷键，逐级上传到顶层执行
+          if (Hotkeys.topFrameActions.includes(message.name)) {
+            Hotkeys.run(message.name);
+          }
+          break;
+        case 'escape':
+          if (IS_TOP_FRAME) {
+            if (Inspector.isActive) Inspector.deactivate();
+          } else {
+            this.postToParent({ type: 'escape' });
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  };
+
+  /**
+   * StylePreview 模块 - 临时样式预览（MCP preview_styles / revert_preview / export_preview_css）
+   *
+   * 业务逻辑：
+   * 1. 每次预览作为一条记录压入撤销栈，全部记录渲染到同一个 <style> 节点（声明带 !important 以覆盖页面样式）
+   * 2. 撤销时移除栈顶（或指定 ID / 全部）记录后重新渲染，页面恢复原样
+   * 3. 导出时按选择器合并全部记录（后写的同名属性覆盖先写的），生成不带 !important 的 CSS 补丁，
+   *    每条声明附带首次预览前的计算值（注释形式），便于对照修改前后
+   * 4. 选择器与声明不得包含 "{" / "}" / "/*"，避免注入到 <style> 后越出所在规则
+   */
+  const StylePreview = {
+    styleElement: null,
+    stack: [], // { id, selector, declarations: [[property, value]], before: { property: value } | null }
+    sequence: 0,
+
+    /**
+     * 规范化声明：接受 { property: value } 对象或 "property: value; …" 字符串，驼峰属性名转为连字符
+     *
+     * @param {Object|string} declarations - 样式声明
+     * @returns {Array<[string, string]>} 按输入顺序排列的声明
+     * @throws {Error} 声明为空或包含浏览器不支持的属性 / 值
+     */
+    normalizeDeclarations(declarations) {
+      let entries;
+      if (typeof declarations === 'string') {
+        entries = declarations.split(';')
+          .map((part) => part.trim())
+          .filter(Boolean)
+          .map((part) => {
+            const colon = part.indexOf(':');
+            return colon > 0 ? [part.slice(0, colon), part.slice(colon + 1)] : [part, ''];
+          });
+      } else if (declarations && typeof declarations === 'object') {
+        entries = Object.entries(declarations);
+      } else {
+        entries = [];
+      }
+
+      const result = entries.map(([property, value]) => {
+        const name = String(property).trim();
+        return [
+          name.startsWith('--') ? name : name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`),
+          String(value).replace(/!important\s*$/i, '').trim()
+        ];
+      });
+      if (result.length === 0) throw new Error('declarations is empty');
+
+      const unsafe = result.filter(([property, value]) => this.hasUnsafeToken(property) || this.hasUnsafeToken(value));
+      if (unsafe.length > 0) {
+        throw new Error(`Declarations must not contain "{", "}" or "/*": ${unsafe.map(([property, value]) => `${property}: ${value}`).join('; ')}`);
+      }
+
+      const invalid = result.filter(([property, value]) => (
+        !value || (typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && !CSS.supports(property, value))
+      ));
+      if (invalid.length > 0) {
+        throw new Error(`Unsupported declarations: ${invalid.map(([property, value]) => `${property}: ${value}`).join('; ')}`);
+      }
+      return result;
+    },
+
+    /**
+     * 是否包含可能跳出当前规则的字符（花括号或注释起始）
+     */
+    hasUnsafeToken(text) {
+      return /[{}]|\/\*/.test(text);
+    },
+
+    /**
+     * 将撤销栈渲染到 <style> 节点（栈为空时移除节点）
+     */
+    render() {
+      if (this.stack.length === 0) {
+        if (this.styleElement) this.styleElement.remove();
+        return;
+      }
+      if (!this.styleElement) {
+        this.styleElement = document.createElement('style');
+        this.styleElement.id = 'web-inspector-style-preview';
+      }
+      this.styleElement.textContent = this.stack.map((entry) => [
+        `/* ${entry.id} */`,
+        `${entry.selector} {`,
+        ...entry.declarations.map(([property, value]) => `  ${property}: ${value} !important;`),
+        '}'
+      ].join('\n')).join('\n\n');
+      // 每次渲染都移到文档末尾，保证晚于页面自身的样式表
+      (document.head || document.documentElement).appendChild(this.styleElement);
+    },
+
+    /**
+     * 读取元素上若干属性的计算值
+     */
+    readComputed(element, properties) {
+      if (!element) return null;
+      const style = window.getComputedStyle(element);
+      const values = {};
+      properties.forEach((property) => {
+        values[property] = style.getPropertyValue(property).trim();
+      });
+      return values;
+    },
+
+    /**
+     * 应用一条样式预览
+     *
+     * @param {string} selector - CSS 选择器（不支持 ">>>"，页面样式无法进入 Shadow DOM）
+     * @param {Object|string} declarations - 样式声明
+     * @returns {Object} { id, selector, matched, declarations, before, after, stackSize }
+     */
+    apply(selector, declarations) {
+      if (!selector) throw new Error('selector is required');
+      if (selector.includes('>>>')) throw new Error('preview_styles does not support ">>>" selectors');
+      if (this.hasUnsafeToken(selector)) throw new Error('selector must not contain "{", "}" or "/*"');
+
+      const matches = Array.from(document.querySelectorAll(selector)).filter((element) => !Inspector.isOwnUI(element));
+      const normalized = this.normalizeDeclarations(declarations);
+      const properties = normalized.map(([property]) => property);
+
+      const before = this.readComputed(matches[0], properties);
+      const entry = { id: `preview-${++this.sequence}`, selector, declarations: normalized, before };
+      this.stack.push(entry);
+      this.render();
+
+      return {
+        id: entry.id,
+        selector,
+        matched: matches.length,
+        declarations: Object.fromEntries(normalized),
+        before,
+        after: this.readComputed(matches[0], properties),
+        stackSize: this.stack.length
+      };
+    },
+
+    /**
+     * 撤销预览
+     *
+     * @param {Object} options - { id: 撤销指定记录, all: 撤销全部 }，缺省时撤销栈顶记录
+     * @returns {Object} { reverted: 已撤销的记录 ID, stackSize }
+     */
+    revert(options = {}) {
+      let removed;
+      if (options.all) {
+        removed = this.stack.splice(0);
+      } else if (options.id) {
+        const index = this.stack.findIndex((entry) => entry.id === options.id);
+        if (index === -1) throw new Error(`No preview with id ${options.id}`);
+        removed = this.stack.splice(index, 1);
+      } else {
+        removed = this.stack.length > 0 ? [this.stack.pop()] : [];
+      }
+      this.render();
+      return { reverted: removed.map((entry) => entry.id), stackSize: this.stack.length };
+    },
+
+    /**
+     * 导出累计的 CSS 补丁（按选择器首次出现的顺序合并）
+     *
+     * 业务逻辑：
+     * 1. 同一选择器的同名属性以最后一次预览的值为准
+     * 2. before 取该属性首次预览前第一个匹配元素的计算值（之后的预览读到的是已被预览覆盖的值）
+     * 3. css 中以注释标注 before，changes 以结构化形式给出每个属性的前后值
+     *
+     * @returns {Object} { css, changes: [{ selector, property, before, after }], rules, previews }
+     */
+    exportCss() {
+      const rules = new Map();
+      this.stack.forEach((entry) => {
+        if (!rules.has(entry.selector)) rules.set(entry.selector, new Map());
+        const declarations = rules.get(entry.selector);
+        entry.declarations.forEach(([property, value]) => {
+          const previous = declarations.get(property);
+          const before = previous ? previous.before : (entry.before && entry.before[property]) || null;
+          // 先删除再写入，使覆盖后的属性排在最后，与最终生效顺序一致
+          declarations.delete(property);
+          declarations.set(property, { value, before });
+        });
+      });
+
+      const changes = [];
+      const css = Array.from(rules.entries()).map(([selector, declarations]) => [
+        `${selector} {`,
+        ...Array.from(declarations.entries()).map(([property, { value, before }]) => {
+          changes.push({ selector, property, before, after: value });
+          return `  ${property}: ${value};${before ? ` /* before: ${before.replace(/\*\//g, '* /')} */` : ''}`;
+        }),
+        '}'
+      ].join('\n')).join('\n\n');
+
+      return { css, changes, rules: rules.size, previews: this.stack.map((entry) => entry.id) };
+    }
+  };
+
+  /**
+   * PageCommands 模块 - 执行 Bridge 下发的页面命令（MCP 工具经 Bridge 查询页面）
+   *
+   * 业务逻辑：
+   * 1. 仅执行白名单内的命令，在顶层文档中运行（不进入 iframe）
+   * 2. 结果以 command_result 回传，requestId 与命令一致；执行异常时回传错误信息
+   */
+  const PageCommands = {
+    highlightTimer: null,
+
+    /**
+     * 是否允许执行页面命令（默认关闭，通过油猴菜单开启，对所有标签页立即生效）
+     */
+    isEnabled() {
+      return GM_getValue('pageCommands', false);
+    },
+
+    /**
+     * 命令表（键名与 Bridge 的 BROWSER_COMMANDS 一致）
+     */
+    handlers: {
+      /**
+       * 查询选择器匹配的元素（summary 只返回摘要，不采集样式与选择器候选；full 模式下各元素共用选择器候选的统计缓存）
+       *
+       * @param {Object} args - { selector, limit, detail: full | summary }
+       */
+      query_elements(args) {
+        const selector = String(args.selector || '').trim();
+        if (!selector) throw new Error('selector is required');
+
+        const limit = Math.min(Math.max(parseInt(args.limit, 10) || 5, 1), Config.COMMANDS.MAX_ELEMENTS);
+        const detail = args.detail === 'summary' ? 'summary' : 'full';
+        const matches = Collector.querySelectorAllPiercing(selector).filter((element) => !Inspector.isOwnUI(element));
+
+        return {
+          selector,
+          total: matches.length,
+          detail,
+          elements: matches.slice(0, limit).map((element) => (
+            detail === 'summary' ? Collector.summarize(element) : Collector.collect(element)
+          ))
+        };
+      },
+
+      /**
+       * 将元素滚动到视口内并短暂高亮
+       *
+       * @param {Object} args - { selector, block: start | center | end | nearest, highlight }
+       */
+      scroll_to_element(args) {
+        const selector = String(args.selector || '').trim();
+        if (!selector) throw new Error('selector is required');
+
+        const element = Collector.querySelectorPiercing(selector);
+        if (!element) throw new Error(`No element matches ${selector}`);
+
+        const block = ['start', 'center', 'end', 'nearest'].includes(args.block) ? args.block : 'center';
+        element.scrollIntoView({ block, inline: 'nearest' });
+
+        if (args.highlight !== false) {
+          Inspector.showPreview([element]);
+          clearTimeout(PageCommands.highlightTimer);
+          PageCommands.highlightTimer = setTimeout(() => Inspector.hidePreview(), Config.COMMANDS.HIGHLIGHT_DURATION);
+        }
+
+        return {
+          selector,
+          element: Collector.summarize(element),
+          scroll: { x: Math.round(window.scrollX), y: Math.round(window.scrollY) }
+        };
+      },
+
+      /**
+       * 为选择器匹配的全部元素绘制带标签的高亮框
+       *
+       * @param {Object} args - { selector, label, durationMs }
+       */
+      highlight_elements(args) {
+        const selector = String(args.selector || '').trim();
+        if (!selector) throw new Error('selector is required');
+
+        const matches = Collector.querySelectorAllPiercing(selector).filter((element) => !Inspector.isOwnUI(element));
+        const elements = matches.slice(0, Config.COMMANDS.MAX_HIGHLIGHTS);
+        const duration = typeof args.durationMs === 'number' && Number.isFinite(args.durationMs)
+          ? Math.max(0, args.durationMs)
+          : Config.COMMANDS.LABELED_HIGHLIGHT_DURATION;
+        const label = String(args.label || '').trim();
+        Inspector.showHighlights(elements, label, duration);
+
+        let warning = null;
+        if (matches.length === 0) {
+          warning = `No element matches ${selector}`;
+          UI.showToast(`No element matches ${selector}`, 'warning');
+        } else if (matches.length > elements.length) {
+          warning = `${matches.length} elements match; only the first ${elements.length} are highlighted`;
+        } else if (matches.length > Config.COMMANDS.MANY_MATCHES) {
+          warning = `${matches.length} elements match; the selector may be broader than intended`;
+        }
+
+        return {
+          selector,
+          label,
+          total: matches.length,
+          highlighted: elements.length,
+          durationMs: duration,
+          warning,
+          elements: elements.slice(0, Config.COMMANDS.MAX_ELEMENTS).map((element) => Collector.summarize(element))
+        };
+      },
+
+      /**
+       * 移除 highlight_elements 绘制的高亮
+       */
+      clear_highlights() {
+        return { cleared: Inspector.clearHighlights() };
+      },
+
+      /**
+       * 临时应用样式声明（可撤销）
+       *
+       * @param {Object} args - { selector, declarations: { property: value } | "property: value; …" }
+       */
+      preview_styles(args) {
+        const result = StylePreview.apply(String(args.selector || '').trim(), args.declarations);
+        UI.showToast(`Style preview applied (${result.stackSize} in stack)`, 'info');
+        return Object.assign(result, result.matched === 0 ? { warning: `No element matches ${result.selector}` } : {});
+      },
+
+      /**
+       * 撤销样式预览
+       *
+       * @param {Object} args - { id, all }
+       */
+      revert_preview(args) {
+        const result = StylePreview.revert({ id: args.id, all: args.all === true });
+        if (result.reverted.length > 0) UI.showToast(`Reverted ${result.reverted.length} style preview(s)`, 'info');
+        return result;
+      },
+
+      /**
+       * 导出累计的样式预览 CSS
+       */
+      export_preview_css() {
+        return StylePreview.exportCss();
+      },
+
+      /**
+       * 读取错误记录
+       *
+       * @param {Object} args - { limit, kind: 按 kind 前缀过滤，如 console / network }
+       */
+      get_page_errors(args) {
+        if (!ErrorCapture.isInstalled) {
+          return { enabled: false, total: 0, entries: [] };
+        }
+        const limit = Math.min(Math.max(parseInt(args.limit, 10) || 20, 1), Config.ERROR_CAPTURE.MAX_ENTRIES);
+        const kind = String(args.kind || '');
+        const matched = ErrorCapture.entries.filter((entry) => !kind || entry.kind.startsWith(kind));
+        return { enabled: true, total: matched.length, entries: ErrorCapture.serialize(matched.slice(-limit)) };
+      },
+
+      /**
+       * 读取页面基本信息
+       */
+      get_page_info() {
+        const root = document.documentElement;
+        return {
+          url: location.href,
+          title: document.title,
+          readyState: document.readyState,
+          viewport: {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            devicePixelRatio: window.devicePixelRatio
+          },
+          scroll: { x: Math.round(window.scrollX), y: Math.round(window.scrollY) },
+          documentSize: { width: root.scrollWidth, height: root.scrollHeight },
+          inspectorActive: Inspector.isActive
+        };
+      }
+    },
+
+    /**
+     * 页面获得焦点时重新登记，使 Bridge 将命令发往当前正在查看的标签页
+     */
+    init() {
+      window.addEventListener('focus', ListenerRegistry.markOwn(() => Transport.sendHello()));
+    },
+
+    /**
+     * 执行一条命令并回传结果
+     *
+     * @param {Object} message - { requestId, command, args }
+     */
+    run(message) {
+      const handler = Object.prototype.hasOwnProperty.call(this.handlers, message.command)
+        ? this.handlers[message.command]
+        : null;
+      let reply;
+      try {
+        if (!this.isEnabled()) {
+          throw new Error('Page commands are disabled; enable them from the userscript menu (切换页面命令)');
+        }
+        if (!handler) throw new Error(`Unsupported command: ${message.command}`);
+        reply = { ok: true, result: handler(message.args || {}) };
+      } catch (error) {
+        reply = { ok: false, error: error.message || String(error) };
+      }
+      Transport.write(Object.assign({ type: 'command_result', requestId: message.requestId }, reply));
+    }
+  };
+
+  /**
+   * Hotkeys 模块 - 全局快捷键（Inspector 未激活时也生效）
+   *
+   * 业务逻辑：
+   * 1. 冒泡阶段监听 keydown，页面已处理（defaultPrevented）的按键不再响应
+   * 2. 焦点在输入框 / 可编辑区域时忽略，避免干扰输入
+   * 3. 按 Config.HOTKEYS 匹配后执行对应动作，仅在命中时阻止默认行为
+   */
+  const Hotkeys = {
+    isInitialized: false,
+
+    // 只在顶层窗口执行的动作（子 frame 中按下时经 FrameBridge 转交顶层）
+    topFrameActions: ['toggleInspector', 'resendLast', 'toggleGhost', 'toggleHistory'],
+
+    /**
+     * 快捷键动作表（键名与 Config.HOTKEYS 一致）
+     */
+    actions: {
+      captureText() {
+        captureTextSelection(window.getSelection());
+      },
+
+      toggleInspector() {
+        UI.toggleInspector();
+      },
+
+      /**
+       * 选中悬停元素（悬停在 iframe 上时交给子 frame 处理）
+       *
+       * @param {Object} [options] - silent: 由父窗口转来，本 frame 无悬停元素时不提示
+       */
+      pickHovered(options = {}) {
+        const element = Inspector.getHoveredElement();
+        if (!element) {
+          if (!options.silent) UI.showToast('No hovered element', 'warning');
+          return;
+        }
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          FrameBridge.allowPick();
+          FrameBridge.broadcast({ type: 'hotkey', name: 'pickHovered' });
+          return;
+        }
+        Inspector.pickElement(element);
+      },
+
+      resendLast() {
+        const last = State.lastCollectedData;
+        if (!last) {
+          UI.showToast('Nothing to resend', 'warning');
+          return;
+        }
+        UI.showDeliveryToast(Transport.send(last.type, last.data, { historyId: last.historyId }), 'Resent last pick');
+      },
+
+      toggleGhost() {
+        UI.setGhostVisible(!UI.isGhostVisible());
+      },
+
+      toggleHistory() {
+        UI.toggleHistory();
+      }
+    },
+
+    /**
+     * 执行快捷键动作
+     *
+     * @param {string} name - 动作名
+     * @param {Object} [options] - 动作参数
+     */
+    run(name, options) {
+      if (typeof this.actions[name] !== 'function') return;
+      if (!IS_TOP_FRAME && this.topFrameActions.includes(name)) {
+        FrameBridge.postToParent({ type: 'hotkey', name });
+        return;
+      }
+      this.actions[name](options);
+    },
+
+    /**
+     * 注册全局 keydown 监听
+     */
+    init() {
+      if (this.isInitialized) return;
+      this.isInitialized = true;
+      window.addEventListener('keydown', ListenerRegistry.markOwn((event) => this.handleKeyDown(event)));
+    },
+
+    /**
+     * 判断事件是否发生在可编辑区域内
+     *
+     * @param {KeyboardEvent} event - 键盘事件
+     * @returns {boolean}
+     */
+    isTyping(event) {
+      const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+      const target = path[0];
+      if (!target || target.nodeType !== 1) return false;
+      if (target.isContentEditable) return true;
+      const tag = target.tagName;
+      return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+    },
+
+    /**
+     * 处理全局按键
+     *
+     * 业务逻辑：
+     * 1. 监听注册在 window 冒泡阶段，页面自身已处理（defaultPrevented）的按键不再响应
+     * 2. 输入框 / 可编辑区域内的按键与长按重复忽略
+     * 3. 命中快捷键后才阻止默认行为
+     */
+    handleKeyDown(event) {
+      if (event.defaultPrevented || event.repeat || this.isTyping(event)) return;
+
+      for (const [name, combo] of Object.entries(Config.HOTKEYS)) {
+        if (!matchHotkey(event, combo) || typeof this.actions[name] !== 'function') continue;
+        event.preventDefault();
+        event.stopPropagation();
+        this.run(name);
+        return;
+      }
+    }
+  };
+
+  /**
+   * UI 模块 - Ghost 悬浮按钮和信息面板
+   */
+  const UI = {
+    host: null,
+    shadowRoot: null,
+    ghostButton: null,
+    infoPanel: null,
+    breadcrumbBar: null,
+    selectionBar: null,
+    composer: null,
+    settingsButton: null,
+    settingsPanel: null,
+    historyButton: null,
+    historyDrawer: null,
+    _historyPreviewId: null,
+    _settingsScope: 'global',
+    _composerData: null,
+    _composerElement: null,
+    _pendingText: null,
+    _breadcrumbChain: [],
+    _dragState: { active: false, x: 0, y: 0, startX: 0, startY: 0 },
+
+    /**
+     * 初始化 UI 组件
+     */
+    init() {
+      // 幂等保护：防止菜单快速切换导致重复初始化
+      if (this.host) return;
+      this.createHost();
+      this.injectStyles();
+      this.renderGhostButton();
+      this.renderInfoPanel();
+      this.renderBreadcrumb();
+      this.renderSelectionBar();
+      this.renderComposer();
+      this.renderSettingsButton();
+      this.renderSettings();
+      this.renderHistoryButton();
+      this.renderHistory();
+      this.bindEvents();
+    },
+
+    /**
+     * 创建 Shadow DOM 宿主
+     */
+    createHost() {
+      this.host = document.createElement('div');
+      this.host.id = 'web-inspector-ui';
       document.body.appendChild(this.host);
       this.shadowRoot = this.host.attachShadow({ mode: 'open' });
     },
 
     /**
-     * 注入组件样式 (Task 5.1 - CSS Theming)
+     * 注入组件样式 (Task 5.1 - CSS Theming)
+     */
+    injectStyles() {
+      const style = document.createElement('style');
+      style.textContent = `
+        :host {
+          --primary: #6c5ce7;
+          --primary-hover: #a29bfe;
+          --bg: #ffffff;
+          --bg-alt: #f9f9f9;
+          --text: #2d3436;
+          --text-muted: #636e72;
+          --border: #dfe6e9;
+          --shadow: 0 4px 20px rgba(0,0,0,0.15);
+          --success: #00b894;
+          --warning: #fdcb6e;
+          --danger: #d63031;
+          --radius: 8px;
+          --font: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+          
+          font-family: var(--font);
+          z-index: 2147483647;
+          position: fixed;
+          top: 0;
+          left: 0;
+          pointer-events: none;
+        }
+
+        .ghost-button {
+          position: fixed;
+          bottom: 20px;
+          right: 20px;
+          width: 48px;
+          height: 48px;
+          background: transparent;
+          border: none;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          cursor: pointer;
+          pointer-events: auto;
+          transition: transform 0.2s cubic-bezier(0.175, 0.885, 0.32, 1.275), filter 0.2s ease;
+          user-select: none;
+          color: var(--danger);
+          filter: drop-shadow(0 2px 6px rgba(0,0,0,0.3));
+        }
+
+        .ghost-button:hover {
+          transform: scale(1.15);
+          filter: drop-shadow(0 4px 12px rgba(0,0,0,0.4));
+        }
+
+        .ghost-button.connected {
+          color: var(--primary);
+        }
+
+        .ghost-button.connecting {
+          color: var(--warning);
+          animation: ghost-pulse 1.5s ease-in-out infinite;
+        }
+
+        .ghost-button.disconnected {
+          color: var(--danger);
+        }
+
+        /* active 定义在连接状态之后，确保激活态绿色优先级最高 */
+        .ghost-button.active {
+          color: var(--success);
+          transform: scale(1.15);
+          filter: drop-shadow(0 0 8px rgba(0, 184, 148, 0.6));
+        }
+
+        .queue-badge {
+          position: absolute;
+          top: -2px;
+          right: -4px;
+          min-width: 18px;
+          height: 18px;
+          padding: 0 5px;
+          box-sizing: border-box;
+          border-radius: 9px;
+          background: var(--warning);
+          color: #2d3436;
+          font-size: 11px;
+          font-weight: bold;
+          line-height: 18px;
+          text-align: center;
+          display: none;
+        }
+
+        .queue-badge.visible {
+          display: block;
+        }
+
+        @keyframes ghost-pulse {
+          0%, 100% { opacity: 1; transform: scale(1); }
+          50% { opacity: 0.5; transform: scale(0.92); }
+        }
+
+
+        .info-panel {
+          position: fixed;
+          top: 20px;
+          right: 20px;
+          width: 320px;
+          max-height: 80vh;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: var(--radius);
+          box-shadow: var(--shadow);
+          display: none;
+          flex-direction: column;
+          pointer-events: auto;
+          overflow: hidden;
+        }
+
+        .panel-header {
+          padding: 12px 16px;
+          background: var(--bg-alt);
+          border-bottom: 1px solid var(--border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          cursor: move;
+          user-select: none;
+        }
+
+        .panel-header h3 {
+          margin: 0;
+          font-size: 14px;
+          color: var(--text);
+        }
+
+        .close-btn {
+          cursor: pointer;
+          font-size: 18px;
+          color: var(--text-muted);
+        }
+
+        .panel-content {
+          padding: 16px;
+          overflow-y: auto;
+          font-size: 12px;
+          line-height: 1.5;
+        }
+
+        .data-row {
+          margin-bottom: 12px;
+        }
+
+        .data-label {
+          font-weight: bold;
+          color: var(--text-muted);
+          display: block;
+          margin-bottom: 4px;
+          text-transform: uppercase;
+          font-size: 10px;
+        }
+
+        .data-value {
+          background: var(--bg-alt);
+          padding: 6px;
+          border-radius: 4px;
+          word-break: break-all;
+          display: block;
+          font-family: monospace;
+          border: 1px solid var(--border);
+        }
+
+        .tag-badge {
+          display: inline-block;
+          padding: 2px 6px;
+          background: var(--primary);
+          color: white;
+          border-radius: 4px;
+          font-weight: bold;
+          margin-bottom: 8px;
+        }
+
+        .breadcrumb-bar {
+          position: fixed;
+          left: 20px;
+          bottom: 20px;
+          max-width: calc(100vw - 120px);
+          display: none;
+          flex-direction: column;
+          gap: 4px;
+          padding: 6px 10px;
+          background: rgba(28, 28, 30, 0.95);
+          color: #ffffff;
+          border-radius: var(--radius);
+          box-shadow: var(--shadow);
+          font-family: Menlo, Monaco, "JetBrains Mono", "Courier New", monospace;
+          font-size: 12px;
+          pointer-events: auto;
+        }
+
+        .breadcrumb-trail {
+          display: flex;
+          align-items: center;
+          overflow-x: auto;
+          white-space: nowrap;
+        }
+
+        .crumb {
+          padding: 2px 4px;
+          border-radius: 4px;
+          cursor: pointer;
+          color: #b2bec3;
+        }
+
+        .crumb:hover {
+          background: rgba(255, 255, 255, 0.12);
+          color: #ffffff;
+        }
+
+        .crumb.current {
+          background: var(--primary);
+          color: #ffffff;
+        }
+
+        .crumb-sep {
+          margin: 0 2px;
+          color: var(--text-muted);
+        }
+
+        .selection-bar {
+          position: fixed;
+          top: 20px;
+          left: 50%;
+          transform: translateX(-50%);
+          max-width: calc(100vw - 80px);
+          display: none;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: var(--radius);
+          box-shadow: var(--shadow);
+          font-size: 12px;
+          color: var(--text);
+          pointer-events: auto;
+        }
+
+        .selection-chips {
+          display: flex;
+          gap: 4px;
+          overflow-x: auto;
+          white-space: nowrap;
+        }
+
+        .selection-chip {
+          display: inline-flex;
+          align-items: center;
+          gap: 4px;
+          padding: 2px 6px;
+          background: var(--bg-alt);
+          border: 1px solid var(--border);
+          border-radius: 10px;
+          font-family: monospace;
+        }
+
+        .selection-chip b {
+          color: var(--success);
+        }
+
+        .chip-remove {
+          cursor: pointer;
+          color: var(--text-muted);
+        }
+
+        .chip-remove:hover {
+          color: var(--danger);
+        }
+
+        .bar-btn {
+          padding: 4px 10px;
+          border: 1px solid var(--border);
+          border-radius: 4px;
+          background: var(--bg);
+          color: var(--text);
+          font-size: 12px;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+
+        .bar-btn.primary {
+          background: var(--success);
+          border-color: var(--success);
+          color: #ffffff;
+        }
+
+        .composer {
+          position: fixed;
+          width: 320px;
+          display: none;
+          flex-direction: column;
+          gap: 8px;
+          padding: 10px 12px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: var(--radius);
+          box-shadow: var(--shadow);
+          font-size: 12px;
+          color: var(--text);
+          pointer-events: auto;
+        }
+
+        .composer-target {
+          font-family: monospace;
+          color: var(--primary);
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .composer-presets {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
+
+        .composer textarea {
+          box-sizing: border-box;
+          width: 100%;
+          min-height: 64px;
+          padding: 6px 8px;
+          border: 1px solid var(--border);
+          border-radius: 4px;
+          font-family: var(--font);
+          font-size: 12px;
+          color: var(--text);
+          background: var(--bg);
+          resize: vertical;
+        }
+
+        .composer textarea:focus {
+          outline: none;
+          border-color: var(--primary);
+        }
+
+        .composer-footer {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .composer-footer .breadcrumb-hint {
+          flex: 1;
+        }
+
+        .settings-button {
+          position: fixed;
+          bottom: 32px;
+          right: 72px;
+          width: 24px;
+          height: 24px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: var(--text-muted);
+          opacity: 0.6;
+          cursor: pointer;
+          pointer-events: auto;
+          transition: opacity 0.2s ease, transform 0.2s ease;
+        }
+
+        .settings-button:hover {
+          opacity: 1;
+          transform: rotate(30deg);
+        }
+
+        .history-button {
+          right: 100px;
+        }
+
+        .history-drawer {
+          position: fixed;
+          top: 0;
+          right: 0;
+          bottom: 0;
+          width: 320px;
+          display: flex;
+          flex-direction: column;
+          background: var(--bg);
+          border-left: 1px solid var(--border);
+          box-shadow: var(--shadow);
+          font-size: 12px;
+          color: var(--text);
+          pointer-events: auto;
+          transform: translateX(100%);
+          visibility: hidden;
+          transition: transform 0.2s ease, visibility 0.2s;
+        }
+
+        .history-drawer.open {
+          transform: translateX(0);
+          visibility: visible;
+        }
+
+        .history-drawer .panel-header {
+          cursor: default;
+        }
+
+        .history-list {
+          flex: 1;
+          overflow-y: auto;
+          padding: 8px 12px;
+        }
+
+        .history-item {
+          padding: 8px;
+          margin-bottom: 6px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .history-item:hover {
+          border-color: var(--primary);
+          background: var(--bg-alt);
+        }
+
+        .history-main {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+        }
+
+        .history-label {
+          font-family: monospace;
+          color: var(--primary);
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .history-status.sent {
+          color: var(--success);
+        }
+
+        .history-status.queued {
+          color: #e17055;
+        }
+
+        .history-status.failed,
+        .history-status.undelivered {
+          color: var(--danger);
+        }
+
+        .history-selector {
+          margin: 4px 0;
+          font-family: monospace;
+          font-size: 11px;
+          color: var(--text-muted);
+          word-break: break-all;
+        }
+
+        .history-footer {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .history-footer .breadcrumb-hint {
+          flex: 1;
+        }
+
+        .history-footer .bar-btn {
+          padding: 2px 6px;
+          font-size: 11px;
+        }
+
+        .settings-panel {
+          position: fixed;
+          bottom: 80px;
+          right: 20px;
+          width: 340px;
+          max-height: 70vh;
+          display: none;
+          flex-direction: column;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: var(--radius);
+          box-shadow: var(--shadow);
+          font-size: 12px;
+          color: var(--text);
+          pointer-events: auto;
+          overflow: hidden;
+        }
+
+        .settings-panel .panel-header {
+          cursor: default;
+        }
+
+        .settings-scope {
+          display: flex;
+          gap: 12px;
+          padding: 8px 16px;
+          border-bottom: 1px solid var(--border);
+        }
+
+        .settings-body {
+          padding: 8px 16px;
+          overflow-y: auto;
+        }
+
+        .settings-body fieldset {
+          margin: 0 0 8px;
+          padding: 4px 0 0;
+          border: none;
+        }
+
+        .settings-body legend {
+          font-weight: bold;
+          font-size: 10px;
+          text-transform: uppercase;
+          color: var(--text-muted);
+        }
+
+        .settings-field {
+          display: grid;
+          grid-template-columns: 1fr 150px;
+          align-items: center;
+          gap: 2px 8px;
+          margin-bottom: 6px;
+        }
+
+        .settings-field.overridden .settings-label::after {
+          content: ' •';
+          color: var(--primary);
+        }
+
+        .settings-field input,
+        .settings-field select {
+          box-sizing: border-box;
+          width: 100%;
+          padding: 3px 6px;
+          border: 1px solid var(--border);
+          border-radius: 4px;
+          font-family: var(--font);
+          font-size: 12px;
+          color: var(--text);
+          background: var(--bg);
+        }
+
+        .settings-field input:focus,
+        .settings-field select:focus {
+          outline: none;
+          border-color: var(--primary);
+        }
+
+        .settings-error {
+          grid-column: 2;
+          color: var(--danger);
+          font-size: 11px;
+        }
+
+        .settings-error:empty {
+          display: none;
+        }
+
+        .settings-footer {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 8px 16px;
+          border-top: 1px solid var(--border);
+        }
+
+        .settings-footer .breadcrumb-hint {
+          flex: 1;
+        }
+
+        .breadcrumb-hint {
+          font-family: var(--font);
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+      `;
+      this.shadowRoot.appendChild(style);
+    },
+
+    /**
+     * 渲染悬浮按钮
      */
-    injectStyles() {
-      const style = document.createElement('style');
-      style.textContent = `
-        :host {
-          --primary: #6c5ce7;
-          --primary-hover: #a29bfe;
-          --bg: #ffffff;
-          --bg-alt: #f9f9f9;
-          --text: #2d3436;
-          --text-muted: #636e72;
-          --border: #dfe6e9;
-          --shadow: 0 4px 20px rgba(0,0,0,0.15);
-          --success: #00b894;
-          --warning: #fdcb6e;
-          --danger: #d63031;
-          --radius: 8px;
-          --font: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-          
-          font-family: var(--font);
-          z-index: 2147483647;
-          position: fixed;
-          top: 0;
-          left: 0;
-          pointer-events: none;
+    renderGhostButton() {
+      this.ghostButton = document.createElement('div');
+      this.ghostButton.className = 'ghost-button';
+      this.ghostButton.innerHTML = `
+        <svg viewBox="5 2 14 18" width="42" height="54" fill="currentColor">
+          <path d="M12 2C8.13 2 5 5.13 5 9v11l2.5-1.5L10 20l2-1.5L14 20l2.5-1.5L19 20V9c0-3.87-3.13-7-7-7zm-2 9a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"/>
+        </svg>
+        <span class="queue-badge"></span>
+      `;
+      this.shadowRoot.appendChild(this.ghostButton);
+      this.updateStatusUI();
+      this.updateQueueBadge(Transport.getQueue().length);
+    },
+
+    /**
+     * 更新 Ghost 按钮上的离线队列数量（为 0 时隐藏）
+     *
+     * @param {number} count - 队列中的消息数
+     */
+    updateQueueBadge(count) {
+      if (!this.ghostButton) return;
+      const badge = this.ghostButton.querySelector('.queue-badge');
+      badge.textContent = count > 0 ? String(count) : '';
+      badge.classList.toggle('visible', count > 0);
+      this.ghostButton.title = count > 0 ? `${count} 条选中内容等待发送` : '';
+    },
+
+    /**
+     * 渲染信息面板
+     */
+    renderInfoPanel() {
+      this.infoPanel = document.createElement('div');
+      this.infoPanel.className = 'info-panel';
+      this.infoPanel.innerHTML = `
+        <div class="panel-header">
+          <h3>Element Details</h3>
+          <span class="close-btn">&times;</span>
+        </div>
+        <div class="panel-content">
+          <div class="data-row">
+            <span class="data-label">Selected Element</span>
+            <div id="info-tag-container"></div>
+          </div>
+          <div class="data-row">
+            <span class="data-label">CSS Selector</span>
+            <code id="info-selector" class="data-value">None selected</code>
+          </div>
+          <div class="data-row">
+            <span class="data-label">Attributes</span>
+            <div id="info-attrs" class="data-value">{}</div>
+          </div>
+        </div>
+      `;
+      this.shadowRoot.appendChild(this.infoPanel);
+      this.setupDraggable();
+    },
+
+    /**
+     * 渲染祖先面包屑栏（Inspector 激活时显示在左下角）
+     */
+    renderBreadcrumb() {
+      this.breadcrumbBar = document.createElement('div');
+      this.breadcrumbBar.className = 'breadcrumb-bar';
+      this.breadcrumbBar.innerHTML = `
+        <div class="breadcrumb-trail"></div>
+        <div class="breadcrumb-hint">↑ [ 父级 · ↓ ] 子级 · ← → 兄弟 · Enter 选中 · Alt+点击 / Alt+Enter 附加指令 · Shift+点击 / Shift+Enter 多选 · R 框选 · Esc 退出</div>
+      `;
+      this.shadowRoot.appendChild(this.breadcrumbBar);
+    },
+
+    /**
+     * 更新祖先面包屑
+     *
+     * 业务逻辑：
+     * 1. 目标已在当前链路中（点击祖先面包屑 / 返回子级）时保留链路，仅移动高亮
+     * 2. 否则从目标向上（穿透 Shadow Root）重建祖先链
+     * 3. 每个面包屑显示 tag#id.class，点击后重新定位遮罩层
+     *
+     * @param {Element} element - 当前高亮目标
+     */
+    updateBreadcrumb(element) {
+      if (!this.breadcrumbBar || !element) return;
+
+      let chain = this._breadcrumbChain;
+      if (!chain.includes(element)) {
+        chain = [];
+        let current = element;
+        while (current) {
+          chain.unshift(current);
+          current = Inspector.getParentTarget(current);
         }
+        this._breadcrumbChain = chain;
+      }
 
-        .ghost-button {
-          position: fixed;
-          bottom: 20px;
-          right: 20px;
-          width: 48px;
-          height: 48px;
-          background: transparent;
-          border: none;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          cursor: pointer;
-          pointer-events: auto;
-          transition: transform 0.2s cubic-bezier(0.175, 0.885, 0.32, 1.275), filter 0.2s ease;
-          user-select: none;
-          color: var(--danger);
-          filter: drop-shadow(0 2px 6px rgba(0,0,0,0.3));
+      const trail = this.breadcrumbBar.querySelector('.breadcrumb-trail');
+      trail.textContent = '';
+      chain.forEach((node, index) => {
+        if (index > 0) {
+          const sep = document.createElement('span');
+          sep.className = 'crumb-sep';
+          sep.textContent = '›';
+          trail.appendChild(sep);
+        }
+        const crumb = document.createElement('span');
+        crumb.className = node === element ? 'crumb current' : 'crumb';
+        crumb.textContent = Inspector.getElementLabel(node);
+        crumb.addEventListener('click', (e) => {
+          e.stopPropagation();
+          Inspector.setTarget(node);
+        });
+        trail.appendChild(crumb);
+      });
+
+      this.breadcrumbBar.style.display = 'flex';
+      const currentCrumb = trail.querySelector('.crumb.current');
+      if (currentCrumb && currentCrumb.scrollIntoView) {
+        currentCrumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      }
+    },
+
+    /**
+     * 渲染多选操作栏（顶部居中，列出已选元素 + 发送 / 清空按钮）
+     */
+    renderSelectionBar() {
+      this.selectionBar = document.createElement('div');
+      this.selectionBar.className = 'selection-bar';
+      this.selectionBar.innerHTML = `
+        <span class="selection-count"></span>
+        <div class="selection-chips"></div>
+        <button class="bar-btn primary" data-action="send">Send</button>
+        <button class="bar-btn" data-action="clear">Clear</button>
+      `;
+      this.selectionBar.querySelector('[data-action="send"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        Inspector.sendSelection();
+      });
+      this.selectionBar.querySelector('[data-action="clear"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        Inspector.clearSelection();
+      });
+      this.shadowRoot.appendChild(this.selectionBar);
+    },
+
+    /**
+     * 更新多选操作栏
+     *
+     * @param {Element[]} selection - 按选择顺序排列的已选元素
+     */
+    updateSelectionBar(selection) {
+      if (!this.selectionBar) return;
+      if (!selection || selection.length === 0) {
+        this.selectionBar.style.display = 'none';
+        return;
+      }
+
+      this.selectionBar.querySelector('.selection-count').textContent = `已选 ${selection.length} 个`;
+      const chips = this.selectionBar.querySelector('.selection-chips');
+      chips.textContent = '';
+      selection.forEach((element, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'selection-chip';
+
+        const number = document.createElement('b');
+        number.textContent = `#${index + 1}`;
+        const label = document.createElement('span');
+        label.textContent = Inspector.getElementLabel(element);
+        const remove = document.createElement('span');
+        remove.className = 'chip-remove';
+        remove.textContent = '×';
+        remove.addEventListener('click', (e) => {
+          e.stopPropagation();
+          Inspector.removeSelectionAt(index);
+        });
+
+        chip.append(number, label, remove);
+        chips.appendChild(chip);
+      });
+      this.selectionBar.querySelector('[data-action="send"]').textContent = `Send ${selection.length}`;
+      this.selectionBar.style.display = 'flex';
+    },
+
+    /**
+     * 渲染指令输入框（Composer）：预设按钮 + 多行输入 + 发送 / 取消
+     */
+    renderComposer() {
+      this.composer = document.createElement('div');
+      this.composer.className = 'composer';
+      this.composer.innerHTML = `
+        <div class="composer-target"></div>
+        <div class="composer-presets"></div>
+        <textarea placeholder="告诉 Claude 要对这个元素做什么…"></textarea>
+        <div class="composer-footer">
+          <span class="breadcrumb-hint">Enter 发送 · Shift+Enter 换行 · Esc 取消</span>
+          <button class="bar-btn" data-action="cancel">Cancel</button>
+          <button class="bar-btn primary" data-action="send">Send</button>
+        </div>
+      `;
+
+      const textarea = this.composer.querySelector('textarea');
+      textarea.maxLength = Config.TEXT_LIMITS.note;
+
+      const presets = this.composer.querySelector('.composer-presets');
+      Config.COMPOSER.PRESETS.forEach((preset) => {
+        const button = document.createElement('button');
+        button.className = 'bar-btn';
+        button.textContent = preset.label;
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          // 预设文本插入到最前面，保留已输入内容
+          textarea.value = preset.text + (textarea.value ? `\n${textarea.value}` : '');
+          textarea.focus();
+          textarea.setSelectionRange(preset.text.length, preset.text.length);
+        });
+        presets.appendChild(button);
+      });
+
+      textarea.addEventListener('keydown', (e) => {
+        // 输入法组字期间的 Enter 用于确认候选词，不触发发送
+        if (e.isComposing) return;
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          this.submitComposer();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          this.closeComposer();
+        }
+      });
+
+      this.composer.querySelector('[data-action="send"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.submitComposer();
+      });
+      this.composer.querySelector('[data-action="cancel"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.closeComposer();
+      });
+
+      // 输入框内的按键不冒泡到页面，避免触发页面快捷键
+      this.composer.addEventListener('keydown', (e) => e.stopPropagation());
+      this.shadowRoot.appendChild(this.composer);
+    },
+
+    /**
+     * 在选中元素旁打开指令输入框
+     *
+     * 业务逻辑：
+     * 1. 缓存选中时刻采集的数据，发送时附加 note
+     * 2. 优先放在元素下方，空间不足时放在上方，并限制在视口内
+     *
+     * @param {Element} element - 被选中的元素
+     * @param {Object} data - Collector.collect() 返回的元素数据
+     */
+    openComposer(element, data) {
+      if (!this.composer) return;
+      this._composerData = data;
+      this._composerElement = element;
+
+      this.composer.querySelector('.composer-target').textContent = Inspector.getElementLabel(element);
+      const textarea = this.composer.querySelector('textarea');
+      textarea.value = '';
+      this.composer.style.display = 'flex';
+
+      const rect = element.getBoundingClientRect();
+      const gap = 8;
+      const width = this.composer.offsetWidth || 320;
+      const height = this.composer.offsetHeight || 160;
+      let top = rect.bottom + gap;
+      if (top + height > window.innerHeight && rect.top - gap - height >= 0) {
+        top = rect.top - gap - height;
+      }
+      top = Math.max(gap, Math.min(top, window.innerHeight - height - gap));
+      const left = Math.max(gap, Math.min(rect.left, window.innerWidth - width - gap));
+      this.composer.style.top = `${top}px`;
+      this.composer.style.left = `${left}px`;
+
+      textarea.focus();
+    },
+
+    /**
+     * 指令输入框是否处于打开状态
+     *
+     * @returns {boolean}
+     */
+    isComposerOpen() {
+      return Boolean(this._composerData);
+    },
+
+    /**
+     * 发送指令输入框中的内容（空指令时按普通选中发送）
+     */
+    submitComposer() {
+      if (!this._composerData) return;
+      const note = this.composer.querySelector('textarea').value.trim();
+      const data = Object.assign({}, this._composerData, { note: note || null });
+      const element = this._composerElement;
+      this.closeComposer();
+      Inspector.sendPicked(data, element);
+    },
+
+    /**
+     * 关闭指令输入框并丢弃缓存数据
+     */
+    closeComposer() {
+      this._composerData = null;
+      this._composerElement = null;
+      if (this.composer) this.composer.style.display = 'none';
+    },
+
+    /**
+     * Ghost 按钮是否可见
+     *
+     * @returns {boolean}
+     */
+    isGhostVisible() {
+      return Boolean(this.ghostButton) && this.ghostButton.style.display !== 'none';
+    },
+
+    /**
+     * 隐藏 / 显示 Ghost 按钮与设置按钮（仅当前页面有效，Inspector 状态不变）
+     *
+     * @param {boolean} visible - 是否显示
+     */
+    setGhostVisible(visible) {
+      if (!this.ghostButton) return;
+      this.ghostButton.style.display = visible ? '' : 'none';
+      if (this.settingsButton) this.settingsButton.style.display = visible ? '' : 'none';
+      if (this.historyButton) this.historyButton.style.display = visible ? '' : 'none';
+      if (!visible) {
+        const combo = Config.HOTKEYS.toggleGhost;
+        this.showToast(combo ? `Ghost hidden (${combo} to show)` : 'Ghost hidden', 'info');
+      }
+    },
+
+    /**
+     * 渲染 Ghost 旁的历史记录按钮
+     */
+    renderHistoryButton() {
+      this.historyButton = document.createElement('div');
+      this.historyButton.className = 'settings-button history-button';
+      this.historyButton.title = 'History';
+      this.historyButton.innerHTML = `
+        <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+          <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6a7 7 0 1 1 2.05 4.95l-1.42 1.42A9 9 0 1 0 13 3zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/>
+        </svg>
+      `;
+      this.historyButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleHistory();
+      });
+      this.shadowRoot.appendChild(this.historyButton);
+    },
+
+    /**
+     * 渲染选中历史抽屉
+     */
+    renderHistory() {
+      this.historyDrawer = document.createElement('div');
+      this.historyDrawer.className = 'history-drawer';
+      this.historyDrawer.innerHTML = `
+        <div class="panel-header">
+          <h3>History</h3>
+          <span class="close-btn">&times;</span>
+        </div>
+        <div class="history-list"></div>
+      `;
+      this.historyDrawer.querySelector('.close-btn').addEventListener('click', () => this.toggleHistory(false));
+
+      const list = this.historyDrawer.querySelector('.history-list');
+      // 事件委托：悬停重新高亮，按钮执行对应操作
+      list.addEventListener('mouseover', (e) => {
+        const item = e.target.closest('.history-item');
+        if (item) this.previewHistoryEntry(item.dataset.id);
+      });
+      list.addEventListener('mouseleave', () => {
+        this._historyPreviewId = null;
+        Inspector.hidePreview();
+      });
+      list.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const action = e.target.closest('[data-action]');
+        this.handleHistoryAction(item.dataset.id, action ? action.dataset.action : 'details');
+      });
+
+      this.historyDrawer.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') this.toggleHistory(false);
+      });
+      this.shadowRoot.appendChild(this.historyDrawer);
+    },
+
+    /**
+     * 打开 / 关闭选中历史抽屉
+     *
+     * @param {boolean} [open] - 不传时切换
+     */
+    toggleHistory(open) {
+      if (!this.historyDrawer) return;
+      const next = typeof open === 'boolean' ? open : !this.historyDrawer.classList.contains('open');
+      this.historyDrawer.classList.toggle('open', next);
+      if (next) {
+        this.refreshHistory();
+      } else {
+        this._historyPreviewId = null;
+        Inspector.hidePreview();
+      }
+    },
+
+    /**
+     * 重新渲染历史记录列表（抽屉关闭时跳过）
+     */
+    refreshHistory() {
+      if (!this.historyDrawer || !this.historyDrawer.classList.contains('open')) return;
+      const list = this.historyDrawer.querySelector('.history-list');
+      const entries = PickHistory.getEntries();
+      list.textContent = '';
+
+      if (entries.length === 0) {
+        list.innerHTML = '<div class="breadcrumb-hint">No picks yet</div>';
+        return;
+      }
+
+      entries.forEach((entry) => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.dataset.id = entry.id;
+        item.innerHTML = `
+          <div class="history-main">
+            <span class="history-label"></span>
+            <span class="history-status"></span>
+          </div>
+          <div class="history-selector"></div>
+          <div class="history-footer">
+            <span class="breadcrumb-hint"></span>
+            <button class="bar-btn" data-action="resend">Resend</button>
+            <button class="bar-btn" data-action="copy">Copy</button>
+            <button class="bar-btn" data-action="delete">&times;</button>
+          </div>
+        `;
+        item.querySelector('.history-label').textContent = entry.label;
+        const status = item.querySelector('.history-status');
+        status.textContent = HISTORY_STATUS_LABELS[entry.status] || entry.status;
+        status.classList.add(entry.status);
+        item.querySelector('.history-selector').textContent = entry.selectors.join(', ');
+        // 数据已因存储预算被丢弃的记录只能复制选择器
+        if (!entry.data) item.querySelector('[data-action="resend"]').remove();
+        const time = new Date(entry.time).toLocaleTimeString();
+        item.querySelector('.history-footer .breadcrumb-hint').textContent =
+          `${time} · ${entry.type.replace('_selected', '')}${entry.inFrame ? ' · iframe' : ''}`;
+        list.appendChild(item);
+      });
+    },
+
+    /**
+     * 悬停历史记录时重新高亮页面上仍存在的元素
+     */
+    previewHistoryEntry(id) {
+      // mouseover 在记录内部移动时会重复触发
+      if (this._historyPreviewId === id) return;
+      this._historyPreviewId = id;
+
+      const entry = PickHistory.get(id);
+      if (!entry || entry.inFrame) {
+        Inspector.hidePreview();
+        return;
+      }
+      const elements = entry.selectors
+        .map((selector) => Collector.querySelectorPiercing(selector))
+        .filter(Boolean);
+      Inspector.showPreview(elements);
+    },
+
+    /**
+     * 执行历史记录操作
+     *
+     * @param {string} id - 记录 ID
+     * @param {string} action - resend | copy | delete | details
+     */
+    handleHistoryAction(id, action) {
+      const entry = PickHistory.get(id);
+      if (!entry) return;
+
+      switch (action) {
+        case 'resend':
+          if (!entry.data) {
+            this.showToast('Pick data no longer stored; pick the element again', 'error');
+            break;
+          }
+          this.showDeliveryToast(Transport.send(entry.type, entry.data, { historyId: entry.id }), 'Resent');
+          break;
+        case 'copy':
+          GM_setClipboard(entry.selectors.join(', '), 'text');
+          this.showToast('Selector copied', 'success');
+          break;
+        case 'delete':
+          this._historyPreviewId = null;
+          Inspector.hidePreview();
+          PickHistory.remove(entry.id);
+          break;
+        default:
+          // 点击记录本身：单元素在信息面板中显示详情
+          if (entry.type === 'element_selected' && entry.data) this.displayElementInfo(entry.data);
+          break;
+      }
+    },
+
+    /**
+     * 渲染 Ghost 旁的设置按钮
+     */
+    renderSettingsButton() {
+      this.settingsButton = document.createElement('div');
+      this.settingsButton.className = 'settings-button';
+      this.settingsButton.title = 'Settings';
+      this.settingsButton.innerHTML = `
+        <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+          <path d="M19.14 12.94a7.07 7.07 0 0 0 0-1.88l2.03-1.58a.5.5 0 0 0 .12-.64l-1.92-3.32a.5.5 0 0 0-.61-.22l-2.39.96a7.03 7.03 0 0 0-1.62-.94l-.36-2.54a.5.5 0 0 0-.5-.42h-3.84a.5.5 0 0 0-.5.42l-.36 2.54c-.58.24-1.12.55-1.62.94l-2.39-.96a.5.5 0 0 0-.61.22L2.71 8.84a.5.5 0 0 0 .12.64l2.03 1.58a7.07 7.07 0 0 0 0 1.88l-2.03 1.58a.5.5 0 0 0-.12.64l1.92 3.32c.13.22.39.3.61.22l2.39-.96c.5.39 1.04.7 1.62.94l.36 2.54c.05.24.25.42.5.42h3.84c.25 0 .45-.18.5-.42l.36-2.54c.58-.24 1.12-.55 1.62-.94l2.39.96c.22.08.48 0 .61-.22l1.92-3.32a.5.5 0 0 0-.12-.64l-2.03-1.58zM12 15.5A3.5 3.5 0 1 1 12 8.5a3.5 3.5 0 0 1 0 7z"/>
+        </svg>
+      `;
+      this.settingsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.isSettingsOpen()) {
+          this.closeSettings();
+        } else {
+          this.openSettings();
         }
+      });
+      this.shadowRoot.appendChild(this.settingsButton);
+    },
 
-        .ghost-button:hover {
-          transform: scale(1.15);
-          filter: drop-shadow(0 4px 12px rgba(0,0,0,0.4));
+    /**
+     * 渲染设置面板（字段由 Settings.fields 生成，按 section 分组）
+     */
+    renderSettings() {
+      this.settingsPanel = document.createElement('div');
+      this.settingsPanel.className = 'settings-panel';
+      this.settingsPanel.innerHTML = `
+        <div class="panel-header">
+          <h3>Settings</h3>
+          <span class="close-btn">&times;</span>
+        </div>
+        <div class="settings-scope">
+          <label><input type="radio" name="settings-scope" value="global" checked> 全局</label>
+          <label><input type="radio" name="settings-scope" value="domain"> 仅 <span class="settings-host"></span></label>
+        </div>
+        <div class="settings-body"></div>
+        <div class="settings-footer">
+          <span class="breadcrumb-hint"></span>
+          <button class="bar-btn" data-action="reset">Reset to defaults</button>
+          <button class="bar-btn" data-action="cancel">Cancel</button>
+          <button class="bar-btn primary" data-action="save">Save</button>
+        </div>
+      `;
+      this.settingsPanel.querySelector('.settings-host').textContent = location.hostname || location.origin;
+
+      const body = this.settingsPanel.querySelector('.settings-body');
+      let section = null;
+      Settings.fields.forEach((field) => {
+        if (!section || section.dataset.section !== field.section) {
+          section = document.createElement('fieldset');
+          section.dataset.section = field.section;
+          section.innerHTML = '<legend></legend>';
+          section.querySelector('legend').textContent = field.section;
+          body.appendChild(section);
         }
 
-        .ghost-button.connected {
-          color: var(--primary);
+        const row = document.createElement('label');
+        row.className = 'settings-field';
+        row.innerHTML = '<span class="settings-label"></span><span class="settings-error"></span>';
+        row.querySelector('.settings-label').textContent = field.label;
+
+        let input;
+        if (field.type === 'select') {
+          input = document.createElement('select');
+          field.options.forEach((option) => {
+            const item = document.createElement('option');
+            item.value = option.value;
+            item.textContent = option.label;
+            input.appendChild(item);
+          });
+        } else {
+          input = document.createElement('input');
+          input.type = { number: 'number', secret: 'password' }[field.type] || 'text';
+          if (field.type === 'secret') input.autocomplete = 'off';
+          if (field.type === 'number') {
+            input.min = field.min;
+            input.max = field.max;
+          }
         }
-
-        .ghost-button.connecting {
-          color: var(--warning);
-          animation: ghost-pulse 1.5s ease-in-out infinite;
+        input.dataset.path = field.path;
+        if (field.type === 'hotkey') {
+          input.placeholder = '按下组合键，Backspace 清空';
+          input.addEventListener('keydown', (e) => this.recordHotkey(e, input));
         }
+        row.insertBefore(input, row.querySelector('.settings-error'));
+        section.appendChild(row);
+      });
 
-        .ghost-button.disconnected {
-          color: var(--danger);
-        }
+      this.settingsPanel.querySelectorAll('input[name="settings-scope"]').forEach((radio) => {
+        radio.addEventListener('change', () => this.fillSettings(radio.value));
+      });
+      this.settingsPanel.querySelector('.close-btn').addEventListener('click', () => this.closeSettings());
+      this.settingsPanel.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeSettings());
+      this.settingsPanel.querySelector('[data-action="save"]').addEventListener('click', () => this.submitSettings());
+      this.settingsPanel.querySelector('[data-action="reset"]').addEventListener('click', () => this.resetSettings());
 
-        /* active 定义在连接状态之后，确保激活态绿色优先级最高 */
-        .ghost-button.active {
-          color: var(--success);
-          transform: scale(1.15);
-          filter: drop-shadow(0 0 8px rgba(0, 184, 148, 0.6));
+      // 面板内按键不冒泡到页面，Esc 关闭面板
+      this.settingsPanel.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          this.closeSettings();
         }
+      });
+      this.shadowRoot.appendChild(this.settingsPanel);
+    },
 
-        @keyframes ghost-pulse {
-          0%, 100% { opacity: 1; transform: scale(1); }
-          50% { opacity: 0.5; transform: scale(0.92); }
-        }
+    /**
+     * 快捷键输入框：记录按下的组合键
+     *
+     * 业务逻辑：
+     * 1. Tab / Esc 保持默认行为（切换焦点 / 关闭面板）
+     * 2. Backspace / Delete 清空（禁用该快捷键）
+     * 3. 其他按键转换为快捷键字符串写入输入框
+     */
+    recordHotkey(event, input) {
+      if (event.key === 'Tab' || event.key === 'Escape') return;
+      event.preventDefault();
+      if (event.key === 'Backspace' || event.key === 'Delete') {
+        input.value = '';
+        return;
+      }
+      const combo = formatHotkey(event);
+      if (combo) input.value = combo;
+    },
 
+    /**
+     * 打开设置面板（默认显示全局层）
+     */
+    openSettings() {
+      if (!this.settingsPanel) return;
+      const scope = this.settingsPanel.querySelector('input[value="global"]');
+      scope.checked = true;
+      this.fillSettings('global');
+      this.settingsPanel.style.display = 'flex';
+    },
 
-        .info-panel {
-          position: fixed;
-          top: 20px;
-          right: 20px;
-          width: 320px;
-          max-height: 80vh;
-          background: var(--bg);
-          border: 1px solid var(--border);
-          border-radius: var(--radius);
-          box-shadow: var(--shadow);
-          display: none;
-          flex-direction: column;
-          pointer-events: auto;
-          overflow: hidden;
-        }
+    /**
+     * 设置面板是否处于打开状态
+     *
+     * @returns {boolean}
+     */
+    isSettingsOpen() {
+      return Boolean(this.settingsPanel) && this.settingsPanel.style.display === 'flex';
+    },
 
-        .panel-header {
-          padding: 12px 16px;
-          background: var(--bg-alt);
-          border-bottom: 1px solid var(--border);
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          cursor: move;
-          user-select: none;
-        }
+    /**
+     * 用指定层级的生效值填充表单
+     *
+     * @param {string} scope - global | domain
+     */
+    fillSettings(scope) {
+      this._settingsScope = scope;
+      const values = Settings.resolve(scope);
+      const overrides = scope === 'domain' ? Settings.getStored('domain') : {};
+
+      Settings.fields.forEach((field) => {
+        const input = this.settingsPanel.querySelector(`[data-path="${field.path}"]`);
+        const row = input.closest('.settings-field');
+        input.value = values[field.path];
+        row.classList.toggle('overridden', field.path in overrides);
+        row.querySelector('.settings-error').textContent = '';
+      });
 
-        .panel-header h3 {
-          margin: 0;
-          font-size: 14px;
-          color: var(--text);
-        }
+      const count = Object.keys(overrides).length;
+      this.settingsPanel.querySelector('.settings-footer .breadcrumb-hint').textContent = scope === 'domain'
+        ? `仅对当前域名生效${count ? `，已覆盖 ${count} 项` : ''}`
+        : '对所有网站生效（子 frame 刷新后生效）';
+    },
 
-        .close-btn {
-          cursor: pointer;
-          font-size: 18px;
-          color: var(--text-muted);
+    /**
+     * 校验并保存设置
+     *
+     * 业务逻辑：
+     * 1. 逐字段校验，错误显示在字段下方，任一字段无效则不保存
+     * 2. 快捷键不能重复
+     * 3. 保存后立即生效：端口变化时重连 WebSocket，同步指令输入框长度上限
+     */
+    submitSettings() {
+      const values = {};
+      const hotkeys = {};
+      let hasError = false;
+
+      Settings.fields.forEach((field) => {
+        const input = this.settingsPanel.querySelector(`[data-path="${field.path}"]`);
+        let { value, error } = Settings.validate(field, input.value);
+        if (!error && field.type === 'hotkey' && value) {
+          if (hotkeys[value]) {
+            error = `与「${hotkeys[value]}」重复`;
+          } else {
+            hotkeys[value] = field.label;
+          }
         }
-
-        .panel-content {
-          padding: 16px;
-          overflow-y: auto;
-          font-size: 12px;
-          line-height: 1.5;
+        input.closest('.settings-field').querySelector('.settings-error').textContent = error || '';
+        if (error) {
+          hasError = true;
+        } else {
+          values[field.path] = value;
         }
+      });
 
-        .data-row {
-          margin-bottom: 12px;
-        }
+      if (hasError) return;
 
-        .data-label {
-          font-weight: bold;
-          color: var(--text-muted);
-          display: block;
-          margin-bottom: 4px;
-          text-transform: uppercase;
-          font-size: 10px;
-        }
+      const previousUrl = Config.WS_URL;
+      Settings.save(this._settingsScope, values);
+      this.applySettings(previousUrl);
+      this.closeSettings();
+      this.showToast('Settings saved', 'success');
+    },
 
-        .data-value {
-          background: var(--bg-alt);
-          padding: 6px;
-          border-radius: 4px;
-          word-break: break-all;
-          display: block;
-          font-family: monospace;
-          border: 1px solid var(--border);
-        }
+    /**
+     * 恢复当前层级的默认值（域名层清除覆盖，回到全局设置）
+     */
+    resetSettings() {
+      const previousUrl = Config.WS_URL;
+      Settings.reset(this._settingsScope);
+      this.applySettings(previousUrl);
+      this.fillSettings(this._settingsScope);
+      this.showToast(this._settingsScope === 'domain' ? 'Domain overrides cleared' : 'Settings reset to defaults', 'success');
+    },
 
-        .tag-badge {
-          display: inline-block;
-          padding: 2px 6px;
-          background: var(--primary);
-          color: white;
-          border-radius: 4px;
-          font-weight: bold;
-          margin-bottom: 8px;
-        }
-      `;
-      this.shadowRoot.appendChild(style);
+    /**
+     * 设置写入 Config 后同步运行中的组件
+     *
+     * @param {string} previousUrl - 修改前的 WebSocket 地址
+     */
+    applySettings(previousUrl) {
+      if (this.composer) {
+        this.composer.querySelector('textarea').maxLength = Config.TEXT_LIMITS.note;
+      }
+      if (Config.WS_URL !== previousUrl && GM_getValue('enabled', false) && Transport.ws) {
+        Transport.disconnect();
+        Transport.connect();
+      } else {
+        // 页面命令密钥可能已变化，重新登记
+        Transport.sendHello();
+      }
     },
 
     /**
-     * 渲染悬浮按钮
+     * 关闭设置面板（未保存的修改丢弃）
      */
-    renderGhostButton() {
-      this.ghostButton = document.createElement('div');
-      this.ghostButton.className = 'ghost-button';
-      this.ghostButton.innerHTML = `
-        <svg viewBox="5 2 14 18" width="42" height="54" fill="currentColor">
-          <path d="M12 2C8.13 2 5 5.13 5 9v11l2.5-1.5L10 20l2-1.5L14 20l2.5-1.5L19 20V9c0-3.87-3.13-7-7-7zm-2 9a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3zm4 0a1.5 1.5 0 1 1 0-3 1.5 1.5 0 0 1 0 3z"/>
-        </svg>
-      `;
-      this.shadowRoot.appendChild(this.ghostButton);
-      this.updateStatusUI();
+    closeSettings() {
+      if (this.settingsPanel) this.settingsPanel.style.display = 'none';
     },
 
     /**
-     * 渲染信息面板
+     * 隐藏面包屑栏并清空链路
      */
-    renderInfoPanel() {
-      this.infoPanel = document.createElement('div');
-      this.infoPanel.className = 'info-panel';
-      this.infoPanel.innerHTML = `
-        <div class="panel-header">
-          <h3>Element Details</h3>
-          <span class="close-btn">&times;</span>
-        </div>
-        <div class="panel-content">
-          <div class="data-row">
-            <span class="data-label">Selected Element</span>
-            <div id="info-tag-container"></div>
-          </div>
-          <div class="data-row">
-            <span class="data-label">CSS Selector</span>
-            <code id="info-selector" class="data-value">None selected</code>
-          </div>
-          <div class="data-row">
-            <span class="data-label">Attributes</span>
-            <div id="info-attrs" class="data-value">{}</div>
-          </div>
-        </div>
-      `;
-      this.shadowRoot.appendChild(this.infoPanel);
-      this.setupDraggable();
+    hideBreadcrumb() {
+      if (!this.breadcrumbBar) return;
+      this.breadcrumbBar.style.display = 'none';
+      this._breadcrumbChain = [];
     },
 
     /**
      * 绑定事件处理
      */
     bindEvents() {
+      // 按下时快照页面文本选区（点击后选区可能被折叠），并阻止 mousedown 清除选区
+      this.ghostButton.addEventListener('pointerdown', () => {
+        this._pendingText = Collector.collectTextSelection(window.getSelection());
+      });
+      this.ghostButton.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+      });
+
       this.ghostButton.addEventListener('click', (e) => {
         e.stopPropagation();
+        // 页面上有选中文本时，点击 Ghost 发送文本选区而非切换 Inspector
+        const pendingText = this._pendingText;
+        this._pendingText = null;
+        if (pendingText) {
+          sendTextSelection(pendingText);
+          return;
+        }
         this.toggleInspector();
       });
 
@@ -1338,15 +7947,14 @@
      * 切换选择器状态（Ghost 按钮点击入口）
      *
      * 业务逻辑：
-     * 1. 激活前检查 WS 连接状态（未连接时拒绝激活）
+     * 1. 激活前检查 WS 连接状态（未连接时提示选中内容将进入离线队列）
      * 2. 切换 Inspector 状态
      * 3. 持久化域名级激活状态
      */
     toggleInspector() {
-      // 未连接时拒绝激活，Toast 提示
+      // 未连接时仍可激活，选中内容进入离线队列
       if (!Inspector.isActive && State.connectionState !== 'CONNECTED') {
-        this.showToast('Waiting for connection...', 'warning');
-        return;
+        this.showToast('Bridge offline, picks will be queued', 'warning');
       }
       if (Inspector.isActive) {
         Inspector.deactivate();
@@ -1374,8 +7982,8 @@
       tagContainer.innerHTML = `<span class="tag-badge">&lt;${data.tagName}&gt;</span>`;
       selectorEl.textContent = data.cssSelector;
       attrsEl.textContent = JSON.stringify(data.attributes, null, 2);
-      
-      this.ghostButton.classList.remove('active');
+
+      this.ghostButton.classList.toggle('active', Inspector.isActive);
     },
 
     /**
@@ -1422,6 +8030,33 @@
       console.log(`[UI Notification] ${type}: ${message}`);
     },
 
+    /**
+     * 按 Transport.send 的结果显示发送提示
+     *
+     * 业务逻辑：
+     * 1. sent：等待 Bridge 回执，收到后连同投递结果显示调用方给出的成功提示（见 Transport.handleAck）
+     * 2. queued：提示 Bridge 离线及当前排队数量
+     * 3. failed：提示发送失败；relayed（子 frame 已转交）由顶层窗口提示
+     *
+     * @param {string} status - sent | queued | relayed | failed
+     * @param {string} successMessage - 发送成功时的提示文本
+     */
+    showDeliveryToast(status, successMessage) {
+      switch (status) {
+        case 'sent':
+          Transport.awaitAck(State.lastCollectedData.messageId, successMessage);
+          break;
+        case 'queued':
+          this.showToast(`Bridge offline, queued (${Transport.getQueue().length})`, 'warning');
+          break;
+        case 'failed':
+          this.showToast('Not connected, send failed', 'error');
+          break;
+        default:
+          break;
+      }
+    },
+
     /**
      * 显示 Toast 提示（阶段 3 新增）
      *
@@ -1434,6 +8069,12 @@
      * @param {string} type - 提示类型（info | success | error）
      */
     showToast(message, type = 'info') {
+      // 子 frame 没有 UI，提示转交顶层窗口显示
+      if (!IS_TOP_FRAME) {
+        FrameBridge.postToParent({ type: 'toast', message, toastType: type });
+        return;
+      }
+
       if (!this.shadowRoot) {
         console.warn('[Web Inspector] Shadow DOM 未初始化，无法显示 Toast');
         return;
@@ -1479,6 +8120,35 @@
     }
   };
 
+  // ============================================
+  // 文本选区模式
+  // ============================================
+
+  /**
+   * 采集并发送页面文本选区（快捷键入口）
+   *
+   * @param {Selection} selection - window.getSelection() 结果
+   * @returns {boolean} 是否已发送
+   */
+  function captureTextSelection(selection) {
+    const data = Collector.collectTextSelection(selection);
+    if (!data) {
+      UI.showToast('No text selected', 'info');
+      return false;
+    }
+    sendTextSelection(data);
+    return true;
+  }
+
+  /**
+   * 发送已采集的文本选区数据
+   *
+   * @param {Object} data - Collector.collectTextSelection() 返回的选区数据
+   */
+  function sendTextSelection(data) {
+    UI.showDeliveryToast(Transport.sendText(data), 'Sent text selection to Bridge');
+  }
+
   // ============================================
   // 核心初始化 / 激活 / 停用逻辑
   // ============================================
@@ -1494,6 +8164,9 @@
   function initCore() {
     console.log('[Web Inspector] 正在初始化核心环境...');
     UI.init();
+    FrameBridge.init();
+    Hotkeys.init();
+    PageCommands.init();
     Transport.connect();
     console.log('[Web Inspector] 核心环境已就绪（Inspector 未激活）');
   }
@@ -1563,32 +8236,48 @@
   }
 
   /**
-   * 配置 WebSocket 端口
+   * 切换事件监听器记录模式（需刷新页面，记录从 document-start 开始）
    */
-  function configPort() {
-    const currentPort = GM_getValue('port', Config.WS_URL.match(/:(\d+)$/)?.[1] || '51765');
-    const input = prompt('请输入 WebSocket 端口号 (1-65535)：', currentPort);
-
-    if (input === null) return; // 用户取消
-
-    const trimmed = String(input).trim();
-    const port = parseInt(trimmed, 10);
+  function toggleListenerRegistry() {
+    const newState = !ListenerRegistry.isEnabled();
+    GM_setValue('listenerRegistry', newState);
+    UI.init();
+    UI.showToast(`Listener recording ${newState ? 'enabled' : 'disabled'}; reload the page to apply`, 'info');
+  }
 
-    if (Number.isFinite(port) && port >= 1 && port <= 65535) {
-      GM_setValue('port', String(port));
-      Config.WS_URL = `ws://localhost:${port}`;
-      alert(`端口已设置为: ${port}\n配置已更新，WebSocket 将使用新端口。`);
+  /**
+   * 切换控制台与网络错误记录（需刷新页面，记录从 document-start 开始）
+   */
+  function toggleErrorCapture() {
+    const newState = !ErrorCapture.isEnabled();
+    GM_setValue('errorCapture', newState);
+    UI.init();
+    UI.showToast(`Error capture ${newState ? 'enabled' : 'disabled'}; reload the page to apply`, 'info');
+  }
 
-      // 如果当前已启用，重新连接 WebSocket
-      if (GM_getValue('enabled', false) && Transport.ws) {
-        Transport.disconnect();
-        Transport.connect();
-      }
+  /**
+   * 切换页面命令（MCP 工具经 Bridge 读取 / 修改页面，立即生效）
+   */
+  function togglePageCommands() {
+    const newState = !PageCommands.isEnabled();
+    GM_setValue('pageCommands', newState);
+    Transport.sendHello();
+    UI.init();
+    if (newState && !Config.COMMANDS.TOKEN) {
+      UI.showToast('Page commands enabled; paste bridge/.command-token into Settings to receive commands', 'warning');
     } else {
-      alert('无效的端口号！\n请输入 1-65535 之间的数字。');
+      UI.showToast(newState ? 'Page commands enabled' : 'Page commands disabled', 'info');
     }
   }
 
+  /**
+   * 打开设置面板（油猴菜单入口；未启用时也会创建 UI 宿主）
+   */
+  function openSettings() {
+    UI.init();
+    UI.openSettings();
+  }
+
   // ============================================
   // 初始化入口 (Task 7.2 - 阶段 1 改进)
   // ============================================
@@ -1611,27 +8300,30 @@
     }
     isInitialized = true;
 
+    // 用户设置写入 Config（顶层窗口与子 frame 都需要）
+    Settings.load();
+
+    // 子 frame：不注册菜单、不建立连接，仅响应顶层窗口的激活指令
+    if (!IS_TOP_FRAME) {
+      if (GM_getValue('enabled', false)) {
+        FrameBridge.init();
+        Hotkeys.init();
+      }
+      return;
+    }
+
     console.log('[Web Inspector] 脚本已加载');
 
     // ============================================
     // 基础层：始终执行
     // ============================================
 
-    // 读取自定义端口配置
-    const customPort = GM_getValue('port', null);
-    if (customPort) {
-      const port = parseInt(customPort, 10);
-      if (Number.isFinite(port) && port >= 1 && port <= 65535) {
-        Config.WS_URL = `ws://localhost:${port}`;
-      } else {
-        console.warn(`[Web Inspector] 无效的端口配置: ${customPort}，使用默认端口`);
-        GM_setValue('port', null); // 清理无效配置
-      }
-    }
-
     // 注册油猴菜单命令
     GM_registerMenuCommand('切换 Web Inspector', toggleEnabled);
-    GM_registerMenuCommand('设置 WebSocket 端口', configPort);
+    GM_registerMenuCommand('打开设置', openSettings);
+    GM_registerMenuCommand('切换事件监听器记录（刷新后生效）', toggleListenerRegistry);
+    GM_registerMenuCommand('切换错误记录（刷新后生效）', toggleErrorCapture);
+    GM_registerMenuCommand('切换页面命令（MCP 工具）', togglePageCommands);
 
     // ============================================
     // 激活层：根据配置决定是否启用
@@ -1646,6 +8338,25 @@
     }
   }
 
-  // 启动脚本
-  init();
+  // ============================================
+  // 脚本以 @run-at document-start 注入：此处只安装两个可选的早期钩子，
+  // 其余模块（含菜单注册与 UI）都在 init 中、DOMContentLoaded 之后启动
+  // ============================================
+
+  // 监听器记录模式必须在页面脚本注册监听器之前安装
+  if (ListenerRegistry.isEnabled()) {
+    ListenerRegistry.install();
+  }
+
+  // 错误记录只在顶层窗口安装（选中内容由顶层窗口发送），同样需要早于页面脚本
+  if (IS_TOP_FRAME && ErrorCapture.isEnabled()) {
+    ErrorCapture.install();
+  }
+
+  // 启动脚本（document-start 时 body 尚未创建，等待 DOM 解析完成）
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', ListenerRegistry.markOwn(init), { once: true });
+  } else {
+    init();
+  }
 })();